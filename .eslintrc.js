@@ -21,7 +21,10 @@ module.exports = {
   'globals' : {
     'expect': 'writeable',
     'test': 'writeable',
-    'process': 'readable'
+    'beforeEach': 'writeable',
+    'jest': 'readable',
+    'process': 'readable',
+    '__dirname': 'readable'
   },
   'parserOptions': {
     'ecmaVersion': 'latest'
@@ -8,14 +8,48 @@ require("colors");
 const express = require("express");
 const ExpressWs = require("express-ws");
 const path = require("path");
-const fs = require("fs");
 const basicAuth = require("express-basic-auth");
 
 const { GptService } = require("./services/gpt-service");
 const { StreamService } = require("./services/stream-service");
 const { TranscriptionService } = require("./services/transcription-service");
 const { TextToSpeechService } = require("./services/tts-service");
-const { recordingService } = require("./services/recording-service");
+const {
+  recordingService,
+  recordingSettings,
+} = require("./services/recording-service");
+const { CallRecorder } = require("./services/call-recorder");
+const { RecordingStore } = require("./services/recording-store");
+const { callStore } = require("./services/call-store");
+const { callEvents } = require("./services/call-events");
+const { profileStore, DEFAULT_PROFILE_ID } = require("./services/profile-store");
+const { CampaignManager } = require("./services/campaign-service");
+const { ttsCache, cacheablePhrases } = require("./services/tts-cache");
+const { tools, checkToolRegistry } = require("./services/tool-registry");
+const {
+  SilenceMonitor,
+  silenceSettings,
+} = require("./services/silence-monitor");
+const { hangupCall } = require("./services/call-control");
+const { callSessions } = require("./services/call-sessions");
+const {
+  isMachine,
+  voicemailSettings,
+} = require("./services/answering-machine");
+const {
+  twilioWebhook,
+  createStreamToken,
+  checkStreamToken,
+  isBypassed,
+} = require("./services/twilio-security");
+const { DtmfCollector, dtmfSettings } = require("./services/dtmf-collector");
+const { CallAnalyzer } = require("./services/call-analysis");
+const { WebhookManager } = require("./services/webhook-service");
+const { ChatSessions } = require("./services/chat-simulator");
+const { LatencyTracer } = require("./services/latency-tracer");
+const { catalogStore } = require("./services/catalog-store");
+const { transferManager } = require("./services/transfer-service");
+const { registry, metrics } = require("./services/metrics");
 const { makeOutboundCall } = require("./scripts/outbound-call-api");
 
 const VoiceResponse = require("twilio").twiml.VoiceResponse;
@@ -24,20 +58,63 @@ const VoiceResponse = require("twilio").twiml.VoiceResponse;
 const app = express();
 ExpressWs(app);
 const PORT = process.env.PORT || 3000;
+// Longest wait for a goodbye to play before the agent hangs up anyway
+const HANGUP_TIMEOUT_MS = 10000;
+// Said before hanging up when the LLM request of a turn fails
+const LLM_ERROR_TEXT =
+  "Desculpe, estou com um problema técnico agora. Por favor, ligue novamente mais tarde.";
+
+const campaignManager = new CampaignManager({ dialer: makeOutboundCall });
+const callAnalyzer = new CallAnalyzer({ callStore, profileStore });
+const webhookManager = new WebhookManager({ calls: callStore });
+webhookManager.connect(callEvents);
+const recordingStore = new RecordingStore({ calls: callStore });
+const chatSessions = new ChatSessions();
+
+if (isBypassed()) {
+  console.warn(
+    "[SECURITY] TWILIO_AUTH_BYPASS is on: Twilio signatures and stream tokens are NOT checked."
+      .red
+  );
+}
 
 // --- Middleware ---
 // Parse JSON bodies for API requests - This should come early
-app.use(express.json());
+// (campaign uploads carry the whole CSV, hence the larger limit)
+app.use(express.json({ limit: "5mb" }));
+// Twilio webhooks are posted as form data
+app.use(express.urlencoded({ extended: false }));
 
 // ==================================================================
 // == PUBLIC ROUTES (FOR TWILIO) - NO AUTHENTICATION NEEDED ==
 // ==================================================================
 
-app.post("/incoming", (req, res) => {
+// Every request below must carry a valid X-Twilio-Signature
+app.post("/incoming", twilioWebhook, (req, res) => {
   try {
+    // Pin the profile version now, so a later edit can't change this call
+    const profile = profileStore.resolve(
+      req.query.profileId,
+      req.query.profileVersion
+    );
+
     const response = new VoiceResponse();
     const connect = response.connect();
-    connect.stream({ url: `wss://${process.env.SERVER}/connection` });
+    const stream = connect.stream({
+      url: `wss://${process.env.SERVER}/connection`,
+    });
+    // Call details are only available on this webhook, so hand them over to
+    // the media stream as custom parameters.
+    stream.parameter({ name: "direction", value: req.body.Direction });
+    stream.parameter({ name: "from", value: req.body.From });
+    stream.parameter({ name: "to", value: req.body.To });
+    stream.parameter({ name: "profileId", value: profile.profileId });
+    stream.parameter({ name: "profileVersion", value: profile.version });
+    // Checked on the stream's `start` event, see checkStreamToken
+    stream.parameter({
+      name: "token",
+      value: createStreamToken(req.body.CallSid),
+    });
 
     res.type("text/xml");
     res.end(response.toString());
@@ -47,6 +124,65 @@ app.post("/incoming", (req, res) => {
   }
 });
 
+// Async answering machine detection result for outbound calls
+app.post("/amd", twilioWebhook, (req, res) => {
+  const { CallSid, AnsweredBy } = req.body;
+  console.log(`[AMD] ${CallSid} answered by ${AnsweredBy}`.cyan);
+  callSessions.deliver(CallSid, "answeredBy", AnsweredBy);
+  res.status(204).end();
+});
+
+// --- Transfers, see services/transfer-service.js ---
+// The person's leg of a warm transfer hears the whisper...
+app.post("/transfer/whisper", twilioWebhook, (req, res) => {
+  res.type("text/xml");
+  res.end(transferManager.whisperTwiml(req.query.id));
+});
+
+// ...and presses 1 to join the caller, who holds in a conference
+app.post("/transfer/accept", twilioWebhook, (req, res) => {
+  res.type("text/xml");
+  res.end(transferManager.acceptTwiml(req.query.id, req.body.Digits));
+});
+
+app.post("/transfer/status", twilioWebhook, (req, res) => {
+  transferManager.handleStatus(req.query.id, req.body.CallStatus);
+  res.status(204).end();
+});
+
+// The caller hung up while on hold
+app.post("/transfer/conference", twilioWebhook, (req, res) => {
+  transferManager.handleConference(req.query.id, req.body);
+  res.status(204).end();
+});
+
+// <Dial> action of a blind transfer
+app.post("/transfer/dialed", twilioWebhook, (req, res) => {
+  res.type("text/xml");
+  res.end(transferManager.dialedTwiml(req.query.id, req.body.DialCallStatus));
+});
+
+// <Record> action of the voicemail fallback
+app.post("/transfer/voicemail", twilioWebhook, (req, res) => {
+  res.type("text/xml");
+  res.end(transferManager.saveVoicemail(req.query.id, req.body));
+});
+
+// Twilio status callback for campaign calls; advances the campaign queue
+app.post("/campaigns/status", twilioWebhook, (req, res) => {
+  try {
+    campaignManager.handleCallStatus(
+      req.query.campaignId,
+      req.query.contactId,
+      req.body
+    );
+    res.status(204).end();
+  } catch (error) {
+    console.log("Error in /campaigns/status webhook:".red, error);
+    res.status(error.status || 500).end();
+  }
+});
+
 app.ws("/connection", (ws) => {
   try {
     ws.on("error", console.error);
@@ -59,67 +195,496 @@ app.ws("/connection", (ws) => {
     const transcriptionService = new TranscriptionService();
     const ttsService = new TextToSpeechService({});
 
-    let marks = [];
+    const silenceMonitor = new SilenceMonitor();
+    let voicemail = voicemailSettings();
+    const dtmfCollector = new DtmfCollector();
+    const latencyTracer = new LatencyTracer();
+    // Set when the call is recorded locally
+    let callRecorder = null;
+
     let interactionCount = 0;
 
     // Incoming from MediaStream
     ws.on("message", function message(data) {
+      if (ended) return;
       const msg = JSON.parse(data);
       if (msg.event === "start") {
+        const params = msg.start.customParameters || {};
+        const rejection = checkStreamToken(msg.start.callSid, params.token);
+        if (rejection) {
+          console.warn(
+            `[SECURITY] Rejected media stream for ${msg.start.callSid}: ${rejection}`
+              .red
+          );
+          endCall("unauthorized");
+          ws.close(1008, "Unauthorized");
+          return;
+        }
         streamSid = msg.start.streamSid;
         callSid = msg.start.callSid;
+        const profile = profileStore.resolve(
+          params.profileId,
+          params.profileVersion
+        );
         streamService.setStreamSid(streamSid);
-        gptService.setCallSid(callSid);
-        recordingService(ttsService, callSid).then(() => {
+        gptService.setProfile(profile);
+        // The stream token is only meant for checkStreamToken
+        const customParameters = { ...params };
+        delete customParameters.token;
+        gptService.setCallContext({
+          callSid,
+          streamSid,
+          direction: params.direction,
+          from: params.from,
+          to: params.to,
+          customParameters,
+        });
+        ttsService.setVoice(profile.voice);
+        silenceMonitor.configure(silenceSettings(profile));
+        voicemail = voicemailSettings(profile);
+        dtmfCollector.configure(dtmfSettings(profile));
+        callStore.startCall({
+          callSid,
+          streamSid,
+          direction: params.direction,
+          from: params.from,
+          to: params.to,
+          profileId: profile.profileId,
+          profileVersion: profile.version,
+        });
+        metrics.activeCalls.inc();
+        callSessions.register(callSid, {
+          answeredBy,
+          // No reprompts while a warm transfer writes its summary
+          transferStarted: () => silenceMonitor.hold(),
+          transferFinished: () => silenceMonitor.release(),
+        });
+        callEvents.publish(callSid, "start", {
+          streamSid,
+          direction: params.direction,
+          from: params.from,
+          to: params.to,
+          profileId: profile.profileId,
+          profileVersion: profile.version,
+        });
+        const recording = recordingSettings(profile);
+        if (recording.enabled && recording.storage === "local") {
+          callRecorder = new CallRecorder();
+        }
+        recordingService(ttsService, callSid, recording).then(() => {
           console.log(
             `Twilio -> Starting Media Stream for ${streamSid}`.underline.red
           );
-          ttsService.generate(gptService.getInitialGreeting(), 0);
+          const greeting = gptService.getInitialGreeting();
+          callStore.addTranscript(callSid, {
+            role: "assistant",
+            text: greeting.partialResponse,
+            interactionCount: null,
+          });
+          callEvents.publish(callSid, "gptreply", {
+            ...greeting,
+            interactionCount: null,
+          });
+          ttsService.generate(greeting, 0);
         });
+      } else if (!callSid) {
+        // Nothing but `connected` and `start` is accepted before the stream is verified
+        return;
       } else if (msg.event === "media") {
         transcriptionService.send(msg.media.payload);
+        if (callRecorder) {
+          callRecorder.addInbound(msg.media.payload, msg.media.timestamp);
+        }
       } else if (msg.event === "mark") {
         const label = msg.mark.name;
         console.log(
           `Twilio -> Audio completed mark (${msg.sequenceNumber}): ${label}`.red
         );
-        marks = marks.filter((m) => m !== msg.mark.name);
+        latencyTracer.markPlayed(label);
+        // The caller's turn starts once everything the agent said has played
+        const played = streamService.markPlayed(label);
+        if (played && !streamService.hasPendingAudio()) {
+          if (pendingHangup && pendingHangup.audioSent) {
+            pendingHangup.finish();
+          } else {
+            silenceMonitor.agentIdle();
+          }
+        }
+        callEvents.publish(callSid, "mark", {
+          name: label,
+          pending: streamService.pendingMarks.size,
+        });
+      } else if (msg.event === "dtmf") {
+        const digit = msg.dtmf.digit;
+        console.log(`Twilio -> Keypad: ${digit}`.red);
+        callEvents.publish(callSid, "dtmf", { digit });
+        silenceMonitor.callerActivity();
+        interruptAgent();
+        dtmfCollector.press(digit);
       } else if (msg.event === "stop") {
         console.log(`Twilio -> Media stream ${streamSid} ended.`.underline.red);
+        endCall("stop");
       }
     });
 
+    ws.on("close", () => endCall("socket-closed"));
+
+    let ended = false;
+    // Shuts the session down: STT socket, TTS requests, the GPT stream and timers
+    const endCall = (endReason) => {
+      if (ended) return;
+      ended = true;
+      clearTimeout(pendingHangup && pendingHangup.timer);
+      silenceMonitor.stop();
+      dtmfCollector.stop();
+      transcriptionService.close();
+      ttsService.close();
+      gptService.close();
+      streamService.close();
+      if (callSid) {
+        metrics.activeCalls.dec();
+        latencyTracer.finish();
+        callSessions.unregister(callSid);
+        // Kept without the system prompt, so the call can be analyzed again later
+        callStore.update(callSid, { context: gptService.userContext.slice(1) });
+        const call = callStore.endCall(callSid, { endReason });
+        callEvents.publish(callSid, "stop", { streamSid, endReason });
+        if (callRecorder) {
+          callRecorder.stop();
+          saveRecording(callSid, callRecorder);
+        }
+        if (process.env.ANALYSIS_ENABLED !== "false") {
+          analyzeCall(callSid, { profileVersion: call.profileVersion });
+        }
+      }
+    };
+
+    // Set once the agent decided to hang up; waits for the last line to play
+    let pendingHangup = null;
+    /**
+     * @param {string} reason The endReason.
+     * @param {Function} [finish] What ends the conversation, hanging up by default.
+     */
+    const hangupAfterAudio = (reason, finish = () => hangup(reason)) => {
+      if (pendingHangup) return;
+      silenceMonitor.stop();
+      callStore.update(callSid, { endReason: reason });
+      pendingHangup = {
+        reason,
+        audioSent: false,
+        finish,
+        // Hang up anyway if the goodbye never finishes playing
+        timer: setTimeout(finish, HANGUP_TIMEOUT_MS),
+      };
+    };
+
+    // Set by a transfer that falls back to voicemail, until the agent said so
+    let pendingVoicemail = null;
+    const voicemailAfterAudio = (transferId) => {
+      hangupAfterAudio("transfer-voicemail", async () => {
+        if (ended || pendingHangup.redirected) return;
+        pendingHangup.redirected = true;
+        clearTimeout(pendingHangup.timer);
+        if (!(await transferManager.startVoicemail(transferId))) {
+          hangup("transfer-voicemail");
+        }
+      });
+    };
+
+    // Answering machine detection result; see POST /amd
+    const answeredBy = (result) => {
+      if (ended) return;
+      callStore.update(callSid, { answeredBy: result });
+      callEvents.publish(callSid, "amd", { answeredBy: result });
+      if (!isMachine(result)) return;
+
+      // Nobody to talk to: drop the conversation and leave the message instead
+      console.log(`[AMD] Machine on ${callSid}, leaving voicemail`.cyan);
+      callStore.update(callSid, { outcome: "voicemail" });
+      transcriptionService.close();
+      gptService.close();
+      ws.send(JSON.stringify({ streamSid, event: "clear" }));
+      if (callRecorder) callRecorder.clear();
+      ttsService.interrupt();
+      streamService.reset(0);
+      if (voicemail.action === "hangup" || result === "fax") {
+        hangup("voicemail");
+        return;
+      }
+      callStore.addTranscript(callSid, {
+        role: "assistant",
+        text: voicemail.message,
+        interactionCount: null,
+      });
+      hangupAfterAudio("voicemail");
+      ttsService.generate(
+        {
+          partialResponseIndex: null,
+          partialResponse: voicemail.message,
+          cache: true,
+        },
+        interactionCount
+      );
+    };
+
+    const hangup = (reason) => {
+      if (ended) return;
+      clearTimeout(pendingHangup && pendingHangup.timer);
+      callStore.update(callSid, { endReason: reason });
+      hangupCall(callSid);
+    };
+
     transcriptionService.on("utterance", async (text) => {
       console.log(`[STT-INTERIM] ${text}`);
-      if (marks.length > 0 && text?.length > 5) {
-        console.log("Twilio -> Interruption, Clearing stream".red);
-        ws.send(JSON.stringify({ streamSid, event: "clear" }));
+      callEvents.publish(callSid, "utterance", { text });
+      silenceMonitor.callerActivity();
+      if (text?.length > 5) {
+        interruptAgent();
       }
     });
 
-    transcriptionService.on("transcription", async (text) => {
+    // Barge-in: stop the agent when the caller talks (or types) over it
+    const interruptAgent = () => {
+      if (!streamService.hasPendingAudio()) return;
+      console.log("Twilio -> Interruption, Clearing stream".red);
+      // Taken before the clear: Twilio also returns the marks of cleared audio
+      const heard = streamService.heardIndexes();
+      const pendingMarks = streamService.pendingMarks.size;
+      ws.send(JSON.stringify({ streamSid, event: "clear" }));
+      if (callRecorder) callRecorder.clear();
+      ttsService.interrupt();
+      metrics.interruptions.inc();
+      latencyTracer.finish({ interrupted: true });
+      const interruption = gptService.interrupt(heard);
+      streamService.reset(gptService.partialResponseIndex);
+      callEvents.publish(callSid, "clear", {
+        pendingMarks,
+        ...interruption,
+      });
+      if (interruption) {
+        callStore.markInterrupted(callSid, interruption);
+      }
+    };
+
+    transcriptionService.on("transcription", async (text, { speechEndedAt } = {}) => {
       if (!text) return;
+      silenceMonitor.callerActivity();
+      userTurn(text, text, { speechEndedAt });
+    });
+
+    dtmfCollector.on("digits", (digits) => {
+      userTurn(digits, `Keypad input: ${digits}`, { source: "keypad" });
+    });
+
+    dtmfCollector.on("shortcut", (digit, tool) => {
+      userTurn(
+        digit,
+        `Keypad shortcut: the caller pressed ${digit}.`,
+        { source: "keypad", toolChoice: tool }
+      );
+    });
+
+    /**
+     * Hands a caller turn to GPT.
+     * @param {string} text What the caller said or typed, for the transcript.
+     * @param {string} prompt What GPT gets.
+     * @param {Object} [options] `source: "keypad"` marks typed input; `toolChoice`
+     * makes GPT call that tool first; `speechEndedAt` is when the caller stopped
+     * talking, for the latency trace.
+     */
+    const userTurn = (text, prompt, { source, toolChoice, speechEndedAt } = {}) => {
       console.log(
-        `Interaction ${interactionCount} – STT -> GPT: ${text}`.yellow
+        `Interaction ${interactionCount} – ${source || "STT"} -> GPT: ${text}`
+          .yellow
       );
-      gptService.completion(text, interactionCount);
+      callStore.addTranscript(callSid, {
+        role: "user",
+        text,
+        interactionCount,
+        source,
+      });
+      callEvents.publish(callSid, "transcription", {
+        text,
+        interactionCount,
+        source,
+      });
+      streamService.startTurn(interactionCount);
+      latencyTracer.start(interactionCount, { speechEndedAt, source });
+      const turn = interactionCount;
+      gptService
+        .completion(
+          prompt,
+          turn,
+          "user",
+          source === "keypad" ? "keypad" : "user",
+          { toolChoice }
+        )
+        .catch((error) => llmFailed(error, turn));
       interactionCount += 1;
+    };
+
+    // Barge-in resolves the completion quietly; anything else (a wrong deployment
+    // or base URL, a 429, a 5xx) lands here: apologize and hang up
+    const llmFailed = (error, icount) => {
+      console.error(`Interaction ${icount}: GPT failed: ${error.message}`.red);
+      // Not "error": EventSource keeps that name for its own connection errors
+      callEvents.publish(callSid, "llmerror", {
+        message: error.message,
+        interactionCount: icount,
+      });
+      if (ended || pendingHangup) return;
+      callStore.addTranscript(callSid, {
+        role: "assistant",
+        text: LLM_ERROR_TEXT,
+        interactionCount: null,
+      });
+      hangupAfterAudio("llm-error");
+      ttsService.generate(
+        { partialResponseIndex: null, partialResponse: LLM_ERROR_TEXT, cache: true },
+        icount
+      );
+    };
+
+    // Reply chunks are synthesized while GPT is still writing them
+    gptService.on("gpttoken", ({ partialResponseIndex, token }, icount) => {
+      latencyTracer.mark(icount, "firstToken");
+      ttsService.write(partialResponseIndex, token, icount);
     });
 
     gptService.on("gptreply", async (gptReply, icount) => {
       console.log(
         `Interaction ${icount}: GPT -> TTS: ${gptReply.partialResponse}`.green
       );
-      ttsService.generate(gptReply, icount);
+      // A tool phrase can be the first thing the model produced
+      latencyTracer.mark(icount, "firstToken");
+      latencyTracer.mark(icount, "firstChunk");
+      callEvents.publish(callSid, "gptreply", {
+        ...gptReply,
+        interactionCount: icount,
+      });
+      // Tool phrases have no index and are synthesized (or cached) as a whole
+      if (gptReply.partialResponseIndex === null) {
+        ttsService.generate(gptReply, icount);
+      } else {
+        ttsService.end(gptReply.partialResponseIndex, icount);
+      }
+    });
+
+    gptService.on("assistantreply", (text, icount) => {
+      callStore.addTranscript(callSid, {
+        role: "assistant",
+        text,
+        interactionCount: icount,
+      });
+      if (pendingVoicemail) {
+        voicemailAfterAudio(pendingVoicemail);
+        pendingVoicemail = null;
+      }
+    });
+
+    gptService.on("toolcall", (toolCall, icount) => {
+      latencyTracer.addTool(icount, toolCall);
+      metrics.toolDuration.observe(
+        { tool: toolCall.name, status: toolCall.failed ? "failed" : "ok" },
+        toolCall.durationMs / 1000
+      );
+      callStore.addToolCall(callSid, { ...toolCall, interactionCount: icount });
+      if (toolCall.name === "transferCall" && !toolCall.failed) {
+        const outcome = JSON.parse(toolCall.result);
+        // The caller goes to voicemail once the agent's next reply played
+        if (outcome.fallback === "voicemail") {
+          pendingVoicemail = outcome.transferId;
+        }
+      }
+      callEvents.publish(callSid, "toolcall", {
+        ...toolCall,
+        interactionCount: icount,
+      });
+    });
+
+    gptService.on("usage", ({ model, promptTokens, completionTokens }, icount) => {
+      latencyTracer.addUsage(icount, { promptTokens, completionTokens });
+      metrics.llmTokens.inc({ model, type: "prompt" }, promptTokens || 0);
+      metrics.llmTokens.inc({ model, type: "completion" }, completionTokens || 0);
     });
 
     ttsService.on("speech", (responseIndex, audio, label, icount) => {
       console.log(`Interaction ${icount}: TTS -> TWILIO: ${label}`.blue);
+      latencyTracer.mark(icount, "ttsAudio");
       streamService.buffer(responseIndex, audio);
     });
 
-    streamService.on("audiosent", (markLabel) => {
-      marks.push(markLabel);
+    ttsService.on("speechchunk", (responseIndex, audio, icount) => {
+      latencyTracer.mark(icount, "ttsAudio");
+      streamService.bufferChunk(responseIndex, audio);
+    });
+
+    ttsService.on("speechend", (responseIndex, label, icount) => {
+      console.log(`Interaction ${icount}: TTS -> TWILIO: ${label}`.blue);
+      streamService.endChunk(responseIndex);
+    });
+
+    ttsService.on("speecherror", (responseIndex) => {
+      // Skip the missing chunk instead of holding back everything after it
+      streamService.buffer(responseIndex, null);
+    });
+
+    streamService.on("audiosent", (markLabel, index, audio) => {
+      if (callRecorder) callRecorder.addOutbound(audio);
+      silenceMonitor.agentSpeaking();
+      if (pendingHangup) pendingHangup.audioSent = true;
+    });
+
+    // Fixed lines spoken on silence; they go into the context so GPT knows
+    const sayOnSilence = (text, event) => {
+      gptService.addAssistantMessage(text);
+      callStore.addTranscript(callSid, {
+        role: "assistant",
+        text,
+        interactionCount: null,
+      });
+      callEvents.publish(callSid, "silence", { ...event, text });
+      ttsService.generate(
+        { partialResponseIndex: null, partialResponse: text, cache: true },
+        interactionCount
+      );
+    };
+
+    silenceMonitor.on("reprompt", (text, attempt) => {
+      console.log(`[SILENCE] Reprompt ${attempt}: ${text}`.yellow);
+      sayOnSilence(text, { attempt });
+    });
+
+    silenceMonitor.on("closing", (text) => {
+      console.log(`[SILENCE] No answer, closing the call: ${text}`.yellow);
+      sayOnSilence(text, { closing: true });
+    });
+
+    silenceMonitor.on("hangup", () => hangup("silence"));
+
+    gptService.on("endcall", (icount) => {
+      console.log(`Interaction ${icount}: GPT ended the call`.yellow);
+      hangupAfterAudio("agent");
+    });
+
+    streamService.on("firstaudio", (latency) => {
+      console.log(
+        `Interaction ${latency.interactionCount}: first audio after ${latency.timeToFirstAudioMs}ms`
+          .magenta
+      );
+      latencyTracer.audioSent(latency.interactionCount, latency.markLabel);
+    });
+
+    latencyTracer.on("trace", (trace) => {
+      const stages = Object.entries(trace.stages)
+        .map(([stage, ms]) => `${stage} ${ms}ms`)
+        .join(", ");
+      console.log(`Interaction ${trace.interactionCount}: ${stages}`.magenta);
+      Object.entries(trace.stages).forEach(([stage, ms]) =>
+        metrics.turnLatency.observe({ stage }, ms / 1000)
+      );
+      callStore.addLatency(callSid, trace);
+      callEvents.publish(callSid, "latency", trace);
     });
   } catch (err) {
     console.log(err);
@@ -152,7 +717,7 @@ app.use(authMiddleware);
 app.post("/api/dial", async (req, res) => {
   // ... (código do /api/dial que já funcionava, não precisa mudar)
   console.log("[API-DIAL] Request received.".blue);
-  const { number } = req.body;
+  const { number, profileId = DEFAULT_PROFILE_ID, profileVersion } = req.body;
   if (!number) {
     console.error(
       "[API-DIAL] Error: Phone number is missing in the request body.".red
@@ -176,12 +741,26 @@ app.post("/api/dial", async (req, res) => {
           "Server configuration error. Check Twilio environment variables.",
       });
   }
+  let profile;
+  try {
+    profile = profileStore.getVersion(profileId, profileVersion);
+  } catch (error) {
+    return sendError(res, error, "Could not load profile.");
+  }
   try {
-    const callSid = await makeOutboundCall(number);
+    const callSid = await makeOutboundCall(number, {
+      profileId: profile.profileId,
+      profileVersion: profile.version,
+    });
     console.log(
       `[API-DIAL] Call initiated successfully. SID: ${callSid}`.green
     );
-    res.status(200).json({ message: "Call initiated successfully", callSid });
+    res.status(200).json({
+      message: "Call initiated successfully",
+      callSid,
+      profileId: profile.profileId,
+      profileVersion: profile.version,
+    });
   } catch (error) {
     console.error(
       "[API-DIAL] CRITICAL: Caught an error while making the outbound call:"
@@ -194,12 +773,389 @@ app.post("/api/dial", async (req, res) => {
   }
 });
 
+// Prometheus scrape endpoint, see services/metrics.js
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(registry.render());
+});
+
+// Server-Sent Events feed with everything happening on active calls.
+app.get("/api/monitor", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (type, data) =>
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Let the dashboard catch up on calls that were already running
+  send("snapshot", [...callStore.activeCalls.values()]);
+
+  const onEvent = (event) => send(event.type, event);
+  callEvents.on("event", onEvent);
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    callEvents.off("event", onEvent);
+  });
+});
+
+app.get("/api/calls", (req, res) => {
+  try {
+    res.status(200).json(callStore.listCalls());
+  } catch (error) {
+    console.error("Error listing calls:", error);
+    res.status(500).json({ message: "Could not load calls." });
+  }
+});
+
+app.get("/api/calls/:callSid", (req, res) => {
+  try {
+    const call = callStore.getCall(req.params.callSid);
+    if (!call) {
+      return res.status(404).json({ message: "Call not found." });
+    }
+    res.status(200).json(call);
+  } catch (error) {
+    console.error("Error reading call:", error);
+    res.status(500).json({ message: "Could not load call." });
+  }
+});
+
+// Caller on the left channel, agent on the right; `?download=1` saves it as a file
+app.get("/api/calls/:callSid/recording", (req, res) => {
+  const { callSid } = req.params;
+  if (!recordingStore.has(callSid)) {
+    return res.status(404).json({ message: "Recording not found." });
+  }
+  const file = recordingStore.filePath(callSid);
+  // Served with range support, so the player can seek
+  if (req.query.download) {
+    res.download(file, `${path.basename(callSid)}.wav`);
+  } else {
+    res.type("audio/wav").sendFile(path.resolve(file));
+  }
+});
+
+// Runs the post-call analysis again, with the current version of the call's profile
+app.post("/api/calls/:callSid/analysis", async (req, res) => {
+  try {
+    res.status(200).json(await callAnalyzer.analyze(req.params.callSid));
+  } catch (error) {
+    sendError(res, error, "Could not analyze call.");
+  }
+});
+
+app.get("/api/tools", (req, res) => {
+  res.status(200).json(
+    tools.map((tool) => ({
+      name: tool.function.name,
+      description: tool.function.description,
+    }))
+  );
+});
+
+app.get("/api/profiles", (req, res) => {
+  try {
+    res.status(200).json(profileStore.listProfiles());
+  } catch (error) {
+    sendError(res, error, "Could not load profiles.");
+  }
+});
+
+app.post("/api/profiles", (req, res) => {
+  try {
+    res.status(201).json(prewarmProfile(profileStore.createProfile(req.body)));
+  } catch (error) {
+    sendError(res, error, "Could not create profile.");
+  }
+});
+
+app.get("/api/profiles/:id", (req, res) => {
+  try {
+    res.status(200).json(profileStore.getProfile(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Could not load profile.");
+  }
+});
+
+// Every save creates a new version; calls keep the version they started with
+app.put("/api/profiles/:id", (req, res) => {
+  try {
+    res
+      .status(200)
+      .json(prewarmProfile(profileStore.saveVersion(req.params.id, req.body)));
+  } catch (error) {
+    sendError(res, error, "Could not save profile.");
+  }
+});
+
+app.get("/api/profiles/:id/diff", (req, res) => {
+  try {
+    res
+      .status(200)
+      .json(
+        profileStore.diffVersions(req.params.id, req.query.from, req.query.to)
+      );
+  } catch (error) {
+    sendError(res, error, "Could not compare versions.");
+  }
+});
+
+app.post("/api/profiles/:id/rollback", (req, res) => {
+  try {
+    res
+      .status(200)
+      .json(
+        prewarmProfile(profileStore.rollback(req.params.id, req.body.version))
+      );
+  } catch (error) {
+    sendError(res, error, "Could not roll back profile.");
+  }
+});
+
+app.get("/api/campaigns", (req, res) => {
+  try {
+    res.status(200).json(campaignManager.listCampaigns());
+  } catch (error) {
+    sendError(res, error, "Could not load campaigns.");
+  }
+});
+
+app.post("/api/campaigns", (req, res) => {
+  try {
+    const { profileId } = req.body;
+    if (profileId) profileStore.getProfile(profileId);
+    res.status(201).json(campaignManager.createCampaign(req.body));
+  } catch (error) {
+    sendError(res, error, "Could not create campaign.");
+  }
+});
+
+app.get("/api/campaigns/:id", (req, res) => {
+  try {
+    res.status(200).json(campaignManager.getCampaign(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Could not load campaign.");
+  }
+});
+
+app.post("/api/campaigns/:id/:action(start|pause|resume|cancel)", (req, res) => {
+  try {
+    const campaign = campaignManager[req.params.action](req.params.id);
+    res.status(200).json(campaign);
+  } catch (error) {
+    sendError(res, error, "Could not update campaign.");
+  }
+});
+
+// Products the sales tools look up, and the orders placeOrder saves
+app.get("/api/catalog", (req, res) => {
+  try {
+    res.status(200).json(catalogStore.listProducts());
+  } catch (error) {
+    sendError(res, error, "Could not load the catalog.");
+  }
+});
+
+app.post("/api/catalog", (req, res) => {
+  try {
+    res.status(201).json(catalogStore.createProduct(req.body));
+  } catch (error) {
+    sendError(res, error, "Could not create product.");
+  }
+});
+
+app.get("/api/catalog/:sku", (req, res) => {
+  try {
+    res.status(200).json(catalogStore.getProduct(req.params.sku));
+  } catch (error) {
+    sendError(res, error, "Could not load product.");
+  }
+});
+
+app.put("/api/catalog/:sku", (req, res) => {
+  try {
+    res
+      .status(200)
+      .json(catalogStore.updateProduct(req.params.sku, req.body));
+  } catch (error) {
+    sendError(res, error, "Could not save product.");
+  }
+});
+
+app.delete("/api/catalog/:sku", (req, res) => {
+  try {
+    catalogStore.deleteProduct(req.params.sku);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Could not delete product.");
+  }
+});
+
+// `?callSid=` lists the orders of one call
+app.get("/api/orders", (req, res) => {
+  try {
+    res
+      .status(200)
+      .json(catalogStore.listOrders({ callSid: req.query.callSid }));
+  } catch (error) {
+    sendError(res, error, "Could not load orders.");
+  }
+});
+
+app.get("/api/orders/:orderNumber", (req, res) => {
+  try {
+    res.status(200).json(catalogStore.getOrder(req.params.orderNumber));
+  } catch (error) {
+    sendError(res, error, "Could not load order.");
+  }
+});
+
+// Outgoing webhooks for the CRM; see services/webhook-service.js
+app.get("/api/webhooks", (req, res) => {
+  try {
+    res.status(200).json(webhookManager.listEndpoints());
+  } catch (error) {
+    sendError(res, error, "Could not load webhooks.");
+  }
+});
+
+app.post("/api/webhooks", (req, res) => {
+  try {
+    res.status(201).json(webhookManager.createEndpoint(req.body));
+  } catch (error) {
+    sendError(res, error, "Could not create webhook.");
+  }
+});
+
+app.get("/api/webhooks/:id", (req, res) => {
+  try {
+    res.status(200).json(webhookManager.getEndpoint(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Could not load webhook.");
+  }
+});
+
+app.put("/api/webhooks/:id", (req, res) => {
+  try {
+    res
+      .status(200)
+      .json(webhookManager.updateEndpoint(req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, "Could not save webhook.");
+  }
+});
+
+app.delete("/api/webhooks/:id", (req, res) => {
+  try {
+    webhookManager.deleteEndpoint(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Could not delete webhook.");
+  }
+});
+
+app.get("/api/webhooks/:id/deliveries", (req, res) => {
+  try {
+    webhookManager.getEndpoint(req.params.id);
+    res
+      .status(200)
+      .json(webhookManager.listDeliveries({ endpointId: req.params.id }));
+  } catch (error) {
+    sendError(res, error, "Could not load deliveries.");
+  }
+});
+
+app.post("/api/webhooks/:id/test", (req, res) => {
+  try {
+    res.status(202).json(webhookManager.ping(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Could not queue the test event.");
+  }
+});
+
+app.post("/api/webhooks/deliveries/:deliveryId/retry", (req, res) => {
+  try {
+    res
+      .status(202)
+      .json(webhookManager.retryDelivery(req.params.deliveryId));
+  } catch (error) {
+    sendError(res, error, "Could not retry delivery.");
+  }
+});
+
+// Text conversations with a profile, no telephony; see services/chat-simulator.js
+app.post("/api/simulator", (req, res) => {
+  try {
+    const { profileId = DEFAULT_PROFILE_ID, profileVersion } = req.body;
+    const profile = profileStore.getVersion(profileId, profileVersion);
+    res.status(201).json(chatSessions.create(profile));
+  } catch (error) {
+    sendError(res, error, "Could not start the simulator.");
+  }
+});
+
+app.get("/api/simulator/:id", (req, res) => {
+  try {
+    res.status(200).json(chatSessions.get(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Could not load the simulator session.");
+  }
+});
+
+app.post("/api/simulator/:id/messages", async (req, res) => {
+  try {
+    const session = chatSessions.get(req.params.id);
+    res.status(200).json(await session.send(req.body.text));
+  } catch (error) {
+    if (error.status) return sendError(res, error);
+    // Prompt authors need the LLM error itself, e.g. a bad key or model name
+    console.error("[SIMULATOR] The agent could not answer:".red, error);
+    res
+      .status(502)
+      .json({ message: `The agent could not answer: ${error.message}` });
+  }
+});
+
+app.delete("/api/simulator/:id", (req, res) => {
+  try {
+    chatSessions.delete(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Could not close the simulator session.");
+  }
+});
+
+app.get("/api/tts-cache", (req, res) => {
+  res.status(200).json(ttsCache.list());
+});
+
+// Purges everything, or only one voice with ?provider=&voiceId=
+app.delete("/api/tts-cache", (req, res) => {
+  const { provider, voiceId } = req.query;
+  res.status(200).json({ removed: ttsCache.purge({ provider, voiceId }) });
+});
+
+app.delete("/api/tts-cache/:key", (req, res) => {
+  if (!ttsCache.delete(req.params.key)) {
+    return res.status(404).json({ message: "Cache entry not found." });
+  }
+  res.status(204).end();
+});
+
+// Legacy single-prompt endpoints, now backed by the default profile
 app.get("/api/prompt", (req, res) => {
   try {
-    const promptConfig = JSON.parse(fs.readFileSync("prompt.json", "utf-8"));
-    res.status(200).json(promptConfig);
+    const { system_prompt, assistant_prompt } =
+      profileStore.getVersion(DEFAULT_PROFILE_ID);
+    res.status(200).json({ system_prompt, assistant_prompt });
   } catch (error) {
-    console.error("Error reading prompt file:", error);
+    console.error("Error reading prompt:", error);
     res.status(500).send("Could not load prompt.");
   }
 });
@@ -212,11 +1168,15 @@ app.post("/api/prompt", (req, res) => {
       .send("Both system_prompt and assistant_prompt are required.");
   }
   try {
-    const promptConfig = { system_prompt, assistant_prompt };
-    fs.writeFileSync("prompt.json", JSON.stringify(promptConfig, null, 2));
+    prewarmProfile(
+      profileStore.saveVersion(DEFAULT_PROFILE_ID, {
+        system_prompt,
+        assistant_prompt,
+      })
+    );
     res.status(200).send("Prompt updated successfully.");
   } catch (error) {
-    console.error("Error writing prompt file:", error);
+    console.error("Error saving prompt:", error);
     res.status(500).send("Failed to update prompt.");
   }
 });
@@ -224,19 +1184,72 @@ app.post("/api/prompt", (req, res) => {
 // --- Authenticated Static Files for Dashboard ---
 app.use("/", express.static(path.join(__dirname, "public")));
 
+/**
+ * Synthesizes the fixed phrases of a just saved profile version in the background,
+ * so its calls start without waiting on the TTS provider.
+ * @returns {Object} The same snapshot, for chaining into the response.
+ */
+function prewarmProfile(profile) {
+  new TextToSpeechService({ voice: profile.voice })
+    .prewarm(cacheablePhrases(profile))
+    .then(({ synthesized, failed }) =>
+      console.log(
+        `[TTS] Pre-warmed ${profile.profileId} v${profile.version}: ${synthesized} synthesized, ${failed} failed`
+          .cyan
+      )
+    );
+  return profile;
+}
+
+// Failures are stored on the call record, so the dashboard can offer a re-run
+async function analyzeCall(callSid, options) {
+  try {
+    const analysis = await callAnalyzer.analyze(callSid, options);
+    callEvents.publish(callSid, "analysis", analysis);
+  } catch (error) {
+    callEvents.publish(callSid, "analysis", { status: "failed" });
+  }
+}
+
+async function saveRecording(callSid, recorder) {
+  try {
+    const recording = await recordingStore.save(callSid, recorder);
+    if (recording) {
+      callEvents.publish(callSid, "recording", recording);
+    }
+  } catch (error) {
+    console.error(`[RECORDINGS] Could not save the recording of ${callSid}:`.red, error);
+  }
+}
+
+/**
+ * Answers with the status carried by service errors (see services/errors.js),
+ * or logs the error and answers 500 with a generic message.
+ */
+
+function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}`.red, error);
+  res.status(500).json({ message: fallbackMessage });
+}
+
 // --- Server Start ---
+// Profiles replace prompt.json; the first start imports it as the default profile
+profileStore.ensureDefaultProfile(path.join(__dirname, "prompt.json"));
+// Refuse to start with tools, profiles (or LLM_* variables) that calls would fail on
+try {
+  checkToolRegistry();
+  profileStore.validateAll();
+} catch (error) {
+  console.error(`[STARTUP] ${error.message}`.red);
+  process.exit(1);
+}
+campaignManager.restore();
+webhookManager.restore();
+recordingStore.startCleanup();
+
 app.listen(PORT, () => {
   console.log(`Server and dashboard running on port ${PORT}`.cyan);
-  const promptFilePath = path.join(__dirname, "prompt.json");
-  if (!fs.existsSync(promptFilePath)) {
-    console.log("Creating default prompt.json file...".yellow);
-    const defaultPrompts = {
-      system_prompt:
-        "Você é um representante de vendas outbound que vende AirPods da Apple. Você tem uma personalidade jovem e alegre. Mantenha suas respostas o mais breve possível, mas faça todo o possível para manter o interlocutor ao telefone sem ser rude. Não faça mais de uma pergunta por vez. Não faça suposições sobre quais valores inserir nas funções. Peça esclarecimentos se a solicitação de um usuário for ambígua. Fale todos os preços, incluindo a moeda. Ajude-os a decidir entre os AirPods, AirPods Pro e AirPods Max, fazendo perguntas como 'Você prefere fones de ouvido intra-auriculares ou sobre a orelha?'. Se eles estiverem tentando escolher entre os AirPods e os AirPods Pro, tente perguntar se eles precisam de cancelamento de ruído. Depois de saber qual modelo eles gostariam, pergunte quantos eles gostariam de comprar e tente fazê-los fazer um pedido. Você deve adicionar um símbolo '•' a cada 5 a 10 palavras em pausas naturais, onde sua resposta pode ser dividida para conversão de texto em fala.",
-      assistant_prompt:
-        "Olá! Entendo que você está procurando um par de AirPods, correto?",
-    };
-    fs.writeFileSync(promptFilePath, JSON.stringify(defaultPrompts, null, 2));
-    console.log("Default prompt.json created successfully.".green);
-  }
 });
@@ -1,14 +1,9 @@
-async function checkInventory(functionArgs) {
-  const model = functionArgs.model;
-  console.log('GPT -> called checkInventory function');
-  
-  if (model?.toLowerCase().includes('pro')) {
-    return JSON.stringify({ stock: 10 });
-  } else if (model?.toLowerCase().includes('max')) {
-    return JSON.stringify({ stock: 0 });
-  } else {
-    return JSON.stringify({ stock: 100 });
-  }
+const { catalogStore } = require('../services/catalog-store');
+
+async function checkInventory(functionArgs, context) {
+  context.logger.info(`Checking the stock of ${functionArgs.model}`);
+  const product = catalogStore.resolveProduct(functionArgs.model);
+  return JSON.stringify({ model: product.name, stock: product.stock });
 }
 
-module.exports = checkInventory;
\ No newline at end of file
+module.exports = checkInventory;
@@ -1,13 +1,9 @@
-async function checkPrice(functionArgs) {
-  let model = functionArgs.model;
-  console.log('GPT -> called checkPrice function');
-  if (model?.toLowerCase().includes('pro')) {
-    return JSON.stringify({ price: 249 });
-  } else if (model?.toLowerCase().includes('max')) {
-    return JSON.stringify({ price: 549 });
-  } else {
-    return JSON.stringify({ price: 149 });
-  }
+const { catalogStore } = require('../services/catalog-store');
+
+async function checkPrice(functionArgs, context) {
+  context.logger.info(`Checking the price of ${functionArgs.model}`);
+  const product = catalogStore.resolveProduct(functionArgs.model);
+  return JSON.stringify({ model: product.name, price: product.price, currency: product.currency });
 }
 
-module.exports = checkPrice;
\ No newline at end of file
+module.exports = checkPrice;
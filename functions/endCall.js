@@ -0,0 +1,9 @@
+async function endCall(functionArgs, context) {
+  const { reason } = functionArgs;
+  context.logger.info(`Ending the call: ${reason || 'conversation finished'}`);
+
+  // The server hangs up once the goodbye has played
+  return JSON.stringify({ status: 'ending', reason: reason || 'conversation finished' });
+}
+
+module.exports = endCall;
@@ -5,14 +5,17 @@ const tools = [
     function: {
       name: 'checkInventory',
       say: 'Let me check our inventory right now.',
-      description: 'Check the inventory of airpods, airpods pro or airpods max.',
+      // No side effects, so it may run alongside other read-only tools
+      readOnly: true,
+      // The `enum` of this parameter lists the products of the catalog
+      catalogParameter: 'model',
+      description: 'Check how many units of a product are in stock.',
       parameters: {
         type: 'object',
         properties: {
           model: {
             type: 'string',
-            'enum': ['airpods', 'airpods pro', 'airpods max'],
-            description: 'The model of airpods, either the airpods, airpods pro or airpods max',
+            description: 'The product, by its name in the catalog',
           },
         },
         required: ['model'],
@@ -20,6 +23,10 @@ const tools = [
       returns: {
         type: 'object',
         properties: {
+          model: {
+            type: 'string',
+            description: 'The name of the product.'
+          },
           stock: {
             type: 'integer',
             description: 'An integer containing how many of the model are in currently in stock.'
@@ -33,14 +40,15 @@ const tools = [
     function: {
       name: 'checkPrice',
       say: 'Let me check the price, one moment.',
-      description: 'Check the price of given model of airpods, airpods pro or airpods max.',
+      readOnly: true,
+      catalogParameter: 'model',
+      description: 'Check the price of a product.',
       parameters: {
         type: 'object',
         properties: {
           model: {
             type: 'string',
-            'enum': ['airpods', 'airpods pro', 'airpods max'],
-            description: 'The model of airpods, either the airpods, airpods pro or airpods max',
+            description: 'The product, by its name in the catalog',
           },
         },
         required: ['model'],
@@ -48,9 +56,17 @@ const tools = [
       returns: {
         type: 'object',
         properties: {
+          model: {
+            type: 'string',
+            description: 'The name of the product.'
+          },
           price: {
-            type: 'integer',
-            description: 'the price of the model'
+            type: 'number',
+            description: 'The price of one unit, before tax.'
+          },
+          currency: {
+            type: 'string',
+            description: 'The ISO 4217 code of the currency of the price.'
           }
         }
       }
@@ -61,29 +77,34 @@ const tools = [
     function: {
       name: 'placeOrder',
       say: 'All right, I\'m just going to ring that up in our system.',
-      description: 'Places an order for a set of airpods.',
+      catalogParameter: 'model',
+      description: 'Places an order for a product. Fails when there is not enough stock.',
       parameters: {
         type: 'object',
         properties: {
           model: {
             type: 'string',
-            'enum': ['airpods', 'airpods pro'],
-            description: 'The model of airpods, either the regular or pro',
+            description: 'The product, by its name in the catalog',
           },
           quantity: {
             type: 'integer',
-            description: 'The number of airpods they want to order',
+            minimum: 1,
+            description: 'The number of units they want to order',
           },
         },
-        required: ['type', 'quantity'],
+        required: ['model', 'quantity'],
       },
       returns: {
         type: 'object',
         properties: {
           price: {
-            type: 'integer',
+            type: 'number',
             description: 'The total price of the order including tax'
           },
+          currency: {
+            type: 'string',
+            description: 'The ISO 4217 code of the currency of the price.'
+          },
           orderNumber: {
             type: 'integer',
             description: 'The order number associated with the order.'
@@ -97,23 +118,63 @@ const tools = [
     function: {
       name: 'transferCall',
       say: 'One moment while I transfer your call.',
-      description: 'Transfers the customer to a live agent in case they request help from a real person.',
+      description: 'Transfers the caller to a person in a department, e.g. sales, support or billing, when they ask for one. The result says whether someone took the call, and what to tell the caller if not.',
+      // The call to transfer is the current one, the server knows which
+      parameters: {
+        type: 'object',
+        properties: {
+          department: {
+            type: 'string',
+            description: 'The department the caller needs. Leave it out when the caller did not say.',
+          },
+          reason: {
+            type: 'string',
+            description: 'What the caller wants from a person, in one sentence. It is passed on to them.',
+          },
+        },
+      },
+      returns: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            description: 'transferred or connected when a person took the call; closed, no-answer, busy or failed otherwise.'
+          },
+          fallback: {
+            type: 'string',
+            description: 'When no one took the call: callback or voicemail.'
+          },
+          instruction: {
+            type: 'string',
+            description: 'What to tell the caller.'
+          },
+        }
+      }
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'endCall',
+      say: 'Thank you for calling, have a great day. Goodbye!',
+      // Nothing is said after it: the goodbye plays and the call is hung up
+      endsCall: true,
+      description: 'Ends the phone call. Use it once the conversation is over, e.g. after the order is placed and the customer has nothing else to ask, or when the customer says goodbye.',
       parameters: {
         type: 'object',
         properties: {
-          callSid: {
+          reason: {
             type: 'string',
-            description: 'The unique identifier for the active phone call.',
+            description: 'Why the call is ending, e.g. "order placed" or "customer said goodbye".',
           },
         },
-        required: ['callSid'],
       },
       returns: {
         type: 'object',
         properties: {
           status: {
             type: 'string',
-            description: 'Whether or not the customer call was successfully transfered'
+            description: 'Always "ending"; the call is hung up after the goodbye.'
           },
         }
       }
@@ -1,17 +1,24 @@
-async function placeOrder(functionArgs) {
+const { catalogStore } = require('../services/catalog-store');
+
+// The order is saved with the call it was placed on and its units leave the stock.
+// Simulated conversations only price the order.
+async function placeOrder(functionArgs, context) {
   const {model, quantity} = functionArgs;
-  console.log('GPT -> called placeOrder function');
-  
-  // generate a random order number that is 7 digits 
-  const orderNum = Math.floor(Math.random() * (9999999 - 1000000 + 1) + 1000000);
+  context.logger.info(`Ordering ${quantity} x ${model}`);
 
-  // check model and return the order number and price with 7.9% sales tax
-  if (model?.toLowerCase().includes('pro')) {
-    return JSON.stringify({ orderNumber: orderNum, price: Math.floor(quantity * 249 * 1.079)});
-  } else if (model?.toLowerCase().includes('max')) {
-    return JSON.stringify({ orderNumber: orderNum, price: Math.floor(quantity * 549 * 1.079) });
-  }
-  return JSON.stringify({ orderNumber: orderNum, price: Math.floor(quantity * 179 * 1.079) });
+  const order = catalogStore.placeOrder({
+    product: model,
+    quantity,
+    callSid: context.callSid,
+    dryRun: context.direction === 'simulated',
+  });
+  return JSON.stringify({
+    orderNumber: order.orderNumber,
+    model: order.product,
+    quantity: order.quantity,
+    price: order.total,
+    currency: order.currency,
+  });
 }
 
-module.exports = placeOrder;
\ No newline at end of file
+module.exports = placeOrder;
@@ -1,20 +1,12 @@
-require('dotenv').config();
+const { transferManager } = require('../services/transfer-service');
 
-const transferCall = async function (call) {
+// Transfers the call of the context, not one the model names. The outcome tells the
+// model whether someone took the call, and what to tell the caller if not.
+async function transferCall(functionArgs, context) {
+  const { department, reason } = functionArgs;
+  context.logger.info(`Transferring to ${department || 'the default department'}`);
 
-  console.log('Transferring call', call.callSid);
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  const client = require('twilio')(accountSid, authToken);
+  return JSON.stringify(await transferManager.transfer(context, { department, reason }));
+}
 
-  return await client.calls(call.callSid)
-    .update({twiml: `<Response><Dial>${process.env.TRANSFER_NUMBER}</Dial></Response>`})
-    .then(() => {
-      return 'The call was transferred successfully, say goodbye to the customer.';
-    })
-    .catch(() => {
-      return 'The call was not transferred successfully, advise customer to call back later.';
-    });
-};
-
-module.exports = transferCall;
\ No newline at end of file
+module.exports = transferCall;
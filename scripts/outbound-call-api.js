@@ -6,26 +6,48 @@ require("dotenv").config();
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
 const client = require("twilio")(accountSid, authToken);
+const {
+  machineDetectionOptions,
+} = require("../services/answering-machine");
 
 /**
- * Makes an outbound call to a specified number.
+ * Makes an outbound call to a specified number, with answering machine detection
+ * (see services/answering-machine.js).
  * @param {string} targetNumber The phone number to call.
+ * @param {Object} [options]
+ * @param {string} [options.profileId] Agent profile to run the call with.
+ * @param {number} [options.profileVersion] Profile version pinned to the call.
+ * @param {string} [options.statusCallback] URL Twilio notifies when the call ends.
  * @returns {Promise<string>} The SID of the created call.
  */
-async function makeOutboundCall(targetNumber) {
+async function makeOutboundCall(
+  targetNumber,
+  { profileId, profileVersion, statusCallback } = {}
+) {
   if (!targetNumber) {
     throw new Error("A target phone number is required.");
   }
 
   console.log(`[API-DIALER] Initiating call to ${targetNumber}`);
 
+  // The profile travels on the webhook URL so /incoming can pin it to the stream
+  const query = new URLSearchParams();
+  if (profileId) query.set("profileId", profileId);
+  if (profileVersion) query.set("profileVersion", profileVersion);
+
   try {
     const call = await client.calls.create({
       // The URL Twilio will request when the call connects.
       // This should point to your server's /incoming endpoint.
-      url: `https://${process.env.SERVER}/incoming`,
+      url: `https://${process.env.SERVER}/incoming?${query}`,
       to: targetNumber,
       from: process.env.FROM_NUMBER,
+      ...machineDetectionOptions(),
+      ...(statusCallback && {
+        statusCallback,
+        statusCallbackMethod: "POST",
+        statusCallbackEvent: ["completed"],
+      }),
     });
     console.log(`[API-DIALER] Call initiated with SID: ${call.sid}`.green);
     return call.sid;
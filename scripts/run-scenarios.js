@@ -0,0 +1,77 @@
+// FILE: scripts/run-scenarios.js
+// DESCRIPTION: Runs the scripted conversation scenarios and exits with 1 when one of them fails.
+
+require('dotenv').config();
+require('colors');
+const path = require('path');
+const { profileStore } = require('../services/profile-store');
+const { ScenarioRunner, loadScenario, findScenarioFiles } = require('../services/scenario-runner');
+
+// npm run scenarios -- [files or directories] [--live] [--record] [--judge-model <model>] [--verbose]
+// Without files every scenario in scenarios/ runs. Offline by default.
+const args = process.argv.slice(2);
+const judgeIndex = args.indexOf('--judge-model');
+const judgeModel = judgeIndex === -1 ? undefined : args[judgeIndex + 1];
+const targets = args.filter((arg, i) => !arg.startsWith('--') && (judgeIndex === -1 || i !== judgeIndex + 1));
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+const live = args.includes('--live');
+if (args.includes('--record') && !live) {
+  console.error('--record only works with --live.'.red);
+  process.exit(1);
+}
+// Same first start as the server: the default profile comes from prompt.json
+profileStore.ensureDefaultProfile(path.join(__dirname, '..', 'prompt.json'));
+// The services log every step; keep the report readable unless asked
+if (!args.includes('--verbose')) {
+  console.log = () => {};
+}
+
+const SYMBOLS = { passed: '✔'.green, failed: '✘'.red, skipped: '○'.gray };
+
+function printChecks(checks, indent) {
+  checks.forEach(({ check, status, message }) => {
+    print(`${indent}${SYMBOLS[status]} ${check}${message && status !== 'passed' ? ` — ${message}`.gray : ''}`);
+  });
+}
+
+function printResult(result) {
+  print(`${result.passed ? '✔'.green : '✘'.red} ${result.name.bold} (${path.relative(process.cwd(), result.file)}, ${result.mode})`);
+  result.notes.forEach((note) => print(`  ! ${note}`.yellow));
+  result.turns.forEach((turn, i) => {
+    print(`  ${i + 1}. Caller: ${turn.caller}`);
+    if (turn.skipped) {
+      print('     (not played, the call had ended)'.gray);
+      return;
+    }
+    const tools = turn.tools.map((tool) => `${tool.name}${tool.failed ? ' (failed)' : ''}`).join(', ');
+    print(`     Agent: ${turn.reply}${tools ? ` [${tools}]`.yellow : ''}`.cyan);
+    printChecks(turn.checks, '     ');
+  });
+  printChecks(result.checks, '  ');
+  if (result.error) {
+    print(`  ${result.error}`.red);
+  }
+}
+
+async function main() {
+  const files = findScenarioFiles(targets.length > 0 ? targets : [path.join(__dirname, '..', 'scenarios')]);
+  const runner = new ScenarioRunner({ profileStore, live, record: args.includes('--record'), judgeModel });
+  let failures = 0;
+  for (const file of files) {
+    let result;
+    try {
+      result = await runner.run(loadScenario(file));
+    } catch (error) {
+      result = { name: path.basename(file), file, mode: live ? 'live' : 'offline', passed: false, turns: [], checks: [], notes: [], error: error.message };
+    }
+    printResult(result);
+    if (!result.passed) failures += 1;
+  }
+  print();
+  const summary = `${files.length - failures} of ${files.length} scenarios passed`;
+  print(failures > 0 ? summary.red : summary.green);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
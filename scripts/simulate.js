@@ -0,0 +1,101 @@
+// FILE: scripts/simulate.js
+// DESCRIPTION: Chat with an agent profile in the terminal, without Twilio, Deepgram or a TTS provider.
+
+require('dotenv').config();
+require('colors');
+const path = require('path');
+const readline = require('readline');
+const { profileStore, DEFAULT_PROFILE_ID } = require('../services/profile-store');
+const { ChatSession } = require('../services/chat-simulator');
+
+// npm run simulate -- [--profile <id>] [--version <n>] [--verbose]
+// Type as the caller. /context prints the LLM context, /reset starts over, /exit quits.
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? undefined : args[i + 1];
+};
+const verbose = args.includes('--verbose');
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+// Same first start as the server: the default profile comes from prompt.json
+profileStore.ensureDefaultProfile(path.join(__dirname, '..', 'prompt.json'));
+let profile;
+try {
+  profile = profileStore.getVersion(option('profile') || DEFAULT_PROFILE_ID, option('version'));
+} catch (error) {
+  console.error(error.message.red);
+  process.exit(1);
+}
+// The services log every step; keep the conversation readable unless asked
+if (!verbose) {
+  console.log = () => {};
+}
+
+let session;
+function startSession() {
+  if (session) session.close();
+  session = new ChatSession(profile);
+  session.on('event', printEvent);
+  print(`Profile ${profile.profileId} v${profile.version} · ${profile.model} · tools: ${profile.tools.join(', ') || 'none'}`.gray);
+  print(`Agent: ${session.greeting}`.green);
+  printContext();
+}
+
+function printEvent(event) {
+  if (event.type === 'chunk') {
+    print(`  [${event.index}] ${event.text}`.green);
+  } else if (event.type === 'say') {
+    print(`  (say) ${event.text}`.cyan);
+  } else if (event.type === 'tool') {
+    const status = event.failed ? ' (failed)'.red : '';
+    print(`  ⚙ ${event.name}(${JSON.stringify(event.arguments)}) → ${event.result}${status}`.yellow);
+  } else if (event.type === 'end') {
+    print('  The agent ended the call. /reset to start over.'.magenta);
+  }
+}
+
+function printContext(added) {
+  const { messages, characters } = session.contextSize();
+  const growth = added === undefined ? '' : ` (+${added})`;
+  print(`  context: ${messages} messages${growth}, ${characters} characters`.gray);
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'You> ' });
+
+async function handle(line) {
+  const text = line.trim();
+  if (text === '/exit') {
+    rl.close();
+    return;
+  }
+  if (text === '/reset') {
+    startSession();
+  } else if (text === '/context') {
+    print(JSON.stringify(session.gptService.userContext, null, 2).gray);
+  } else if (text) {
+    try {
+      const turn = await session.send(text);
+      printContext(turn.context.added);
+    } catch (error) {
+      print(`  ${error.message}`.red);
+    }
+  }
+  rl.prompt();
+}
+
+// One line at a time, also when the input is piped in
+let queue = Promise.resolve();
+rl.on('line', (line) => {
+  queue = queue.then(() => handle(line));
+});
+
+rl.on('close', () => {
+  queue.then(() => {
+    session.close();
+    process.exit(0);
+  });
+});
+
+startSession();
+rl.prompt();
@@ -0,0 +1,44 @@
+// FILE: scripts/webhook-receiver.js
+// DESCRIPTION: Local stand-in for the CRM: receives the outgoing webhooks, checks their signature and logs them.
+
+require('dotenv').config();
+require('colors');
+const express = require('express');
+const { verifySignature } = require('../services/webhook-service');
+
+// npm run webhook-receiver, then add http://localhost:4000/webhooks as a webhook with
+// the same secret. WEBHOOK_RECEIVER_FAILURES=<n> answers the first n deliveries with
+// a 500, to watch the retries.
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = Number(process.env.WEBHOOK_RECEIVER_FAILURES || 0);
+
+if (!secret) {
+  console.error('Set WEBHOOK_SECRET to the secret of the webhook.'.red);
+  process.exit(1);
+}
+
+const app = express();
+// The signature covers the exact bytes that were sent
+app.use(express.json({ verify: (req, res, buffer) => (req.rawBody = buffer.toString()) }));
+
+app.post('/webhooks', (req, res) => {
+  const event = req.get('X-Kaller-Event');
+  const delivery = req.get('X-Kaller-Delivery');
+  if (!verifySignature(secret, req.get('X-Kaller-Signature'), req.rawBody || '')) {
+    console.warn(`[RECEIVER] Rejected ${event} (${delivery}): bad signature`.red);
+    return res.status(401).send('Invalid signature');
+  }
+  if (failuresLeft > 0) {
+    failuresLeft -= 1;
+    console.warn(`[RECEIVER] Failing ${event} (${delivery}) on purpose`.yellow);
+    return res.status(500).send('Failing on purpose');
+  }
+  console.log(`[RECEIVER] ${event} (${delivery})`.green);
+  console.log(JSON.stringify(req.body.data, null, 2));
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/webhooks`.cyan);
+});
@@ -0,0 +1,47 @@
+// FILE: services/answering-machine.js
+// DESCRIPTION: Interprets Twilio answering machine detection results and the voicemail settings of a profile.
+
+const DEFAULT_VOICEMAIL = {
+  action: 'message',
+  message: 'Olá! Tentamos falar com você sobre os AirPods da Apple. Ligaremos novamente em outro momento. Até logo!',
+};
+
+// `AnsweredBy` values of async AMD that mean nobody is there to talk to
+const MACHINE_RESULTS = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'];
+
+/**
+ * @param {string} answeredBy The `AnsweredBy` of the AMD callback.
+ * @returns {boolean} True for answering machines and fax; `human` and `unknown`
+ * keep the conversation going.
+ */
+function isMachine(answeredBy) {
+  return MACHINE_RESULTS.includes(answeredBy);
+}
+
+/**
+ * Voicemail settings of a profile.
+ * @param {Object} [profile]
+ * @returns {{action: string, message: string}} `action` is `message` (leave the
+ * message, then hang up) or `hangup`.
+ */
+function voicemailSettings(profile = {}) {
+  return { ...DEFAULT_VOICEMAIL, ...(profile.voicemail || {}) };
+}
+
+/**
+ * Twilio call options that turn on async answering machine detection. The call
+ * connects right away and the result is posted to `/amd` while the agent talks.
+ * `DetectMessageEnd` waits for the greeting's beep, so a message lands on the recording.
+ * @returns {Object} Empty when AMD_ENABLED is `false`.
+ */
+function machineDetectionOptions() {
+  if (process.env.AMD_ENABLED === 'false') return {};
+  return {
+    machineDetection: 'DetectMessageEnd',
+    asyncAmd: 'true',
+    asyncAmdStatusCallback: `https://${process.env.SERVER}/amd`,
+    asyncAmdStatusCallbackMethod: 'POST',
+  };
+}
+
+module.exports = { isMachine, voicemailSettings, machineDetectionOptions, DEFAULT_VOICEMAIL };
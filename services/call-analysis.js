@@ -0,0 +1,216 @@
+// FILE: services/call-analysis.js
+// DESCRIPTION: Post-call processing: asks the LLM for a summary, a disposition and the profile's structured fields.
+
+require('colors');
+const { createProvider, llmSettings, forcedToolCall } = require('./llm-providers');
+const { validateSchema } = require('./schema-validator');
+const { HttpError } = require('./errors');
+
+const DISPOSITIONS = ['sold', 'not-interested', 'callback', 'transferred', 'voicemail'];
+
+// Used when a profile doesn't define its own fields
+const DEFAULT_ANALYSIS_FIELDS = {
+  type: 'object',
+  properties: {
+    model: {
+      type: 'string',
+      enum: ['airpods', 'airpods pro', 'airpods max'],
+      description: 'The AirPods model the caller chose or showed the most interest in.',
+    },
+    budget: {
+      type: 'number',
+      description: 'The budget the caller mentioned, in US dollars.',
+    },
+    objections: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Each objection the caller raised, in a few words.',
+    },
+  },
+};
+
+// An analysis model that keeps breaking the schema gets one second chance
+const MAX_ATTEMPTS = 2;
+
+const ANALYSIS_TOOL = 'recordAnalysis';
+
+const ANALYSIS_PROMPT = `You review phone calls made by a voice sales agent. Read the conversation and call ${ANALYSIS_TOOL} once with:
+- summary: two or three sentences on what happened in the call.
+- disposition: sold (an order was placed), not-interested, callback (the caller asked to be called again), transferred (the call went to a person) or voicemail.
+- fields: only what the caller actually said. Leave out anything that was not mentioned.`;
+
+/**
+ * Analysis settings of a profile.
+ * @param {Object} [profile]
+ * @returns {{fields: Object}} `fields` is the JSON Schema of the structured fields.
+ */
+function analysisSettings(profile = {}) {
+  return { fields: DEFAULT_ANALYSIS_FIELDS, ...(profile.analysis || {}) };
+}
+
+/**
+ * @param {Object} fields JSON Schema of the structured fields.
+ * @returns {Object} The tool the model must call with its analysis.
+ */
+function analysisTool(fields) {
+  return {
+    type: 'function',
+    function: {
+      name: ANALYSIS_TOOL,
+      description: 'Records the analysis of the call.',
+      parameters: {
+        type: 'object',
+        properties: {
+          summary: { type: 'string', description: 'What happened in the call.' },
+          disposition: { type: 'string', enum: DISPOSITIONS },
+          fields,
+        },
+        required: ['summary', 'disposition', 'fields'],
+      },
+    },
+  };
+}
+
+/**
+ * Writes the conversation out as plain text. The finished LLM context is used when
+ * the call has one; older calls fall back to their transcript.
+ * @param {Object} call A call record.
+ * @returns {string}
+ */
+function renderConversation(call) {
+  if (!call.context) {
+    return call.transcript
+      .map((entry) => `${entry.role === 'user' ? 'Caller' : 'Agent'}: ${entry.text}`)
+      .join('\n');
+  }
+  return call.context
+    .map((message) => {
+      if (message.role === 'user') return `Caller: ${message.content}`;
+      if (message.role === 'tool') return `Tool result: ${message.content}`;
+      if (message.role === 'system') return `Note: ${message.content}`;
+      const toolCalls = (message.tool_calls || []).map(
+        (toolCall) => `Agent called ${toolCall.function.name}(${toolCall.function.arguments})`
+      );
+      return [message.content && `Agent: ${message.content}`, ...toolCalls].filter(Boolean).join('\n');
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * @class CallAnalyzer
+ * @description Runs after a call ended and stores `analysis` on the call record:
+ * `{ status, summary, disposition, fields, profileVersion, analyzedAt }`, or
+ * `{ status: 'failed', error }`. Calls a machine answered are marked `voicemail`
+ * without asking the LLM. The model is made to answer through a tool whose
+ * parameters are the profile's schema, and its answer is validated against it.
+ */
+class CallAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.callStore
+   * @param {Object} options.profileStore
+   * @param {Object} [options.llm] Chat adapter to use instead of the profile's provider.
+   */
+  constructor({ callStore, profileStore, llm }) {
+    this.callStore = callStore;
+    this.profileStore = profileStore;
+    this.llm = llm;
+    this.running = new Set();
+  }
+
+  /**
+   * Analyzes a finished call, replacing any earlier analysis.
+   * @param {string} callSid
+   * @param {Object} [options]
+   * @param {number} [options.profileVersion] Profile version whose schema is used.
+   * Defaults to the current version, so a re-run picks up a changed schema.
+   * @returns {Promise<Object>} The stored analysis.
+   * @throws {HttpError} 404 for unknown calls, 409 while the call is still running
+   * or being analyzed, 502 when the LLM gave no valid analysis.
+   */
+  async analyze(callSid, { profileVersion } = {}) {
+    const call = this.callStore.getCall(callSid);
+    if (!call) {
+      throw new HttpError(404, `Call ${callSid} not found.`);
+    }
+    if (call.status !== 'completed') {
+      throw new HttpError(409, `Call ${callSid} is still in progress.`);
+    }
+    if (this.running.has(callSid)) {
+      throw new HttpError(409, `Call ${callSid} is already being analyzed.`);
+    }
+
+    this.running.add(callSid);
+    const profile = this.profileStore.resolve(call.profileId, profileVersion);
+    try {
+      const result = call.outcome === 'voicemail'
+        ? { summary: 'An answering machine picked up; no conversation took place.', disposition: 'voicemail', fields: {} }
+        : await this.ask(call, profile);
+      const analysis = {
+        status: 'completed',
+        ...result,
+        profileVersion: profile.version,
+        analyzedAt: new Date().toISOString(),
+      };
+      this.callStore.update(callSid, { analysis });
+      console.log(`[ANALYSIS] ${callSid}: ${analysis.disposition}`.cyan);
+      return analysis;
+    } catch (error) {
+      console.error(`[ANALYSIS] Could not analyze ${callSid}: ${error.message}`.red);
+      this.callStore.update(callSid, {
+        analysis: {
+          status: 'failed',
+          error: error.message,
+          profileVersion: profile.version,
+          analyzedAt: new Date().toISOString(),
+        },
+      });
+      throw new HttpError(502, `Could not analyze call ${callSid}: ${error.message}`);
+    } finally {
+      this.running.delete(callSid);
+    }
+  }
+
+  async ask(call, profile) {
+    const { fields } = analysisSettings(profile);
+    const settings = llmSettings(profile);
+    const llm = this.llm || createProvider(settings.provider, { baseUrl: settings.baseUrl });
+    const tool = analysisTool(fields);
+    const messages = [
+      { role: 'system', content: ANALYSIS_PROMPT },
+      { role: 'user', content: renderConversation(call) },
+    ];
+
+    for (let attempt = 1; ; attempt++) {
+      const { id, arguments: args } = await forcedToolCall(llm, { model: settings.model, messages, tool });
+      let result;
+      let errors;
+      try {
+        result = JSON.parse(args);
+        errors = validateSchema(tool.function.parameters, result, 'analysis');
+      } catch (error) {
+        errors = [`The arguments are not valid JSON: ${error.message}`];
+      }
+      if (errors.length === 0) {
+        return { summary: result.summary, disposition: result.disposition, fields: result.fields };
+      }
+      if (attempt >= MAX_ATTEMPTS) {
+        throw new Error(errors.join(' '));
+      }
+      // Same shape as a failed tool call in a conversation, so the model can fix it
+      messages.push(
+        { role: 'assistant', content: null, tool_calls: [{ id, type: 'function', function: { name: ANALYSIS_TOOL, arguments: args } }] },
+        { role: 'tool', tool_call_id: id, content: JSON.stringify({ error: errors.join(' ') }) }
+      );
+    }
+  }
+}
+
+module.exports = {
+  CallAnalyzer,
+  analysisSettings,
+  renderConversation,
+  DEFAULT_ANALYSIS_FIELDS,
+  DISPOSITIONS,
+};
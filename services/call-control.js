@@ -0,0 +1,35 @@
+// FILE: services/call-control.js
+// DESCRIPTION: Acts on live calls through the Twilio REST API.
+
+require('colors');
+
+let twilioClient;
+/**
+ * @returns {Object} The Twilio client shared by everything acting on live calls.
+ */
+function getClient() {
+  if (!twilioClient) {
+    twilioClient = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return twilioClient;
+}
+
+/**
+ * Ends a live call.
+ * @param {string} callSid
+ * @param {Object} [options]
+ * @param {Object} [options.client] A Twilio client, used instead of the shared one.
+ * @returns {Promise<boolean>} Whether Twilio accepted the hangup.
+ */
+async function hangupCall(callSid, { client } = {}) {
+  try {
+    await (client || getClient()).calls(callSid).update({ status: 'completed' });
+    console.log(`[CALL] Hung up ${callSid}`.yellow);
+    return true;
+  } catch (error) {
+    console.error(`[CALL] Could not hang up ${callSid}: ${error.message}`.red);
+    return false;
+  }
+}
+
+module.exports = { getClient, hangupCall };
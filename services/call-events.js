@@ -0,0 +1,38 @@
+// FILE: services/call-events.js
+// DESCRIPTION: Process-wide event bus for everything that happens inside the /connection pipeline.
+
+const EventEmitter = require('events');
+
+/**
+ * @class CallEvents
+ * @description Collects events from every active call so other parts of the app
+ * (e.g. the dashboard live monitor) can follow calls without touching the media
+ * stream handler.
+ * @emits 'event' with every published event.
+ * @emits '<type>' with events of that type only.
+ */
+class CallEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open dashboard tab, so there is no sensible limit.
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publishes an event for a call.
+   * @param {string} callSid The call the event belongs to.
+   * @param {string} type Event name, e.g. `transcription` or `gptreply`.
+   * @param {Object} [data] Event payload.
+   * @returns {{callSid: string, type: string, data: Object, timestamp: string}} The published event.
+   */
+  publish(callSid, type, data = {}) {
+    const event = { callSid, type, data, timestamp: new Date().toISOString() };
+    this.emit('event', event);
+    this.emit(type, event);
+    return event;
+  }
+}
+
+const callEvents = new CallEvents();
+
+module.exports = { CallEvents, callEvents };
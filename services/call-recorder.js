@@ -0,0 +1,105 @@
+// FILE: services/call-recorder.js
+// DESCRIPTION: Captures both sides of a call from the media stream, time-aligned for a stereo recording.
+
+const { Buffer } = require('node:buffer');
+
+// mulaw/8000: one byte per sample, eight per millisecond
+const BYTES_PER_MS = 8;
+const MULAW_SILENCE = 0xff;
+
+/**
+ * @class CallRecorder
+ * @description Keeps the caller's audio (left channel) and the agent's (right channel)
+ * of one call in memory. Positions are byte offsets from the start of the stream.
+ *
+ * The caller's frames carry Twilio's timestamp. The agent's audio is sent faster
+ * than it plays, so it is placed where Twilio will play it: right away when nothing
+ * is queued, otherwise after the queued audio. A `clear` (barge-in, voicemail) drops
+ * the queued audio that had not played yet, and so does the end of the call.
+ */
+class CallRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] Clock, for tests.
+   */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.startedAt = this.now();
+    this.inbound = [];
+    this.outbound = [];
+    // Where the agent audio queued at Twilio ends
+    this.playhead = 0;
+    this.stopped = false;
+  }
+
+  position() {
+    return Math.round((this.now() - this.startedAt) * BYTES_PER_MS);
+  }
+
+  /**
+   * Adds a frame of the caller's audio.
+   * @param {string} payload Base64 mulaw/8000, from a `media` event.
+   * @param {string|number} [timestamp] Milliseconds since the stream started, as sent by Twilio.
+   */
+  addInbound(payload, timestamp) {
+    if (this.stopped) return;
+    const offset = timestamp === undefined ? this.position() : Math.round(Number(timestamp) * BYTES_PER_MS);
+    this.inbound.push({ offset, audio: Buffer.from(payload, 'base64') });
+  }
+
+  /**
+   * Adds a piece of the agent's audio, as sent to Twilio.
+   * @param {string} payload Base64 mulaw/8000.
+   */
+  addOutbound(payload) {
+    if (this.stopped) return;
+    const audio = Buffer.from(payload, 'base64');
+    const offset = Math.max(this.position(), this.playhead);
+    this.outbound.push({ offset, audio });
+    this.playhead = offset + audio.length;
+  }
+
+  /**
+   * Twilio dropped the agent audio it had not played yet.
+   */
+  clear() {
+    if (this.stopped) return;
+    this.cut(this.position());
+  }
+
+  // Drops the agent audio after a position
+  cut(position) {
+    this.outbound = this.outbound
+      .filter(({ offset }) => offset < position)
+      .map(({ offset, audio }) => ({ offset, audio: audio.subarray(0, position - offset) }));
+    this.playhead = Math.min(this.playhead, position);
+  }
+
+  /**
+   * Ends the recording; agent audio still queued never played.
+   */
+  stop() {
+    if (this.stopped) return;
+    this.cut(this.position());
+    this.stopped = true;
+  }
+
+  /**
+   * @returns {{left: Uint8Array, right: Uint8Array, durationMs: number}} Both channels
+   * as mulaw samples of the same length, silence where nothing was heard.
+   */
+  channels() {
+    const length = [...this.inbound, ...this.outbound].reduce(
+      (end, { offset, audio }) => Math.max(end, offset + audio.length),
+      0
+    );
+    const fill = (segments) => {
+      const channel = new Uint8Array(length).fill(MULAW_SILENCE);
+      segments.forEach(({ offset, audio }) => channel.set(audio, offset));
+      return channel;
+    };
+    return { left: fill(this.inbound), right: fill(this.outbound), durationMs: Math.round(length / BYTES_PER_MS) };
+  }
+}
+
+module.exports = { CallRecorder, BYTES_PER_MS, MULAW_SILENCE };
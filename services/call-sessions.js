@@ -0,0 +1,85 @@
+// FILE: services/call-sessions.js
+// DESCRIPTION: Registry of the live /connection sessions, so webhooks can reach the call they are about.
+
+/**
+ * @class CallSessions
+ * @description Maps a callSid to the handlers of its media stream session. Twilio
+ * webhooks (e.g. answering machine detection) arrive on their own HTTP requests and
+ * may come before the media stream started; such signals are held and handed over
+ * when the session registers. Held signals expire after `pendingTtlMs`, and signals
+ * for a call whose session already ended are dropped, so calls that never stream
+ * don't pile up.
+ */
+class CallSessions {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pendingTtlMs] How long signals wait for their session, and how long ended calls are remembered.
+   * @param {Function} [options.now] Clock, replaceable in tests.
+   */
+  constructor({ pendingTtlMs = 60000, now = Date.now } = {}) {
+    this.pendingTtlMs = pendingTtlMs;
+    this.now = now;
+    this.sessions = new Map();
+    // callSid -> { since, signals }
+    this.pending = new Map();
+    // callSid -> time the session ended
+    this.ended = new Map();
+  }
+
+  /**
+   * @param {string} callSid
+   * @param {Object} session Handlers, e.g. `{ answeredBy(result) }`.
+   */
+  register(callSid, session) {
+    this.sessions.set(callSid, session);
+    this.ended.delete(callSid);
+    const { signals } = this.pending.get(callSid) || { signals: [] };
+    this.pending.delete(callSid);
+    signals.forEach(([name, args]) => this.deliver(callSid, name, ...args));
+  }
+
+  unregister(callSid) {
+    this.sessions.delete(callSid);
+    this.pending.delete(callSid);
+    this.ended.set(callSid, this.now());
+  }
+
+  get(callSid) {
+    return this.sessions.get(callSid);
+  }
+
+  /**
+   * Calls handler `name` of the session, or keeps the signal until it registers.
+   * Signals for a call whose session already ended are dropped.
+   * @param {string} callSid
+   * @param {string} name
+   * @param {...*} args
+   * @returns {boolean} Whether a live session handled it right away.
+   */
+  deliver(callSid, name, ...args) {
+    const session = this.sessions.get(callSid);
+    if (!session) {
+      this.prune();
+      if (!this.ended.has(callSid)) {
+        const entry = this.pending.get(callSid) || { since: this.now(), signals: [] };
+        entry.signals.push([name, args]);
+        this.pending.set(callSid, entry);
+      }
+      return false;
+    }
+    if (typeof session[name] === 'function') {
+      session[name](...args);
+    }
+    return true;
+  }
+
+  prune() {
+    const cutoff = this.now() - this.pendingTtlMs;
+    this.pending.forEach(({ since }, callSid) => since < cutoff && this.pending.delete(callSid));
+    this.ended.forEach((endedAt, callSid) => endedAt < cutoff && this.ended.delete(callSid));
+  }
+}
+
+const callSessions = new CallSessions();
+
+module.exports = { CallSessions, callSessions };
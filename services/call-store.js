@@ -0,0 +1,240 @@
+// FILE: services/call-store.js
+// DESCRIPTION: Keeps a record of every call (metadata, transcript and tool calls) and persists it to disk.
+
+require('colors');
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./storage');
+
+/**
+ * @class CallStore
+ * @description Stores one JSON document per call under `data/calls/<callSid>.json`.
+ * Active calls are also kept in memory so the media stream handler can append
+ * to them cheaply; every change is flushed to disk right away so nothing is lost
+ * if the process dies mid-call.
+ */
+class CallStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] Directory for the call files. Defaults to `data/calls`.
+   */
+  constructor({ dir } = {}) {
+    this.dir = dir || dataPath('calls');
+    this.activeCalls = new Map();
+  }
+
+  filePath(callSid) {
+    return path.join(this.dir, `${path.basename(callSid)}.json`);
+  }
+
+  save(call) {
+    writeJson(this.filePath(call.callSid), call);
+    return call;
+  }
+
+  /**
+   * Creates the record for a call whose media stream just started.
+   * @param {Object} details
+   * @param {string} details.callSid
+   * @param {string} details.streamSid
+   * @param {string} [details.direction] `inbound` or `outbound-api`, as reported by Twilio.
+   * @param {string} [details.from]
+   * @param {string} [details.to]
+   * @param {string} [details.profileId] The agent profile pinned to the call.
+   * @param {number} [details.profileVersion]
+   * @returns {Object} The new call record.
+   */
+  startCall({ callSid, streamSid, direction, from, to, profileId, profileVersion }) {
+    const call = {
+      callSid,
+      streamSid,
+      direction: direction || 'unknown',
+      from: from || null,
+      to: to || null,
+      profileId: profileId || null,
+      profileVersion: profileVersion || null,
+      status: 'in-progress',
+      startTime: new Date().toISOString(),
+      endTime: null,
+      transcript: [],
+      toolCalls: [],
+      latency: [],
+    };
+    this.activeCalls.set(callSid, call);
+    return this.save(call);
+  }
+
+  /**
+   * Appends a user transcript or an assistant reply to the call.
+   * @param {string} callSid
+   * @param {Object} entry
+   * @param {string} entry.role `user` or `assistant`.
+   * @param {string} entry.text
+   * @param {number|null} entry.interactionCount The interaction index, `null` for the greeting.
+   * @param {string} [entry.source] `keypad` for digits typed by the caller.
+   */
+  addTranscript(callSid, { role, text, interactionCount, source }) {
+    return this.append(callSid, 'transcript', {
+      role,
+      text,
+      interactionCount,
+      ...(source && { source }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Records a tool invocation made by the model.
+   * @param {string} callSid
+   * @param {Object} entry
+   * @param {string} entry.name The function name.
+   * @param {Object} entry.arguments The parsed arguments.
+   * @param {*} entry.result What the function returned.
+   * @param {number} [entry.durationMs] How long the function ran.
+   * @param {number} entry.interactionCount
+   */
+  addToolCall(callSid, { name, arguments: args, result, durationMs, interactionCount }) {
+    return this.append(callSid, 'toolCalls', {
+      name,
+      arguments: args,
+      result,
+      ...(durationMs !== undefined && { durationMs }),
+      interactionCount,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Records how long the caller waited for the first audio of a turn, and where
+   * the time went.
+   * @param {string} callSid
+   * @param {Object} entry A trace from LatencyTracer.
+   * @param {number} entry.interactionCount
+   * @param {number|null} entry.timeToFirstAudioMs From the final transcription to the
+   * first audio sent to Twilio; `null` when no audio was sent.
+   * @param {Object} [entry.stages] Milliseconds by pipeline stage.
+   */
+  addLatency(callSid, { interactionCount, timeToFirstAudioMs, ...trace }) {
+    return this.append(callSid, 'latency', {
+      interactionCount,
+      timeToFirstAudioMs,
+      ...trace,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Records that the caller talked over the reply of an interaction. The reply keeps
+   * its full text, with what was actually heard next to it; a reply that was cut
+   * before it finished is added with the heard text only.
+   * @param {string} callSid
+   * @param {Object} interruption
+   * @param {number} interruption.interactionCount
+   * @param {string} interruption.heardText
+   * @returns {Object|null} The transcript entry.
+   */
+  markInterrupted(callSid, { interactionCount, heardText }) {
+    const call = this.getCall(callSid);
+    if (!call) return null;
+    const entry = call.transcript
+      .filter((e) => e.role === 'assistant' && e.interactionCount === interactionCount)
+      .pop();
+    if (!entry) {
+      return this.append(callSid, 'transcript', {
+        role: 'assistant',
+        text: heardText,
+        interactionCount,
+        interrupted: true,
+        heardText,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    Object.assign(entry, { interrupted: true, heardText });
+    this.save(call);
+    return entry;
+  }
+
+  /**
+   * Merges arbitrary fields into the call record.
+   * @param {string} callSid
+   * @param {Object} fields
+   * @returns {Object|null} The updated record, or null if the call is unknown.
+   */
+  update(callSid, fields) {
+    const call = this.getCall(callSid);
+    if (!call) return null;
+    Object.assign(call, fields);
+    return this.save(call);
+  }
+
+  /**
+   * Marks the call as finished. Calling it more than once is harmless.
+   * @param {string} callSid
+   * @param {Object} [options]
+   * @param {string} [options.endReason] Why the call ended, e.g. `stop` or
+   * `socket-closed`. A reason recorded earlier (`agent`, `silence`) is kept.
+   * @returns {Object|null} The final record.
+   */
+  endCall(callSid, { endReason } = {}) {
+    const call = this.activeCalls.get(callSid);
+    if (!call) return this.getCall(callSid);
+    call.status = 'completed';
+    call.endTime = new Date().toISOString();
+    call.endReason = call.endReason || endReason || null;
+    this.activeCalls.delete(callSid);
+    return this.save(call);
+  }
+
+  append(callSid, key, entry) {
+    const call = this.getCall(callSid);
+    if (!call) {
+      console.warn(`[CALLS] Ignoring ${key} entry for unknown call ${callSid}`.yellow);
+      return null;
+    }
+    call[key].push(entry);
+    this.save(call);
+    return entry;
+  }
+
+  /**
+   * @param {string} callSid
+   * @returns {Object|null} The full call record.
+   */
+  getCall(callSid) {
+    if (!callSid) return null;
+    return this.activeCalls.get(callSid) || readJson(this.filePath(callSid));
+  }
+
+  /**
+   * Lists every stored call, newest first, without the transcript, tool call, latency
+   * and LLM context bodies.
+   * @returns {Array<Object>}
+   */
+  listCalls() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => readJson(path.join(this.dir, file)))
+      .map((call) => {
+        const { transcript, toolCalls, latency = [] } = call;
+        // Turns that never got to play audio have no time to first audio
+        const timed = latency.filter((entry) => typeof entry.timeToFirstAudioMs === 'number');
+        const summary = { ...call };
+        ['transcript', 'toolCalls', 'latency', 'context'].forEach((field) => delete summary[field]);
+        return {
+          ...summary,
+          transcriptCount: transcript.length,
+          toolCallCount: toolCalls.length,
+          averageTimeToFirstAudioMs: timed.length
+            ? Math.round(timed.reduce((total, entry) => total + entry.timeToFirstAudioMs, 0) / timed.length)
+            : null,
+        };
+      })
+      .sort((a, b) => b.startTime.localeCompare(a.startTime));
+  }
+}
+
+const callStore = new CallStore();
+
+module.exports = { CallStore, callStore };
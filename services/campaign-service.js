@@ -0,0 +1,423 @@
+// FILE: services/campaign-service.js
+// DESCRIPTION: Batch outbound campaigns: CSV contact lists dialed with pacing, retries and status tracking.
+
+require('colors');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { HttpError } = require('./errors');
+
+// Outcomes worth another attempt later: Twilio's busy/no-answer call statuses,
+// and `error` when the call could not even be created.
+const RETRYABLE_OUTCOMES = ['busy', 'no-answer', 'error'];
+
+// Twilio ends any call after four hours, so a contact still `in-progress` past that
+// lost its status callback and would hold a concurrency slot forever.
+const CALL_TIMEOUT_MS = 4 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  concurrency: 1,
+  callsPerMinute: 6,
+  maxAttempts: 3,
+  retryDelaySeconds: 300,
+};
+
+/**
+ * @class CampaignManager
+ * @description Keeps campaigns in `data/campaigns/<id>.json` and dials their contacts.
+ * Campaigns are loaded into memory once and every change goes through the same
+ * objects, so a status callback arriving mid-dial can't be overwritten. A single timer ticks every running campaign; each tick starts as many calls as the
+ * concurrency limit and the calls-per-minute budget allow. Twilio status callbacks
+ * (see `handleCallStatus`) free the slot and decide whether a contact is retried.
+ * @emits 'updated' with the campaign every time it changes.
+ */
+class CampaignManager extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] Directory for the campaign files. Defaults to `data/campaigns`.
+   * @param {Function} [options.dialer] `(number, options) => Promise<callSid>`, usually `makeOutboundCall`.
+   * @param {Function} [options.now] Clock, replaceable in tests.
+   * @param {number} [options.tickMs] How often running campaigns are checked.
+   * @param {number} [options.callTimeoutMs] How long a dialed contact may wait for its status callback.
+   */
+  constructor({ dir, dialer, now = Date.now, tickMs = 1000, callTimeoutMs = CALL_TIMEOUT_MS } = {}) {
+    super();
+    this.dir = dir || dataPath('campaigns');
+    this.dialer = dialer;
+    this.now = now;
+    this.tickMs = tickMs;
+    this.callTimeoutMs = callTimeoutMs;
+    this.timer = null;
+    this.campaigns = null;
+    // Dial times of the last minute, per campaign, for the calls-per-minute limit
+    this.recentDials = new Map();
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${path.basename(id)}.json`);
+  }
+
+  load() {
+    if (!this.campaigns) {
+      this.campaigns = new Map();
+      if (fs.existsSync(this.dir)) {
+        fs.readdirSync(this.dir)
+          .filter((file) => file.endsWith('.json'))
+          .map((file) => readJson(path.join(this.dir, file)))
+          .forEach((campaign) => this.campaigns.set(campaign.id, campaign));
+      }
+    }
+    return this.campaigns;
+  }
+
+  save(campaign) {
+    campaign.updatedAt = new Date(this.now()).toISOString();
+    campaign.progress = countByStatus(campaign.contacts);
+    writeJson(this.filePath(campaign.id), campaign);
+    this.emit('updated', campaign);
+    return campaign;
+  }
+
+  /**
+   * Creates a campaign from a CSV contact list. The CSV needs a header row with a
+   * `number` (or `phone`/`telefone`) column; a `name`/`nome` column is optional and
+   * any other column is kept on the contact.
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.csv The CSV file content.
+   * @param {string} [options.profileId] Agent profile used for every call.
+   * @param {number} [options.concurrency] Maximum simultaneous calls.
+   * @param {number} [options.callsPerMinute] Maximum new calls per minute.
+   * @param {number} [options.maxAttempts] Attempts per contact, retries included.
+   * @param {number} [options.retryDelaySeconds] Delay before the first retry, doubled on each following one.
+   * @returns {Object} The campaign, not started yet.
+   */
+  createCampaign({ name, csv, profileId, ...settings }) {
+    if (!name) {
+      throw new HttpError(400, 'A campaign name is required.');
+    }
+    const contacts = parseContacts(csv || '');
+    if (contacts.length === 0) {
+      throw new HttpError(400, 'The CSV has no contacts.');
+    }
+
+    const campaign = {
+      id: uuid.v4(),
+      name,
+      profileId: profileId || null,
+      settings: validateSettings({ ...DEFAULT_SETTINGS, ...settings }),
+      status: 'pending',
+      createdAt: new Date(this.now()).toISOString(),
+      contacts,
+    };
+    this.load().set(campaign.id, campaign);
+    return this.save(campaign);
+  }
+
+  /**
+   * Lists campaigns without their contacts, newest first.
+   * @returns {Array<Object>}
+   */
+  listCampaigns() {
+    return [...this.load().values()]
+      .map((campaign) => {
+        const summary = { ...campaign };
+        delete summary.contacts;
+        return summary;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object} The campaign with all its contacts.
+   * @throws {HttpError} 404 when the campaign does not exist.
+   */
+  getCampaign(id) {
+    const campaign = this.load().get(id);
+    if (!campaign) {
+      throw new HttpError(404, `Campaign ${id} not found.`);
+    }
+    return campaign;
+  }
+
+  start(id) {
+    return this.transition(id, ['pending'], 'running');
+  }
+
+  pause(id) {
+    return this.transition(id, ['running'], 'paused');
+  }
+
+  resume(id) {
+    return this.transition(id, ['paused'], 'running');
+  }
+
+  /**
+   * Stops dialing for good. Calls already in progress are left to finish.
+   */
+  cancel(id) {
+    return this.transition(id, ['pending', 'running', 'paused'], 'cancelled');
+  }
+
+  transition(id, from, to) {
+    const campaign = this.getCampaign(id);
+    if (!from.includes(campaign.status)) {
+      throw new HttpError(409, `Cannot change a ${campaign.status} campaign to ${to}.`);
+    }
+    campaign.status = to;
+    this.save(campaign);
+    console.log(`[CAMPAIGN] ${campaign.name} is now ${to}`.cyan);
+    this.updateTimer();
+    return campaign;
+  }
+
+  /**
+   * Restarts the timer for campaigns that were running when the process stopped.
+   * Contacts left `in-progress` by a crash before they were dialed are put back in
+   * the queue; dialed ones wait for their status callback or the call timeout.
+   */
+  restore() {
+    [...this.load().values()]
+      .filter((campaign) => campaign.status === 'running')
+      .forEach((campaign) => {
+        campaign.contacts
+          .filter((contact) => contact.status === 'in-progress' && !contact.callSid)
+          .forEach((contact) => (contact.status = 'pending'));
+        // Files written before dial times were recorded: start the call timeout now
+        campaign.contacts
+          .filter((contact) => contact.status === 'in-progress' && !contact.dialedAt)
+          .forEach((contact) => (contact.dialedAt = new Date(this.now()).toISOString()));
+        this.save(campaign);
+      });
+    this.updateTimer();
+  }
+
+  updateTimer() {
+    const running = [...this.load().values()].some((campaign) => campaign.status === 'running');
+    if (running && !this.timer) {
+      this.timer = setInterval(() => {
+        this.tick().catch((error) => console.error('[CAMPAIGN] Tick failed:'.red, error));
+      }, this.tickMs);
+      this.timer.unref();
+    } else if (!running && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Settles contacts whose status callback never arrived as `error`, so they are
+   * retried (or failed) instead of holding a slot until the process restarts.
+   */
+  expireStaleCalls(campaign, now) {
+    const stale = campaign.contacts.filter(
+      (contact) => contact.status === 'in-progress' && now - Date.parse(contact.dialedAt) >= this.callTimeoutMs
+    );
+    stale.forEach((contact) => {
+      console.warn(`[CAMPAIGN] ${campaign.name}: no status for ${contact.number} (${contact.callSid})`.yellow);
+      this.settleContact(campaign, contact, 'error', 'No status callback received.');
+    });
+    if (stale.length > 0) this.save(campaign);
+  }
+
+  /**
+   * Dials the next eligible contacts of every running campaign.
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    const running = [...this.load().values()].filter((campaign) => campaign.status === 'running');
+    for (const campaign of running) {
+      await this.dialNext(campaign);
+    }
+  }
+
+  async dialNext(campaign) {
+    const { concurrency, callsPerMinute } = campaign.settings;
+    const now = this.now();
+    const recent = (this.recentDials.get(campaign.id) || []).filter((time) => now - time < 60000);
+    this.recentDials.set(campaign.id, recent);
+
+    this.expireStaleCalls(campaign, now);
+    const inProgress = campaign.contacts.filter((contact) => contact.status === 'in-progress').length;
+    const slots = Math.min(concurrency - inProgress, callsPerMinute - recent.length);
+    const ready = campaign.contacts.filter(
+      (contact) => contact.status === 'pending' && (!contact.nextAttemptAt || Date.parse(contact.nextAttemptAt) <= now)
+    );
+
+    if (!campaign.contacts.some((c) => c.status === 'pending' || c.status === 'in-progress')) {
+      campaign.status = 'completed';
+      this.save(campaign);
+      console.log(`[CAMPAIGN] ${campaign.name} completed`.green);
+      this.updateTimer();
+      return;
+    }
+
+    const batch = ready.slice(0, Math.max(slots, 0));
+    if (batch.length === 0) return;
+
+    // Claim the contacts before dialing so an overlapping tick can't pick them again
+    batch.forEach((contact) => {
+      contact.status = 'in-progress';
+      contact.attempts += 1;
+      contact.callSid = null;
+      contact.dialedAt = new Date(now).toISOString();
+      recent.push(now);
+    });
+    this.save(campaign);
+
+    for (const contact of batch) {
+      try {
+        contact.callSid = await this.dialer(contact.number, {
+          profileId: campaign.profileId,
+          statusCallback: statusCallbackUrl(campaign.id, contact.id),
+        });
+        console.log(`[CAMPAIGN] ${campaign.name}: dialing ${contact.number} (attempt ${contact.attempts})`.cyan);
+      } catch (error) {
+        console.error(`[CAMPAIGN] ${campaign.name}: could not dial ${contact.number}`.red, error.message);
+        this.settleContact(campaign, contact, 'error', error.message);
+      }
+    }
+    this.save(campaign);
+  }
+
+  /**
+   * Handles a Twilio status callback for a campaign call.
+   * @param {string} campaignId
+   * @param {string} contactId
+   * @param {{CallStatus: string, CallSid: string}} body The Twilio webhook body.
+   * @returns {Object} The updated contact.
+   */
+  handleCallStatus(campaignId, contactId, { CallStatus, CallSid }) {
+    const campaign = this.getCampaign(campaignId);
+    const contact = campaign.contacts.find((c) => c.id === contactId);
+    if (!contact) {
+      throw new HttpError(404, `Contact ${contactId} not found.`);
+    }
+    contact.callSid = CallSid || contact.callSid;
+    this.settleContact(campaign, contact, CallStatus, CallStatus);
+    this.save(campaign);
+    console.log(`[CAMPAIGN] ${campaign.name}: ${contact.number} -> ${CallStatus} (${contact.status})`.cyan);
+    return contact;
+  }
+
+  settleContact(campaign, contact, outcome, result) {
+    const { maxAttempts, retryDelaySeconds } = campaign.settings;
+    contact.lastResult = result;
+    contact.updatedAt = new Date(this.now()).toISOString();
+
+    if (outcome === 'completed') {
+      contact.status = 'completed';
+    } else if (RETRYABLE_OUTCOMES.includes(outcome) && contact.attempts < maxAttempts) {
+      // Exponential backoff: delay, 2x delay, 4x delay...
+      const delay = retryDelaySeconds * 1000 * 2 ** (contact.attempts - 1);
+      contact.status = 'pending';
+      contact.nextAttemptAt = new Date(this.now() + delay).toISOString();
+    } else {
+      contact.status = 'failed';
+    }
+  }
+}
+
+function statusCallbackUrl(campaignId, contactId) {
+  const query = new URLSearchParams({ campaignId, contactId });
+  return `https://${process.env.SERVER}/campaigns/status?${query}`;
+}
+
+function validateSettings(settings) {
+  const numbers = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    const value = Number(settings[key]);
+    const min = key === 'retryDelaySeconds' ? 0 : 1;
+    if (!Number.isFinite(value) || value < min) {
+      throw new HttpError(400, `${key} must be a number of at least ${min}.`);
+    }
+    numbers[key] = value;
+  });
+  return numbers;
+}
+
+function countByStatus(contacts) {
+  const progress = { total: contacts.length, pending: 0, 'in-progress': 0, completed: 0, failed: 0 };
+  contacts.forEach((contact) => (progress[contact.status] += 1));
+  return progress;
+}
+
+function parseContacts(csv) {
+  const [header, ...rows] = parseCsv(csv);
+  if (!header) return [];
+
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const numberColumn = columns.findIndex((column) => ['number', 'phone', 'telefone', 'numero', 'número'].includes(column));
+  if (numberColumn === -1) {
+    throw new HttpError(400, 'The CSV needs a "number" column.');
+  }
+  const nameColumn = columns.findIndex((column) => ['name', 'nome'].includes(column));
+
+  return rows
+    .filter((row) => row[numberColumn] && row[numberColumn].trim())
+    .map((row) => {
+      const fields = {};
+      columns.forEach((column, i) => {
+        if (i !== numberColumn && i !== nameColumn) fields[column] = row[i];
+      });
+      return {
+        id: uuid.v4(),
+        number: row[numberColumn].replace(/[^\d+]/g, ''),
+        name: nameColumn === -1 ? null : row[nameColumn] || null,
+        fields,
+        status: 'pending',
+        attempts: 0,
+        callSid: null,
+        lastResult: null,
+        nextAttemptAt: null,
+      };
+    });
+}
+
+/**
+ * Minimal RFC 4180 parser: commas, quoted fields, escaped quotes and CRLF line endings.
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows of fields, empty lines skipped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+module.exports = { CampaignManager, parseCsv };
@@ -0,0 +1,304 @@
+// FILE: services/catalog-store.js
+// DESCRIPTION: The products the agent sells and the orders it places, kept as JSON files on local disk.
+
+require('colors');
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { HttpError } = require('./errors');
+
+const PRODUCT_FIELDS = ['sku', 'name', 'aliases', 'price', 'currency', 'stock', 'taxRate'];
+
+// Used until the catalog is first changed; matches the default profile's prompt
+const DEFAULT_PRODUCTS = [
+  { sku: 'AIRPODS', name: 'AirPods', aliases: ['airpods'], price: 149, currency: 'USD', stock: 100, taxRate: 0.079 },
+  { sku: 'AIRPODS-PRO', name: 'AirPods Pro', aliases: ['airpods pro', 'pro'], price: 249, currency: 'USD', stock: 10, taxRate: 0.079 },
+  { sku: 'AIRPODS-MAX', name: 'AirPods Max', aliases: ['airpods max', 'max'], price: 549, currency: 'USD', stock: 0, taxRate: 0.079 },
+];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @param {string} text
+ * @returns {string} Lowercase, without accents or punctuation, for matching names.
+ */
+function normalizeName(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const namesOf = (product) => [product.sku, product.name, ...product.aliases];
+
+/**
+ * @class CatalogStore
+ * @description Keeps the products in `data/catalog/products.json` and one file per
+ * order under `data/catalog/orders/<orderNumber>.json`. Products are found by SKU,
+ * name or alias, ignoring case, accents and punctuation, so no two products may share
+ * one. Placing an order takes the units out of stock.
+ */
+class CatalogStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] Defaults to `data/catalog`.
+   * @param {Function} [options.now] Clock, replaceable in tests.
+   */
+  constructor({ dir, now = Date.now } = {}) {
+    this.dir = dir || dataPath('catalog');
+    this.now = now;
+    this.products = null;
+  }
+
+  load() {
+    if (!this.products) {
+      this.products = readJson(path.join(this.dir, 'products.json'), DEFAULT_PRODUCTS.map((product) => ({ ...product })));
+    }
+    return this.products;
+  }
+
+  save() {
+    writeJson(path.join(this.dir, 'products.json'), this.products);
+  }
+
+  orderPath(orderNumber) {
+    return path.join(this.dir, 'orders', `${path.basename(String(orderNumber))}.json`);
+  }
+
+  /**
+   * @returns {Array<Object>} Every product, sorted by name.
+   */
+  listProducts() {
+    return this.load()
+      .map((product) => ({ ...product }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} sku
+   * @returns {Object}
+   * @throws {HttpError} 404 for an unknown SKU.
+   */
+  getProduct(sku) {
+    const product = this.load().find((entry) => entry.sku === sku);
+    if (!product) {
+      throw new HttpError(404, `Product ${sku} not found.`);
+    }
+    return { ...product };
+  }
+
+  /**
+   * @param {Object} input See PRODUCT_FIELDS; `aliases` and `taxRate` are optional.
+   * @returns {Object} The new product.
+   */
+  createProduct(input) {
+    const product = validateProduct({ aliases: [], taxRate: 0, ...pick(input) });
+    if (this.load().some((entry) => entry.sku === product.sku)) {
+      throw new HttpError(409, `Product ${product.sku} already exists.`);
+    }
+    this.checkNames(product);
+    const now = new Date(this.now()).toISOString();
+    const created = { ...product, createdAt: now, updatedAt: now };
+    this.products.push(created);
+    this.save();
+    return { ...created };
+  }
+
+  /**
+   * @param {string} sku
+   * @param {Object} changes Any of PRODUCT_FIELDS but `sku`.
+   * @returns {Object} The updated product.
+   */
+  updateProduct(sku, changes) {
+    const current = this.getProduct(sku);
+    if (changes.sku !== undefined && changes.sku !== sku) {
+      throw new HttpError(400, 'sku cannot be changed.');
+    }
+    const product = validateProduct({ ...current, ...pick(changes) });
+    this.checkNames(product);
+    const updated = { ...current, ...product, updatedAt: new Date(this.now()).toISOString() };
+    this.products = this.products.map((entry) => (entry.sku === sku ? updated : entry));
+    this.save();
+    return { ...updated };
+  }
+
+  /**
+   * @param {string} sku
+   * @throws {HttpError} 404 for an unknown SKU.
+   */
+  deleteProduct(sku) {
+    this.getProduct(sku);
+    this.products = this.products.filter((entry) => entry.sku !== sku);
+    this.save();
+  }
+
+  // A name or alias may only point to one product
+  checkNames(product) {
+    const taken = new Map();
+    this.load()
+      .filter((entry) => entry.sku !== product.sku)
+      .forEach((entry) => namesOf(entry).forEach((name) => taken.set(normalizeName(name), entry.sku)));
+    namesOf(product).forEach((name) => {
+      const owner = taken.get(normalizeName(name));
+      if (owner) {
+        throw new HttpError(409, `"${name}" already names product ${owner}.`);
+      }
+    });
+  }
+
+  /**
+   * @param {string} text A SKU, name or alias, e.g. what the model passed to a tool.
+   * @returns {Object|null}
+   */
+  findProduct(text) {
+    const wanted = normalizeName(text || '');
+    const product = this.load().find((entry) => namesOf(entry).some((name) => normalizeName(name) === wanted));
+    return product ? { ...product } : null;
+  }
+
+  /**
+   * Same as findProduct, for tools: the error lists what is on sale, so the model
+   * can ask the caller which one they mean.
+   * @param {string} text
+   * @returns {Object}
+   * @throws {HttpError} 404 when nothing matches.
+   */
+  resolveProduct(text) {
+    const product = this.findProduct(text);
+    if (!product) {
+      const names = this.load().map((entry) => entry.name).join(', ');
+      throw new HttpError(404, `Unknown product "${text}". The catalog has: ${names || 'nothing'}.`);
+    }
+    return product;
+  }
+
+  /**
+   * @returns {Array<string>} The names and aliases of every product, for tool enums.
+   */
+  productNames() {
+    return [...new Set(this.load().flatMap((product) => [product.name, ...product.aliases]))];
+  }
+
+  /**
+   * Places an order and takes its units out of stock.
+   * @param {Object} order
+   * @param {string} order.product A SKU, name or alias.
+   * @param {number} order.quantity
+   * @param {string} [order.callSid] The call the order was placed on.
+   * @param {boolean} [order.dryRun] Price and check the order without saving it or touching the stock.
+   * @returns {Object} The saved order, `total` including tax.
+   * @throws {HttpError} 404 for an unknown product, 409 when the stock is too low.
+   */
+  placeOrder({ product: text, quantity, callSid, dryRun = false }) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new HttpError(400, 'quantity must be a positive integer.');
+    }
+    const product = this.resolveProduct(text);
+    if (product.stock < quantity) {
+      throw new HttpError(409, `Only ${product.stock} ${product.name} in stock.`);
+    }
+
+    const subtotal = roundMoney(product.price * quantity);
+    const tax = roundMoney(subtotal * product.taxRate);
+    const order = {
+      orderNumber: this.newOrderNumber(),
+      callSid: callSid || null,
+      sku: product.sku,
+      product: product.name,
+      quantity,
+      unitPrice: product.price,
+      currency: product.currency,
+      taxRate: product.taxRate,
+      subtotal,
+      tax,
+      total: roundMoney(subtotal + tax),
+      createdAt: new Date(this.now()).toISOString(),
+    };
+    if (dryRun) {
+      console.log(`[CATALOG] Dry run order: ${quantity} x ${product.name}`.cyan);
+      return order;
+    }
+    this.updateProduct(product.sku, { stock: product.stock - quantity });
+    writeJson(this.orderPath(order.orderNumber), order);
+    console.log(`[CATALOG] Order ${order.orderNumber}: ${quantity} x ${product.name}`.cyan);
+    return order;
+  }
+
+  // 7 digits, like the order numbers the agent used to make up
+  newOrderNumber() {
+    let orderNumber;
+    do {
+      orderNumber = Math.floor(Math.random() * 9000000) + 1000000;
+    } while (fs.existsSync(this.orderPath(orderNumber)));
+    return orderNumber;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.callSid]
+   * @returns {Array<Object>} The orders, newest first.
+   */
+  listOrders({ callSid } = {}) {
+    const dir = path.join(this.dir, 'orders');
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => readJson(path.join(dir, file)))
+      .filter((order) => !callSid || order.callSid === callSid)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * @param {string|number} orderNumber
+   * @returns {Object}
+   * @throws {HttpError} 404 for an unknown order.
+   */
+  getOrder(orderNumber) {
+    const order = readJson(this.orderPath(orderNumber));
+    if (!order) {
+      throw new HttpError(404, `Order ${orderNumber} not found.`);
+    }
+    return order;
+  }
+}
+
+function pick(input) {
+  const picked = {};
+  PRODUCT_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) picked[field] = input[field];
+  });
+  return picked;
+}
+
+function validateProduct(product) {
+  const { sku, name, aliases, price, currency, stock, taxRate } = product;
+  if (typeof sku !== 'string' || !/^[A-Za-z0-9._-]{1,64}$/.test(sku)) {
+    throw new HttpError(400, 'sku must be 1 to 64 letters, digits, ".", "_" or "-".');
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new HttpError(400, 'name is required.');
+  }
+  if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== 'string' || !normalizeName(alias))) {
+    throw new HttpError(400, 'aliases must be a list of names.');
+  }
+  if (typeof price !== 'number' || !(price >= 0)) {
+    throw new HttpError(400, 'price must be a number of at least 0.');
+  }
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+    throw new HttpError(400, 'currency must be an ISO 4217 code, e.g. "USD".');
+  }
+  if (!Number.isInteger(stock) || stock < 0) {
+    throw new HttpError(400, 'stock must be a non-negative integer.');
+  }
+  if (typeof taxRate !== 'number' || !(taxRate >= 0 && taxRate <= 1)) {
+    throw new HttpError(400, 'taxRate must be between 0 and 1, e.g. 0.079.');
+  }
+  return { sku, name: name.trim(), aliases: [...new Set(aliases.map((alias) => alias.trim()))], price, currency, stock, taxRate };
+}
+
+const catalogStore = new CatalogStore();
+
+module.exports = { CatalogStore, catalogStore, normalizeName, DEFAULT_PRODUCTS };
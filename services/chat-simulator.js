@@ -0,0 +1,187 @@
+// FILE: services/chat-simulator.js
+// DESCRIPTION: Text conversations with an agent profile, without telephony, for trying prompts and tools.
+
+const EventEmitter = require('events');
+const uuid = require('uuid');
+const { GptService } = require('./gpt-service');
+const { findTool } = require('./tool-registry');
+const { HttpError } = require('./errors');
+
+// Dashboard sessions nobody typed into for this long are dropped
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+/**
+ * @class ChatSession
+ * @description Drives a real `GptService` (the profile's LLM, prompt and tools) with
+ * typed text instead of transcriptions. Every turn reports what a call would have
+ * done with it: the `•`-delimited chunks sent to TTS, the `say` lines, the tool
+ * calls and how much the context grew.
+ * @emits 'event' with each turn event as it happens (see `send`).
+ */
+class ChatSession extends EventEmitter {
+  /**
+   * @param {Object} profile A profile snapshot.
+   * @param {Object} [options]
+   * @param {Object} [options.llm] Chat adapter to use instead of the profile's provider.
+   * @param {Object<string, Function>} [options.functions] Tool implementations to use
+   * instead of the real ones, by name.
+   */
+  constructor(profile, { llm, functions } = {}) {
+    super();
+    this.id = uuid.v4();
+    this.profile = profile;
+    this.gptService = new GptService(profile, { llm, functions });
+    // Tools see a call of their own, with no phone numbers
+    this.gptService.setCallContext({ callSid: `SIM-${this.id}`, direction: 'simulated' });
+    this.greeting = this.gptService.getInitialGreeting().partialResponse;
+    this.interactionCount = 0;
+    this.turns = [];
+    this.busy = false;
+    this.ended = false;
+    this.lastActivity = Date.now();
+    this.current = null;
+
+    this.gptService.on('gptreply', ({ partialResponseIndex, partialResponse }) => {
+      this.record(
+        partialResponseIndex === null
+          ? { type: 'say', text: partialResponse }
+          : { type: 'chunk', index: partialResponseIndex, text: partialResponse }
+      );
+    });
+    this.gptService.on('toolcall', ({ name, arguments: args, result, failed }) => {
+      this.record({ type: 'tool', name, say: findTool(name)?.function.say || null, arguments: args, result, failed: !!failed });
+    });
+    this.gptService.on('endcall', () => {
+      this.ended = true;
+      this.record({ type: 'end' });
+    });
+  }
+
+  record(event) {
+    if (!this.current) return;
+    this.current.events.push(event);
+    this.emit('event', event);
+  }
+
+  /**
+   * @returns {{messages: number, characters: number}} The size of the LLM context.
+   */
+  contextSize() {
+    const context = this.gptService.userContext;
+    return { messages: context.length, characters: JSON.stringify(context).length };
+  }
+
+  /**
+   * Answers a typed caller turn.
+   * @param {string} text
+   * @returns {Promise<Object>} The turn: `{ interactionCount, text, events, context }`,
+   * where `events` lists `{ type: 'chunk', index, text }`, `{ type: 'say', text }`,
+   * `{ type: 'tool', name, say, arguments, result, failed }` and `{ type: 'end' }` in
+   * the order they happened, and `context` is `{ messages, characters, added }`.
+   * @throws {HttpError} 400 for empty text, 409 while a turn runs or once the agent ended the conversation.
+   */
+  async send(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new HttpError(400, 'text is required.');
+    }
+    if (this.ended) {
+      throw new HttpError(409, 'The agent ended this conversation.');
+    }
+    if (this.busy) {
+      throw new HttpError(409, 'The agent is still answering.');
+    }
+
+    this.busy = true;
+    this.lastActivity = Date.now();
+    const before = this.gptService.userContext.length;
+    const turn = { interactionCount: this.interactionCount, text, events: [] };
+    this.current = turn;
+    try {
+      await this.gptService.completion(text, this.interactionCount);
+    } finally {
+      this.busy = false;
+      this.current = null;
+      this.interactionCount += 1;
+    }
+    const size = this.contextSize();
+    turn.context = { ...size, added: size.messages - before };
+    this.turns.push(turn);
+    return turn;
+  }
+
+  /**
+   * @returns {Object} The session with its turns and the full LLM context.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      profileId: this.profile.profileId,
+      profileVersion: this.profile.version,
+      greeting: this.greeting,
+      ended: this.ended,
+      turns: this.turns,
+      context: this.gptService.userContext,
+    };
+  }
+
+  close() {
+    this.gptService.close();
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * @class ChatSessions
+ * @description The simulator sessions opened from the dashboard.
+ */
+class ChatSessions {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.llm] Chat adapter for every session, e.g. in tests.
+   */
+  constructor({ llm } = {}) {
+    this.llm = llm;
+    this.sessions = new Map();
+  }
+
+  /**
+   * @param {Object} profile A profile snapshot.
+   * @returns {ChatSession}
+   */
+  create(profile) {
+    this.prune();
+    const session = new ChatSession(profile, { llm: this.llm });
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {ChatSession}
+   * @throws {HttpError} 404 when the session is unknown or expired.
+   */
+  get(id) {
+    this.prune();
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw new HttpError(404, `Simulator session ${id} not found.`);
+    }
+    return session;
+  }
+
+  delete(id) {
+    this.get(id).close();
+    this.sessions.delete(id);
+  }
+
+  prune(now = Date.now()) {
+    this.sessions.forEach((session, id) => {
+      if (!session.busy && now - session.lastActivity > SESSION_IDLE_MS) {
+        session.close();
+        this.sessions.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = { ChatSession, ChatSessions };
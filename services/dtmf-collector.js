@@ -0,0 +1,84 @@
+// FILE: services/dtmf-collector.js
+// DESCRIPTION: Turns the keypad presses of a call (Twilio `dtmf` events) into complete entries and shortcuts.
+
+const EventEmitter = require('events');
+
+const DEFAULT_DTMF = {
+  interDigitTimeoutMs: 3000,
+  terminator: '#',
+  shortcuts: {},
+};
+
+/**
+ * Keypad settings of a profile.
+ * @param {Object} [profile]
+ * @returns {{interDigitTimeoutMs: number, terminator: string, shortcuts: Object<string, string>}}
+ */
+function dtmfSettings(profile = {}) {
+  return { ...DEFAULT_DTMF, ...(profile.dtmf || {}) };
+}
+
+/**
+ * @class DtmfCollector
+ * @description Collects digits until the terminator is pressed or no key was
+ * pressed for `interDigitTimeoutMs`. A key with a shortcut, pressed as the first
+ * key of an entry, fires the shortcut right away instead.
+ * @emits 'digits' with the collected digits, without the terminator.
+ * @emits 'shortcut' with (digit, toolName).
+ */
+class DtmfCollector extends EventEmitter {
+  /**
+   * @param {Object} [settings] See `dtmfSettings`.
+   */
+  constructor(settings) {
+    super();
+    this.digits = '';
+    this.timer = null;
+    this.configure(settings);
+  }
+
+  configure(settings) {
+    this.settings = { ...DEFAULT_DTMF, ...settings };
+  }
+
+  /**
+   * @param {string} digit One of `0-9`, `*` and `#`.
+   */
+  press(digit) {
+    const { terminator, shortcuts, interDigitTimeoutMs } = this.settings;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.digits && shortcuts[digit]) {
+      this.emit('shortcut', digit, shortcuts[digit]);
+      return;
+    }
+    if (digit === terminator) {
+      this.flush();
+      return;
+    }
+    this.digits += digit;
+    this.timer = setTimeout(() => this.flush(), interDigitTimeoutMs);
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const digits = this.digits;
+    this.digits = '';
+    if (digits) {
+      this.emit('digits', digits);
+    }
+  }
+
+  /**
+   * Drops a half-typed entry, e.g. when the call ends.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.digits = '';
+  }
+}
+
+module.exports = { DtmfCollector, dtmfSettings, DEFAULT_DTMF };
@@ -0,0 +1,20 @@
+// FILE: services/errors.js
+// DESCRIPTION: Error type shared by the services that back the dashboard API.
+
+/**
+ * An error that carries the HTTP status the API should answer with.
+ * Services throw it for bad input or missing records; routes turn it into a response.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status HTTP status code, e.g. 400 or 404.
+   * @param {string} message Human readable description.
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = { HttpError };
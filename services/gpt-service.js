@@ -1,71 +1,104 @@
 // FILE: services/gpt-service.js
-// DESCRIPTION: Manages interaction with OpenAI GPT, now with dynamic prompts from a file.
+// DESCRIPTION: Manages interaction with the LLM, driven by the agent profile pinned to the call.
 
 require("colors");
 const EventEmitter = require("events");
-const OpenAI = require("openai");
-const fs = require("fs");
-const path = require("path");
-const tools = require("../functions/function-manifest");
-
-// Import all functions included in function manifest
-const availableFunctions = {};
-tools.forEach((tool) => {
-  let functionName = tool.function.name;
-  availableFunctions[functionName] = require(`../functions/${functionName}`);
-});
+const { createProvider, llmSettings } = require("./llm-providers");
+const {
+  tools,
+  findTool,
+  describeTool,
+  getFunction,
+  createToolContext,
+  validateToolArguments,
+} = require("./tool-registry");
 
+// Used when a conversation is started without an agent profile
+const FALLBACK_PROFILE = {
+  system_prompt: "You are a helpful assistant.",
+  assistant_prompt: "Hello! How can I help you today?",
+  model: "gpt-4-1106-preview",
+  tools: [],
+};
+
+/**
+ * @class GptService
+ * @description Streams chat completions from the profile's LLM backend (see
+ * services/llm-providers) and runs the tools the model asks for.
+ * @emits 'gpttoken' with `{ partialResponseIndex, token }` for every piece of text, as it streams in.
+ * @emits 'gptreply' with each `•`-delimited chunk of the reply once it is complete.
+ * @emits 'toolcall' with the name, arguments, result and `durationMs` of every tool that was run, and `failed: true` when it didn't succeed.
+ * @emits 'usage' with `{ model, promptTokens, completionTokens }` for each request whose backend reported its token usage.
+ * @emits 'assistantreply' with the complete reply text once a completion finishes.
+ * @emits 'endcall' with the interactionCount once a tool ending the call ran; its goodbye was emitted as a 'gptreply' just before.
+ *
+ * When the caller barges in, `interrupt` aborts the stream and rewrites the turn's
+ * assistant messages to what the caller actually heard.
+ */
 class GptService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [profile] Agent profile version to run the conversation with.
+   * @param {Object} [options]
+   * @param {Object} [options.llm] Chat adapter to use instead of the profile's provider.
+   * @param {Object<string, Function>} [options.functions] Tool implementations used
+   * instead of the ones in functions/, by name, e.g. to keep a test offline.
+   */
+  constructor(profile, { llm, functions = {} } = {}) {
     super();
-    this.openai = new OpenAI();
-    this.userContext = this.loadPromptFromFile();
+    this.injectedLlm = llm;
+    this.functions = functions;
     this.partialResponseIndex = 0;
+    // Bumped by `interrupt`, so a stale stream or tool run knows to stop
+    this.generation = 0;
+    this.turn = null;
+    this.running = Promise.resolve();
+    // Messages describing an interruption, added before the next user message
+    this.interruption = [];
+    // The call the tools run for, see `setCallContext`
+    this.callContext = {};
+    this.setProfile(profile);
   }
 
   /**
-   * Loads the system and assistant prompts from the prompt.json file.
-   * @returns {Array<Object>} The initial user context array.
+   * Configures the conversation from an agent profile version: the system prompt,
+   * the greeting, the LLM backend and its settings, and the tools the model is
+   * allowed to call.
+   * @param {Object} [profile] A snapshot from `ProfileStore.getVersion`. Without
+   * one a generic assistant is used.
    */
-  loadPromptFromFile() {
-    try {
-      const promptPath = path.join(__dirname, "..", "prompt.json");
-      const promptData = JSON.parse(fs.readFileSync(promptPath, "utf-8"));
-
-      console.log("[GPT] Loaded prompt from prompt.json".cyan);
+  setProfile(profile) {
+    this.profile = profile || FALLBACK_PROFILE;
+    this.model = this.profile.model;
+    this.llmSettings = llmSettings(this.profile);
+    this.llm =
+      this.injectedLlm ||
+      createProvider(this.llmSettings.provider, {
+        baseUrl: this.llmSettings.baseUrl,
+      });
+    this.tools = tools.filter((tool) =>
+      this.profile.tools.includes(tool.function.name)
+    );
+    this.userContext = [
+      {
+        role: "system",
+        content: this.profile.system_prompt,
+      },
+      {
+        role: "assistant",
+        content: this.profile.assistant_prompt,
+      },
+    ];
 
-      return [
-        {
-          role: "system",
-          content: promptData.system_prompt,
-        },
-        {
-          role: "assistant",
-          content: promptData.assistant_prompt,
-        },
-      ];
-    } catch (error) {
-      console.error(
-        "Error loading prompt.json, using default fallback.".red,
-        error
+    if (profile) {
+      console.log(
+        `[GPT] Using profile ${profile.profileId} v${profile.version}`.cyan
       );
-      // Fallback to a default prompt if the file doesn't exist or is invalid
-      return [
-        {
-          role: "system",
-          content: "You are a helpful assistant.",
-        },
-        {
-          role: "assistant",
-          content: "Hello! How can I help you today?",
-        },
-      ];
     }
   }
 
   /**
    * Returns the initial greeting message for TTS service.
-   * @returns {{partialResponseIndex: null, partialResponse: string}}
+   * @returns {{partialResponseIndex: null, partialResponse: string, cache: true}}
    */
   getInitialGreeting() {
     // Find the assistant's first message from the context
@@ -77,30 +110,32 @@ class GptService extends EventEmitter {
       partialResponse: initialAssistantMessage
         ? initialAssistantMessage.content
         : "Hello.",
+      cache: true,
     };
   }
 
-  // Add the callSid to the chat context in case
-  // ChatGPT decides to transfer the call.
-  setCallSid(callSid) {
-    this.userContext.push({ role: "system", content: `callSid: ${callSid}` });
+  /**
+   * Sets the call the tools run for. It reaches them through their context
+   * argument (see `createToolContext`), never through the prompt.
+   * @param {Object} call
+   * @param {string} call.callSid
+   * @param {string} [call.streamSid]
+   * @param {string} [call.from]
+   * @param {string} [call.to]
+   * @param {string} [call.direction]
+   * @param {Object} [call.customParameters]
+   */
+  setCallContext(call) {
+    this.callContext = call;
   }
 
-  validateFunctionArgs(args) {
-    try {
-      return JSON.parse(args);
-    } catch (error) {
-      console.log(
-        "Warning: Double function arguments returned by OpenAI:",
-        args
-      );
-      // Seeing an error where sometimes we have two sets of args
-      if (args.indexOf("{") != args.lastIndexOf("{")) {
-        return JSON.parse(
-          args.substring(args.indexOf(""), args.indexOf("}") + 1)
-        );
-      }
-    }
+  /**
+   * Adds a line the agent spoke outside of a completion, e.g. a silence reprompt,
+   * so the model knows it was said.
+   * @param {string} text
+   */
+  addAssistantMessage(text) {
+    this.userContext.push({ role: "assistant", content: text });
   }
 
   updateUserContext(name, role, text) {
@@ -111,95 +146,396 @@ class GptService extends EventEmitter {
     }
   }
 
-  async completion(text, interactionCount, role = "user", name = "user") {
+  /**
+   * Answers a caller turn.
+   * @param {string} text
+   * @param {number} interactionCount
+   * @param {string} [role]
+   * @param {string} [name] `keypad` for digits typed on the phone.
+   * @param {Object} [options]
+   * @param {string} [options.toolChoice] A tool the model must call first, e.g. for
+   * a keypad shortcut.
+   */
+  async completion(
+    text,
+    interactionCount,
+    role = "user",
+    name = "user",
+    { toolChoice } = {}
+  ) {
+    // Let an interrupted turn settle first, so its tool results stay next to
+    // the tool calls in the context
+    await this.running.catch(() => {});
+    this.userContext.push(...this.interruption.splice(0));
     this.updateUserContext(name, role, text);
+    // Chunk texts by partialResponseIndex, and which chunks each message holds
+    const turn = {
+      interactionCount,
+      chunks: new Map(),
+      replies: [],
+      current: [],
+    };
+    this.turn = turn;
+    this.running = this.streamCompletion(
+      interactionCount,
+      this.generation,
+      toolChoice
+    );
+    try {
+      await this.running;
+    } finally {
+      turn.done = true;
+    }
+  }
 
-    // Step 1: Send user transcription to Chat GPT
-    const stream = await this.openai.chat.completions.create({
-      model: "gpt-4-1106-preview", // Consider using a more recent model if available
+  /**
+   * Streams the model's answer to the current context. When the model asks for
+   * tools, runs them, adds their results to the context and streams again.
+   * @param {number} interactionCount
+   * @param {number} generation Stops quietly once `interrupt` bumped it.
+   * @param {string} [toolChoice] Forces this request (not the ones after the tool
+   * results) to call the tool.
+   */
+  async streamCompletion(interactionCount, generation, toolChoice) {
+    this.abortController = new AbortController();
+    // Step 1: Send the conversation to the LLM
+    const stream = this.llm.streamChat({
+      model: this.model,
       messages: this.userContext,
-      tools: tools,
-      stream: true,
+      tools: this.tools.map((tool) => describeTool(tool)),
+      toolChoice,
+      temperature: this.llmSettings.temperature,
+      maxTokens: this.llmSettings.maxTokens,
+      signal: this.abortController.signal,
     });
 
     let completeResponse = "";
     let partialResponse = "";
-    let functionName = "";
-    let functionArgs = "";
-    let finishReason = "";
-
-    function collectToolInformation(deltas) {
-      let name = deltas.tool_calls[0]?.function?.name || "";
-      if (name) {
-        functionName = name;
-      }
-      let args = deltas.tool_calls[0]?.function?.arguments || "";
-      if (args) {
-        // args are streamed as JSON string so we need to concatenate all chunks
-        functionArgs += args;
+    const toolDeltas = [];
+    const turn = this.turn;
+
+    const emitPartialResponse = () => {
+      const gptReply = {
+        partialResponseIndex: this.partialResponseIndex,
+        partialResponse,
+      };
+      turn.chunks.set(this.partialResponseIndex, partialResponse);
+      turn.current.push(this.partialResponseIndex);
+      this.emit("gptreply", gptReply, interactionCount);
+      this.partialResponseIndex++;
+      partialResponse = "";
+    };
+
+    try {
+      for await (const chunk of stream) {
+        if (generation !== this.generation) return;
+        const content = chunk.content || "";
+        if (chunk.usage) {
+          this.emit(
+            "usage",
+            { model: this.model, ...chunk.usage },
+            interactionCount
+          );
+        }
+
+        // Step 2: Collect the tool calls, streamed as deltas keyed by index
+        (chunk.toolCalls || []).forEach((delta) =>
+          collectToolCall(toolDeltas, delta)
+        );
+
+        if (content) {
+          this.emit(
+            "gpttoken",
+            {
+              partialResponseIndex: this.partialResponseIndex,
+              token: content,
+            },
+            interactionCount
+          );
+          // We use completeResponse for userContext
+          completeResponse += content;
+          // We use partialResponse to provide a chunk for TTS
+          partialResponse += content;
+          if (content.trim().slice(-1) === "•") {
+            emitPartialResponse();
+          }
+        }
       }
+    } catch (err) {
+      if (generation !== this.generation) return;
+      throw err;
+    }
+    if (generation !== this.generation) return;
+    if (partialResponse) {
+      emitPartialResponse();
+    }
+
+    if (completeResponse) {
+      this.emit("assistantreply", completeResponse, interactionCount);
+    }
+
+    // Some OpenAI-compatible servers leave out the ids tool messages refer to
+    const toolCalls = toolDeltas.filter(Boolean).map((toolCall, i) => ({
+      ...toolCall,
+      id: toolCall.id || `call_${interactionCount}_${Date.now()}_${i}`,
+    }));
+    const message =
+      toolCalls.length === 0
+        ? { role: "assistant", content: completeResponse }
+        : {
+          role: "assistant",
+          content: completeResponse || null,
+          tool_calls: toolCalls.map((toolCall) => ({
+            id: toolCall.id,
+            type: "function",
+            function: { name: toolCall.name, arguments: toolCall.arguments },
+          })),
+        };
+    this.userContext.push(message);
+    turn.replies.push({ message, indexes: turn.current });
+    turn.current = [];
+
+    if (toolCalls.length === 0) {
+      console.log(
+        `GPT -> user context length: ${this.userContext.length}`.green
+      );
+      return;
     }
 
-    for await (const chunk of stream) {
-      let content = chunk.choices[0]?.delta?.content || "";
-      let deltas = chunk.choices[0].delta;
-      finishReason = chunk.choices[0].finish_reason;
+    // Step 3: Run the tools and answer every call with a `tool` message. Tools
+    // that already started still finish after an interruption.
+    const endsCall = await this.runTools(toolCalls, interactionCount);
+    if (endsCall) {
+      this.emit("endcall", interactionCount);
+      return;
+    }
 
-      // Step 2: check if GPT wanted to call a function
-      if (deltas.tool_calls) {
-        // Step 3: Collect the tokens containing function data
-        collectToolInformation(deltas);
+    // Step 4: Let the model answer with the tool results
+    if (generation !== this.generation) return;
+    await this.streamCompletion(interactionCount, generation);
+  }
+
+  /**
+   * Stops everything for good when the call is over: the running stream is
+   * aborted and no more events are emitted.
+   */
+  close() {
+    this.generation++;
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    this.turn = null;
+    this.removeAllListeners();
+  }
+
+  /**
+   * Stops the current turn because the caller started talking over it: aborts the
+   * stream, and cuts the turn's assistant messages down to the chunks the caller
+   * heard, so the model knows where it was cut off.
+   * @param {Set<number>} heardIndexes partialResponseIndexes whose audio fully played.
+   * @returns {{interactionCount: number, heardText: string}|null} What was heard
+   * of the turn, or null when no turn was running.
+   */
+  interrupt(heardIndexes) {
+    this.generation++;
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    const turn = this.turn;
+    this.turn = null;
+    const wasStreaming = turn && !turn.done;
+    const cut = (indexes) => indexes.some((index) => !heardIndexes.has(index));
+    if (!turn || (!wasStreaming && !turn.replies.some((r) => cut(r.indexes)))) {
+      return null;
+    }
+
+    const heardText = (indexes) =>
+      indexes
+        .filter((index) => heardIndexes.has(index))
+        .map((index) => turn.chunks.get(index))
+        .join("");
+
+    let heard = "";
+    turn.replies.forEach(({ message, indexes }) => {
+      const text = heardText(indexes);
+      heard += text;
+      if (message.tool_calls) {
+        message.content = text || null;
+      } else if (!text) {
+        this.userContext.splice(this.userContext.indexOf(message), 1);
+      } else if (cut(indexes)) {
+        message.content = `${text}…`;
       }
+    });
+    // The stream that was still running never made it into the context
+    const current = heardText(turn.current);
+    if (current) {
+      heard += current;
+      this.interruption.push({ role: "assistant", content: `${current}…` });
+    }
+    this.interruption.push({
+      role: "system",
+      content:
+        "The caller interrupted the assistant. They only heard the assistant text above this note.",
+    });
 
-      // need to call function on behalf of Chat GPT with the arguments it parsed from the conversation
-      if (finishReason === "tool_calls") {
-        const functionToCall = availableFunctions[functionName];
-        const validatedArgs = this.validateFunctionArgs(functionArgs);
+    console.log(`[GPT] Interrupted after: "${heard}"`.yellow);
+    return { interactionCount: turn.interactionCount, heardText: heard };
+  }
 
-        const toolData = tools.find(
-          (tool) => tool.function.name === functionName
-        );
-        const say = toolData.function.say;
+  /**
+   * Runs the tools of one model turn. Consecutive read-only tools (`readOnly` in the
+   * manifest) run concurrently; any other tool runs on its own, in the order the
+   * model asked for it. The `say` line of a tool that ends the call (`endsCall`) is
+   * the goodbye, spoken after the tools ran instead of as the filler phrase.
+   * @param {Array<{id: string, name: string, arguments: string}>} toolCalls
+   * @param {number} interactionCount
+   * @returns {Promise<boolean>} Whether a tool ending the call ran successfully.
+   */
+  async runTools(toolCalls, interactionCount) {
+    const endsCall = (toolCall) =>
+      findTool(toolCall.name)?.function.endsCall === true;
+    // One filler phrase per turn, however many tools are called
+    const filler = toolCalls.find((toolCall) => !endsCall(toolCall));
+    const say = filler && findTool(filler.name)?.function.say;
+    if (say) {
+      this.emit(
+        "gptreply",
+        { partialResponseIndex: null, partialResponse: say, cache: true },
+        interactionCount
+      );
+    }
+
+    const batches = [];
+    toolCalls.forEach((toolCall) => {
+      const readOnly = findTool(toolCall.name)?.function.readOnly === true;
+      const batch = batches[batches.length - 1];
+      if (readOnly && batch && batch.readOnly) {
+        batch.calls.push(toolCall);
+      } else {
+        batches.push({ readOnly, calls: [toolCall] });
+      }
+    });
 
+    let goodbye = null;
+    for (const batch of batches) {
+      const results = await Promise.all(
+        batch.calls.map(async (toolCall) => {
+          const startedAt = Date.now();
+          const result = await this.runTool(toolCall);
+          return { ...result, durationMs: Date.now() - startedAt };
+        })
+      );
+      batch.calls.forEach((toolCall, i) => {
+        const { failed, ...result } = results[i];
+        if (endsCall(toolCall) && !failed) {
+          goodbye = findTool(toolCall.name).function.say || "";
+        }
         this.emit(
-          "gptreply",
-          {
-            partialResponseIndex: null,
-            partialResponse: say,
-          },
+          "toolcall",
+          { name: toolCall.name, ...result, ...(failed && { failed }) },
           interactionCount
         );
-        let functionResponse = await functionToCall(validatedArgs);
+        this.userContext.push({
+          role: "tool",
+          tool_call_id: toolCall.id,
+          content: result.result,
+        });
+      });
+    }
 
-        // Step 4: send the info on the function call and function response to GPT
-        this.updateUserContext(functionName, "function", functionResponse);
+    if (goodbye) {
+      this.emit(
+        "gptreply",
+        { partialResponseIndex: null, partialResponse: goodbye, cache: true },
+        interactionCount
+      );
+    }
+    return goodbye !== null;
+  }
 
-        await this.completion(
-          functionResponse,
-          interactionCount,
-          "function",
-          functionName
-        );
-      } else {
-        // We use completeResponse for userContext
-        completeResponse += content;
-        // We use partialResponse to provide a chunk for TTS
-        partialResponse += content;
-        // Emit last partial response and add complete response to userContext
-        if (content.trim().slice(-1) === "•" || finishReason === "stop") {
-          const gptReply = {
-            partialResponseIndex: this.partialResponseIndex,
-            partialResponse,
-          };
-          this.emit("gptreply", gptReply, interactionCount);
-          this.partialResponseIndex++;
-          partialResponse = "";
-        }
-      }
+  /**
+   * @returns {Promise<{arguments: Object|string, result: string, failed?: boolean}>}
+   * The result is what the model gets back, an error description when the call failed. Arguments
+   * that don't match the tool's schema are reported without running the tool, so
+   * the model can ask the caller to clarify.
+   */
+  async runTool({ name, arguments: rawArgs }) {
+    const functionToCall = this.functions[name] || getFunction(name);
+    if (!functionToCall || !this.profile.tools.includes(name)) {
+      return {
+        arguments: rawArgs,
+        result: JSON.stringify({ error: `Unknown tool: ${name}` }),
+        failed: true,
+      };
+    }
+    let args;
+    try {
+      args = JSON.parse(rawArgs || "{}");
+    } catch (err) {
+      console.log(`[GPT] Invalid arguments for ${name}: ${rawArgs}`.red);
+      return {
+        arguments: rawArgs,
+        result: JSON.stringify({ error: "Arguments are not valid JSON" }),
+        failed: true,
+      };
+    }
+    const errors = validateToolArguments(name, args);
+    if (errors.length > 0) {
+      console.log(`[GPT] Rejected ${name} arguments: ${errors.join(" ")}`.red);
+      return {
+        arguments: args,
+        result: JSON.stringify({
+          error: "Invalid arguments",
+          details: errors,
+          instruction:
+            "Do not guess the missing or invalid values. Ask the caller to clarify, then call the tool again.",
+        }),
+        failed: true,
+      };
+    }
+    try {
+      const result = await functionToCall(
+        args,
+        createToolContext(name, { ...this.callContext, profile: this.profile })
+      );
+      return {
+        arguments: args,
+        result: typeof result === "string" ? result : JSON.stringify(result),
+      };
+    } catch (err) {
+      console.error(`[GPT] ${name} failed: ${err.message}`.red);
+      return {
+        arguments: args,
+        result: JSON.stringify({ error: `${name} failed: ${err.message}` }),
+        failed: true,
+      };
+    }
+  }
+}
+
+/**
+ * Merges one streamed tool call delta. Deltas are matched by `index`, or by `id`
+ * for servers that don't send an index.
+ */
+function collectToolCall(toolCalls, delta) {
+  let toolCall =
+    delta.index !== undefined
+      ? toolCalls[delta.index]
+      : toolCalls.find((call) => call.id === delta.id) ||
+        (!delta.id ? toolCalls[toolCalls.length - 1] : undefined);
+  if (!toolCall) {
+    toolCall = { id: "", name: "", arguments: "" };
+    if (delta.index !== undefined) {
+      toolCalls[delta.index] = toolCall;
+    } else {
+      toolCalls.push(toolCall);
     }
-    this.userContext.push({ role: "assistant", content: completeResponse });
-    console.log(`GPT -> user context length: ${this.userContext.length}`.green);
   }
+  if (delta.id) toolCall.id = delta.id;
+  if (delta.name) toolCall.name = delta.name;
+  // Arguments are streamed as pieces of a JSON string
+  if (delta.arguments) toolCall.arguments += delta.arguments;
 }
 
 module.exports = { GptService };
@@ -0,0 +1,168 @@
+// FILE: services/latency-tracer.js
+// DESCRIPTION: Times each caller turn across the pipeline, from the end of the caller's speech to the agent's first audio playing.
+
+const EventEmitter = require('events');
+
+// The points of a turn, in pipeline order, and the stage that ends at each one
+const POINTS = [
+  { point: 'speechEnd' },
+  { point: 'transcribed', stage: 'stt' },
+  { point: 'firstToken', stage: 'llm' },
+  { point: 'firstChunk', stage: 'chunk' },
+  { point: 'ttsAudio', stage: 'tts' },
+  { point: 'audioSent', stage: 'send' },
+  { point: 'played', stage: 'playback' },
+];
+
+/**
+ * Turns the points of a turn into stage durations. A stage is left out when one
+ * of its ends was never reached, e.g. `stt` for keypad input.
+ * @param {Object<string, number>} points Timestamps by point name.
+ * @returns {Object<string, number>} Milliseconds by stage, plus `total`.
+ */
+function stageDurations(points) {
+  const stages = {};
+  POINTS.forEach(({ point, stage }, i) => {
+    const start = points[POINTS[i - 1]?.point];
+    if (stage && start !== undefined && points[point] !== undefined) {
+      stages[stage] = Math.max(0, points[point] - start);
+    }
+  });
+  const start = points.speechEnd ?? points.transcribed;
+  if (points.audioSent !== undefined) {
+    stages.total = Math.max(0, points.audioSent - start);
+  }
+  return stages;
+}
+
+/**
+ * @class LatencyTracer
+ * @description Follows one turn at a time. `start` opens the turn when the caller's
+ * transcription (or keypad entry) is handed to GPT; the services then `mark` the
+ * points they reach with the turn's interactionCount, and only the first time each
+ * point is reached counts. The turn is reported once its first audio played, when
+ * the next turn starts, when the caller interrupts it or when the call ends.
+ *
+ * Stages: `stt` caller speech end → final transcription, `llm` → first GPT token,
+ * `chunk` → first `•` chunk (or tool phrase), `tts` → first TTS audio, `send` → audio
+ * sent to Twilio, `playback` → Twilio's mark for it, and `total` from the speech end
+ * (the transcription for keypad input) to the audio sent.
+ * @emits 'trace' with `{ interactionCount, source, stages, timeToFirstAudioMs, tools,
+ * tokens, interrupted }`. `timeToFirstAudioMs` is counted from the transcription,
+ * as before the breakdown existed.
+ */
+class LatencyTracer extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] Clock, for tests.
+   */
+  constructor({ now = Date.now } = {}) {
+    super();
+    this.now = now;
+    this.turn = null;
+  }
+
+  /**
+   * Opens a turn, reporting the one before it.
+   * @param {number} interactionCount
+   * @param {Object} [details]
+   * @param {number} [details.speechEndedAt] When the caller stopped talking, see TranscriptionService.
+   * @param {string} [details.source] `keypad` for typed input.
+   */
+  start(interactionCount, { speechEndedAt, source } = {}) {
+    this.finish();
+    const now = this.now();
+    this.turn = {
+      interactionCount,
+      source,
+      // A clock skew can't put the speech end after the transcription
+      points: { ...(speechEndedAt && { speechEnd: Math.min(speechEndedAt, now) }), transcribed: now },
+      tools: [],
+      tokens: null,
+      firstMark: null,
+    };
+  }
+
+  current(interactionCount) {
+    return this.turn && this.turn.interactionCount === interactionCount ? this.turn : null;
+  }
+
+  /**
+   * Records a point of the turn. Points of other turns are ignored.
+   * @param {number} interactionCount
+   * @param {string} point `firstToken`, `firstChunk`, `ttsAudio` or `audioSent`.
+   */
+  mark(interactionCount, point) {
+    const turn = this.current(interactionCount);
+    if (turn && turn.points[point] === undefined) {
+      turn.points[point] = this.now();
+    }
+  }
+
+  /**
+   * Records the first audio sent for the turn and the Twilio mark that follows it.
+   * @param {number} interactionCount
+   * @param {string} markLabel
+   */
+  audioSent(interactionCount, markLabel) {
+    const turn = this.current(interactionCount);
+    if (turn && !turn.firstMark) {
+      this.mark(interactionCount, 'audioSent');
+      turn.firstMark = markLabel;
+    }
+  }
+
+  /**
+   * Handles a Twilio mark; the turn is reported once its first audio played.
+   * @param {string} markLabel
+   */
+  markPlayed(markLabel) {
+    if (this.turn && this.turn.firstMark === markLabel) {
+      this.turn.points.played = this.now();
+      this.finish();
+    }
+  }
+
+  /**
+   * @param {number} interactionCount
+   * @param {{name: string, durationMs: number, failed?: boolean}} tool
+   */
+  addTool(interactionCount, { name, durationMs, failed }) {
+    this.current(interactionCount)?.tools.push({ name, durationMs, ...(failed && { failed }) });
+  }
+
+  /**
+   * Adds the tokens of one completion to the turn.
+   * @param {number} interactionCount
+   * @param {{promptTokens: number, completionTokens: number}} usage
+   */
+  addUsage(interactionCount, { promptTokens = 0, completionTokens = 0 }) {
+    const turn = this.current(interactionCount);
+    if (!turn) return;
+    const tokens = turn.tokens || { prompt: 0, completion: 0 };
+    turn.tokens = { prompt: tokens.prompt + promptTokens, completion: tokens.completion + completionTokens };
+  }
+
+  /**
+   * Reports the open turn, if any.
+   * @param {Object} [options]
+   * @param {boolean} [options.interrupted] The caller talked over the turn.
+   */
+  finish({ interrupted = false } = {}) {
+    const turn = this.turn;
+    if (!turn) return;
+    this.turn = null;
+    const { points } = turn;
+    this.emit('trace', {
+      interactionCount: turn.interactionCount,
+      ...(turn.source && { source: turn.source }),
+      stages: stageDurations(points),
+      timeToFirstAudioMs: points.audioSent === undefined ? null : points.audioSent - points.transcribed,
+      tools: turn.tools,
+      tokens: turn.tokens,
+      interrupted,
+    });
+  }
+}
+
+module.exports = { LatencyTracer, stageDurations };
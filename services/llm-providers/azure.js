@@ -0,0 +1,27 @@
+// FILE: services/llm-providers/azure.js
+// DESCRIPTION: Chat adapter for Azure OpenAI. The profile model is the deployment name.
+
+const { AzureOpenAI } = require('openai');
+const { OpenAIChatProvider } = require('./openai');
+
+class AzureChatProvider extends OpenAIChatProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] Defaults to AZURE_OPENAI_API_KEY.
+   * @param {string} [options.baseUrl] The resource endpoint. Defaults to AZURE_OPENAI_ENDPOINT.
+   * @param {string} [options.apiVersion] Defaults to OPENAI_API_VERSION, then 2024-05-01-preview.
+   * @param {boolean} [options.includeUsage] Ask for the token usage, which needs API
+   * version 2024-09-01-preview or later. Off unless LLM_STREAM_USAGE is `true`.
+   */
+  constructor({
+    apiKey = process.env.AZURE_OPENAI_API_KEY,
+    baseUrl = process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion = process.env.OPENAI_API_VERSION || '2024-05-01-preview',
+    includeUsage = process.env.LLM_STREAM_USAGE === 'true',
+  } = {}) {
+    super({ client: new AzureOpenAI({ apiKey, endpoint: baseUrl, apiVersion }), includeUsage });
+    this.name = 'azure';
+  }
+}
+
+module.exports = { AzureChatProvider };
@@ -0,0 +1,90 @@
+// FILE: services/llm-providers/index.js
+// DESCRIPTION: Registry of chat backends and the LLM settings of a profile.
+
+const { OpenAIChatProvider } = require('./openai');
+const { AzureChatProvider } = require('./azure');
+
+/**
+ * An adapter is a class whose instances expose:
+ * - `name`: the provider id used in profiles
+ * - `streamChat({ model, messages, tools, toolChoice, temperature, maxTokens, signal })`: an async iterable of
+ *   `{ content, toolCalls, finishReason }`. `toolCalls` holds the tool call deltas of
+ *   the chunk as `{ index, id, name, arguments }`, where `arguments` is a piece of the
+ *   JSON string, exactly as OpenAI streams them. `finishReason` is `tool_calls` or
+ *   `stop` on the last chunk. `toolChoice` names a tool the model must call. Aborting
+ *   `signal` ends the stream early. A chunk may carry the token usage of the request
+ *   as `usage: { promptTokens, completionTokens }`, when the backend reports it.
+ */
+const providers = {
+  openai: OpenAIChatProvider,
+  azure: AzureChatProvider,
+};
+
+/**
+ * Adds (or replaces) an adapter.
+ * @param {string} name The provider id.
+ * @param {Function} Provider The adapter class.
+ */
+function registerProvider(name, Provider) {
+  providers[name] = Provider;
+}
+
+/**
+ * @param {string} name
+ * @param {Object} [options] Passed to the adapter constructor.
+ * @returns {Object} A new adapter instance.
+ */
+function createProvider(name, options) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return new Provider(options);
+}
+
+function providerNames() {
+  return Object.keys(providers);
+}
+
+/**
+ * The generation settings of a profile, with LLM_PROVIDER, LLM_BASE_URL,
+ * LLM_TEMPERATURE and LLM_MAX_TOKENS filling what the profile leaves out.
+ * @param {Object} profile A profile snapshot.
+ * @returns {{provider: string, model: string, baseUrl?: string, temperature?: number, maxTokens?: number}}
+ */
+function llmSettings(profile) {
+  const llm = profile.llm || {};
+  const fromEnv = (name) => (process.env[name] ? Number(process.env[name]) : undefined);
+  return {
+    provider: llm.provider || process.env.LLM_PROVIDER || 'openai',
+    model: profile.model,
+    baseUrl: llm.baseUrl || process.env.LLM_BASE_URL || undefined,
+    temperature: llm.temperature ?? fromEnv('LLM_TEMPERATURE'),
+    maxTokens: llm.maxTokens ?? fromEnv('LLM_MAX_TOKENS'),
+  };
+}
+
+/**
+ * Makes the model call one tool, for answers that must follow a schema (call
+ * analysis, scenario judgements), and collects the streamed arguments.
+ * @param {Object} llm A chat adapter.
+ * @param {Object} request
+ * @param {string} request.model
+ * @param {Array<Object>} request.messages
+ * @param {Object} request.tool The tool definition, as in function-manifest.js.
+ * @returns {Promise<{id: string, arguments: string}>} The tool call id and its raw JSON arguments.
+ */
+async function forcedToolCall(llm, { model, messages, tool }) {
+  const name = tool.function.name;
+  let id = name;
+  let args = '';
+  for await (const chunk of llm.streamChat({ model, messages, tools: [tool], toolChoice: name, temperature: 0 })) {
+    (chunk.toolCalls || []).forEach((toolCall) => {
+      id = toolCall.id || id;
+      args += toolCall.arguments || '';
+    });
+  }
+  return { id, arguments: args };
+}
+
+module.exports = { registerProvider, createProvider, providerNames, llmSettings, forcedToolCall };
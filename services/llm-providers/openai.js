@@ -0,0 +1,78 @@
+// FILE: services/llm-providers/openai.js
+// DESCRIPTION: Chat adapter for the OpenAI API and OpenAI-compatible servers (vLLM, Ollama, ...).
+
+const OpenAI = require('openai');
+
+class OpenAIChatProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] Defaults to LLM_API_KEY, then OPENAI_API_KEY.
+   * @param {string} [options.baseUrl] An OpenAI-compatible endpoint, e.g. `http://localhost:11434/v1`.
+   * Defaults to OPENAI_BASE_URL, then the OpenAI API.
+   * @param {Object} [options.client] A ready client, used instead of building one.
+   * @param {boolean} [options.includeUsage] Ask for the token usage at the end of each
+   * stream. On unless LLM_STREAM_USAGE is `false`, for servers that reject `stream_options`.
+   */
+  constructor({
+    apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    baseUrl,
+    client,
+    includeUsage = process.env.LLM_STREAM_USAGE !== 'false',
+  } = {}) {
+    this.name = 'openai';
+    this.includeUsage = includeUsage;
+    // Local servers usually don't check the key, but the SDK insists on one
+    this.client = client || new OpenAI({ apiKey: apiKey || (baseUrl && 'unused'), baseURL: baseUrl });
+  }
+
+  /**
+   * Streams a chat completion.
+   * @param {Object} request
+   * @param {string} request.model
+   * @param {Array<Object>} request.messages OpenAI chat messages.
+   * @param {Array<Object>} [request.tools] OpenAI tool definitions.
+   * @param {string} [request.toolChoice] Name of a tool the model must call.
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens]
+   * @param {AbortSignal} [request.signal] Aborts the request and ends the stream.
+   * @returns {AsyncGenerator<{content: string, toolCalls?: Array<Object>, finishReason: string|null, usage?: Object}>}
+   */
+  async *streamChat({ model, messages, tools = [], toolChoice, temperature, maxTokens, signal }) {
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages,
+      // The API rejects an empty tool list
+      tools: tools.length > 0 ? tools : undefined,
+      tool_choice: toolChoice ? { type: 'function', function: { name: toolChoice } } : undefined,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      stream_options: this.includeUsage ? { include_usage: true } : undefined,
+    }, { signal });
+    for await (const chunk of stream) {
+      const choice = chunk.choices[0];
+      // The usage comes last, in a chunk of its own
+      const usage = chunk.usage && {
+        promptTokens: chunk.usage.prompt_tokens,
+        completionTokens: chunk.usage.completion_tokens,
+      };
+      if (!choice) {
+        if (usage) yield { content: '', finishReason: null, usage };
+        continue;
+      }
+      yield {
+        ...(usage && { usage }),
+        content: choice.delta?.content || '',
+        toolCalls: choice.delta?.tool_calls?.map((toolCall) => ({
+          index: toolCall.index,
+          id: toolCall.id,
+          name: toolCall.function?.name,
+          arguments: toolCall.function?.arguments,
+        })),
+        finishReason: choice.finish_reason || null,
+      };
+    }
+  }
+}
+
+module.exports = { OpenAIChatProvider };
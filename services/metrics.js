@@ -0,0 +1,165 @@
+// FILE: services/metrics.js
+// DESCRIPTION: Counters, gauges and histograms of the voice pipeline, rendered in the Prometheus text format.
+
+// Seconds; a turn should stay well under the second the README promises
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base of the metric types: one value per combination of label values.
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // The series of a label combination, created on first use
+  get(labels, create) {
+    const values = this.labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      const named = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+      this.series.set(key, { labels: named, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    // Unlabeled metrics are reported from the start, at zero
+    if (this.series.size === 0 && this.labelNames.length === 0) {
+      this.get({}, () => this.initial());
+    }
+    this.series.forEach((series) => lines.push(...this.renderSeries(series)));
+    return lines.join('\n');
+  }
+
+  initial() {
+    return { value: 0 };
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.get(labels, () => this.initial()).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.get(labels, () => this.initial()).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.get(labels, () => this.initial()).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.get(labels, () => this.initial());
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ];
+  }
+}
+
+/**
+ * @class MetricsRegistry
+ * @description Holds the metrics of the process. Label values are strings; a metric
+ * without labels is exported at zero before anything is recorded.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.add(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text exposition format.
+   */
+  render() {
+    return `${this.metrics.map((metric) => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+// The metrics served at /metrics
+const metrics = {
+  activeCalls: registry.gauge('kaller_active_calls', 'Calls with an open media stream.'),
+  turnLatency: registry.histogram(
+    'kaller_turn_latency_seconds',
+    'Time spent in each stage of a caller turn, see services/latency-tracer.js.',
+    ['stage']
+  ),
+  toolDuration: registry.histogram('kaller_tool_duration_seconds', 'Time a tool took to run.', ['tool', 'status']),
+  sttErrors: registry.counter('kaller_stt_errors_total', 'Errors reported by the transcription service.'),
+  ttsErrors: registry.counter('kaller_tts_errors_total', 'Failed TTS requests, by provider.', ['provider']),
+  interruptions: registry.counter('kaller_interruptions_total', 'Times a caller talked or typed over the agent.'),
+  llmTokens: registry.counter('kaller_llm_tokens_total', 'Tokens used by the conversation LLM, as reported by the backend.', ['model', 'type']),
+};
+
+module.exports = { MetricsRegistry, registry, metrics, LATENCY_BUCKETS };
@@ -0,0 +1,519 @@
+// FILE: services/profile-store.js
+// DESCRIPTION: Named agent profiles (prompt, greeting, model, LLM settings, voice, tools, silence, voicemail, keypad handling, transfers and post-call analysis) with version history.
+
+require('colors');
+const fs = require('fs');
+const path = require('path');
+const tools = require('../functions/function-manifest');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { HttpError } = require('./errors');
+const { providerNames } = require('./tts-providers');
+const llmProviders = require('./llm-providers');
+const { checkSchema } = require('./schema-validator');
+const { WEEKDAYS, FALLBACKS } = require('./transfer-service');
+
+const DEFAULT_PROFILE_ID = 'default';
+
+// Settings a profile version is made of. Anything else in a request body is ignored.
+const PROFILE_FIELDS = [
+  'name',
+  'system_prompt',
+  'assistant_prompt',
+  'model',
+  'llm',
+  'voice',
+  'tools',
+  'silence',
+  'voicemail',
+  'recording',
+  'dtmf',
+  'transfer',
+  'analysis',
+];
+
+const DEFAULT_CONFIG = {
+  model: 'gpt-4-1106-preview',
+  voice: { provider: 'elevenlabs', voiceId: 'lWq4KDY8znfkV0DrK8Vb' },
+  tools: tools.map((tool) => tool.function.name),
+};
+
+const DEFAULT_PROMPTS = {
+  system_prompt:
+    'Você é um representante de vendas outbound que vende AirPods da Apple. Você tem uma personalidade jovem e alegre. Mantenha suas respostas o mais breve possível, mas faça todo o possível para manter o interlocutor ao telefone sem ser rude. Não faça mais de uma pergunta por vez. Não faça suposições sobre quais valores inserir nas funções. Peça esclarecimentos se a solicitação de um usuário for ambígua. Fale todos os preços, incluindo a moeda. Ajude-os a decidir entre os AirPods, AirPods Pro e AirPods Max, fazendo perguntas como \'Você prefere fones de ouvido intra-auriculares ou sobre a orelha?\'. Se eles estiverem tentando escolher entre os AirPods e os AirPods Pro, tente perguntar se eles precisam de cancelamento de ruído. Depois de saber qual modelo eles gostariam, pergunte quantos eles gostariam de comprar e tente fazê-los fazer um pedido. Você deve adicionar um símbolo \'•\' a cada 5 a 10 palavras em pausas naturais, onde sua resposta pode ser dividida para conversão de texto em fala.',
+  assistant_prompt:
+    'Olá! Entendo que você está procurando um par de AirPods, correto?',
+};
+
+/**
+ * @class ProfileStore
+ * @description Stores each profile as `data/profiles/<id>.json`. Profiles are never
+ * edited in place: every save appends a new version, so a call can be pinned to the
+ * exact version it started with.
+ */
+class ProfileStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] Directory for the profile files. Defaults to `data/profiles`.
+   */
+  constructor({ dir } = {}) {
+    this.dir = dir || dataPath('profiles');
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${path.basename(id)}.json`);
+  }
+
+  /**
+   * Creates the `default` profile on first start, importing the legacy prompt.json if present.
+   * @param {string} [promptFile] Path to a prompt.json to import.
+   */
+  ensureDefaultProfile(promptFile) {
+    if (fs.existsSync(this.filePath(DEFAULT_PROFILE_ID))) return;
+
+    let prompts = DEFAULT_PROMPTS;
+    if (promptFile && fs.existsSync(promptFile)) {
+      console.log(`[PROFILES] Importing ${promptFile} as the default profile`.yellow);
+      prompts = readJson(promptFile);
+    }
+    this.createProfile({ id: DEFAULT_PROFILE_ID, name: 'Padrão', ...prompts });
+  }
+
+  /**
+   * Lists every profile with its current version number.
+   * @returns {Array<{id: string, name: string, currentVersion: number, updatedAt: string}>}
+   */
+  listProfiles() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => readJson(path.join(this.dir, file)))
+      .map(({ id, currentVersion, versions, createdAt }) => ({
+        id,
+        name: versions[currentVersion - 1].name,
+        currentVersion,
+        createdAt,
+        updatedAt: versions[currentVersion - 1].createdAt,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object} The full profile document, including every version.
+   * @throws {HttpError} 404 when the profile does not exist.
+   */
+  getProfile(id) {
+    const profile = id && readJson(this.filePath(id));
+    if (!profile) {
+      throw new HttpError(404, `Profile ${id} not found.`);
+    }
+    return profile;
+  }
+
+  /**
+   * Checks the current version of every profile against the current validation
+   * rules and environment, e.g. at startup.
+   * @throws {HttpError} 400 naming the first invalid profile.
+   */
+  validateAll() {
+    this.listProfiles().forEach(({ id }) => {
+      try {
+        validateConfig(this.getVersion(id));
+      } catch (error) {
+        throw new HttpError(400, `Profile ${id}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Returns one version of a profile as a flat snapshot ready to drive a call.
+   * @param {string} id
+   * @param {number} [version] Defaults to the current version.
+   * @returns {Object} `{ profileId, version, name, system_prompt, ... }`
+   * @throws {HttpError} 404 when the profile or version does not exist.
+   */
+  getVersion(id, version) {
+    const profile = this.getProfile(id);
+    const number = version ? Number(version) : profile.currentVersion;
+    const snapshot = profile.versions[number - 1];
+    if (!snapshot) {
+      throw new HttpError(404, `Profile ${id} has no version ${version}.`);
+    }
+    return { profileId: profile.id, ...snapshot };
+  }
+
+  /**
+   * Like `getVersion`, but falls back to the current default profile when the
+   * requested one is missing, so a call can always start.
+   * @param {string} [id]
+   * @param {number} [version]
+   * @returns {Object} A profile snapshot.
+   */
+  resolve(id, version) {
+    try {
+      return this.getVersion(id || DEFAULT_PROFILE_ID, version);
+    } catch (error) {
+      console.warn(`[PROFILES] ${error.message} Using the default profile.`.yellow);
+      return this.getVersion(DEFAULT_PROFILE_ID);
+    }
+  }
+
+  /**
+   * Creates a profile with its first version.
+   * @param {Object} config Profile settings, plus an optional `id`.
+   * @returns {Object} The snapshot of version 1.
+   * @throws {HttpError} 400 on invalid settings or an id that isn't a slug, 409 if the id is taken.
+   */
+  createProfile({ id, ...config }) {
+    // The id is the file name, so it must survive `filePath` unchanged
+    if (id && (typeof id !== 'string' || id !== slugify(id))) {
+      throw new HttpError(400, 'A profile id may only use lowercase letters, digits and dashes, e.g. "vendas-sp".');
+    }
+    const profileId = id || slugify(config.name || '');
+    if (!profileId) {
+      throw new HttpError(400, 'A profile name is required.');
+    }
+    if (fs.existsSync(this.filePath(profileId))) {
+      throw new HttpError(409, `Profile ${profileId} already exists.`);
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      id: profileId,
+      createdAt: now,
+      currentVersion: 1,
+      versions: [
+        { version: 1, createdAt: now, ...validateConfig({ ...DEFAULT_CONFIG, ...pick(config) }) },
+      ],
+    };
+    writeJson(this.filePath(profileId), profile);
+    return this.getVersion(profileId);
+  }
+
+  /**
+   * Saves new settings as the next version. Fields that are left out keep their
+   * current value, and saving identical settings does not create a version.
+   * @param {string} id
+   * @param {Object} config The settings, plus an optional `baseVersion`: the version
+   * they were edited from, so a save made on top of someone else's is refused.
+   * @param {Object} [meta] Extra fields stored on the version, e.g. `rolledBackFrom`.
+   * @returns {Object} The snapshot of the now current version.
+   * @throws {HttpError} 409 if `baseVersion` is no longer the current version.
+   */
+  saveVersion(id, config, meta = {}) {
+    const profile = this.getProfile(id);
+    if (config.baseVersion !== undefined && Number(config.baseVersion) !== profile.currentVersion) {
+      throw new HttpError(
+        409,
+        `Profile ${id} was changed to version ${profile.currentVersion} since version ${config.baseVersion} was loaded.`
+      );
+    }
+    const current = profile.versions[profile.currentVersion - 1];
+    const next = validateConfig({ ...pick(current), ...pick(config) });
+
+    if (PROFILE_FIELDS.every((field) => isEqual(current[field], next[field]))) {
+      return this.getVersion(id);
+    }
+
+    const version = profile.versions.length + 1;
+    profile.versions.push({
+      version,
+      createdAt: new Date().toISOString(),
+      ...next,
+      ...meta,
+    });
+    profile.currentVersion = version;
+    writeJson(this.filePath(id), profile);
+    return this.getVersion(id);
+  }
+
+  /**
+   * Makes an old version current again by copying it into a new version.
+   * @param {string} id
+   * @param {number} version The version to restore.
+   * @returns {Object} The snapshot of the new current version.
+   */
+  rollback(id, version) {
+    const target = this.getVersion(id, version);
+    return this.saveVersion(id, target, { rolledBackFrom: target.version });
+  }
+
+  /**
+   * Compares two versions of a profile.
+   * @param {string} id
+   * @param {number} from
+   * @param {number} [to] Defaults to the current version.
+   * @returns {{from: number, to: number, changes: Object}} For each changed field,
+   * text fields get a line diff (`[{ op: '+' | '-' | ' ', line }]`) and other
+   * fields get `{ before, after }`.
+   */
+  diffVersions(id, from, to) {
+    const before = this.getVersion(id, from);
+    const after = this.getVersion(id, to);
+    const changes = {};
+
+    PROFILE_FIELDS.forEach((field) => {
+      if (isEqual(before[field], after[field])) return;
+      changes[field] =
+        typeof before[field] === 'string' && typeof after[field] === 'string'
+          ? diffLines(before[field], after[field])
+          : { before: before[field], after: after[field] };
+    });
+
+    return { from: before.version, to: after.version, changes };
+  }
+}
+
+function pick(config) {
+  const picked = {};
+  PROFILE_FIELDS.forEach((field) => {
+    if (config[field] !== undefined) picked[field] = config[field];
+  });
+  return picked;
+}
+
+function validateConfig(config) {
+  ['name', 'system_prompt', 'assistant_prompt', 'model'].forEach((field) => {
+    if (typeof config[field] !== 'string' || !config[field].trim()) {
+      throw new HttpError(400, `${field} is required.`);
+    }
+  });
+  validateLlm(config);
+  validateVoice(config.voice);
+  validateSilence(config.silence);
+  validateVoicemail(config.voicemail);
+  validateRecording(config.recording);
+  if (!Array.isArray(config.tools)) {
+    throw new HttpError(400, 'tools must be a list of tool names.');
+  }
+  const known = tools.map((tool) => tool.function.name);
+  const unknown = config.tools.filter((name) => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown tools: ${unknown.join(', ')}.`);
+  }
+  validateDtmf(config.dtmf, config.tools);
+  validateTransfer(config.transfer);
+  validateAnalysis(config.analysis);
+  return config;
+}
+
+// Validated with the environment defaults applied, so a bad LLM_* variable is caught too
+function validateLlm(config) {
+  if (config.llm !== undefined && (typeof config.llm !== 'object' || Array.isArray(config.llm))) {
+    throw new HttpError(400, 'llm must be an object.');
+  }
+  const { provider, baseUrl, temperature, maxTokens } = llmProviders.llmSettings(config);
+  if (!llmProviders.providerNames().includes(provider)) {
+    throw new HttpError(400, `Unknown LLM provider: ${provider}.`);
+  }
+  if (baseUrl !== undefined && !/^https?:\/\/[^/\s]+/.test(baseUrl)) {
+    throw new HttpError(400, 'llm.baseUrl must be an http(s) URL.');
+  }
+  if (temperature !== undefined && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+    throw new HttpError(400, 'llm.temperature must be between 0 and 2.');
+  }
+  if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw new HttpError(400, 'llm.maxTokens must be a positive integer.');
+  }
+}
+
+function validateVoice(voice) {
+  if (!voice || typeof voice.voiceId !== 'string' || !voice.voiceId) {
+    throw new HttpError(400, 'voice.voiceId is required.');
+  }
+  const providers = [voice.provider, ...(voice.fallback || []).map((entry) => entry.provider || entry)];
+  const unknown = providers.filter((name) => !providerNames().includes(name));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown TTS providers: ${unknown.join(', ')}.`);
+  }
+  if (voice.speed !== undefined && !(voice.speed >= 0.25 && voice.speed <= 4)) {
+    throw new HttpError(400, 'voice.speed must be between 0.25 and 4.');
+  }
+  if (voice.stability !== undefined && !(voice.stability >= 0 && voice.stability <= 1)) {
+    throw new HttpError(400, 'voice.stability must be between 0 and 1.');
+  }
+}
+
+function validateSilence(silence) {
+  if (silence === undefined) return;
+  if (typeof silence !== 'object' || silence === null || Array.isArray(silence)) {
+    throw new HttpError(400, 'silence must be an object.');
+  }
+  const { timeoutMs, maxReprompts, repromptText, closingText } = silence;
+  if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs >= 1000)) {
+    throw new HttpError(400, 'silence.timeoutMs must be an integer of at least 1000.');
+  }
+  if (maxReprompts !== undefined && !(Number.isInteger(maxReprompts) && maxReprompts >= 0)) {
+    throw new HttpError(400, 'silence.maxReprompts must be a non-negative integer.');
+  }
+  [['repromptText', repromptText], ['closingText', closingText]].forEach(([field, text]) => {
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+      throw new HttpError(400, `silence.${field} must be a non-empty text.`);
+    }
+  });
+}
+
+function validateVoicemail(voicemail) {
+  if (voicemail === undefined) return;
+  if (typeof voicemail !== 'object' || voicemail === null || Array.isArray(voicemail)) {
+    throw new HttpError(400, 'voicemail must be an object.');
+  }
+  if (voicemail.action !== undefined && !['message', 'hangup'].includes(voicemail.action)) {
+    throw new HttpError(400, 'voicemail.action must be "message" or "hangup".');
+  }
+  if (voicemail.message !== undefined && (typeof voicemail.message !== 'string' || !voicemail.message.trim())) {
+    throw new HttpError(400, 'voicemail.message must be a non-empty text.');
+  }
+}
+
+function validateRecording(recording) {
+  if (recording === undefined) return;
+  if (typeof recording !== 'object' || recording === null || Array.isArray(recording)) {
+    throw new HttpError(400, 'recording must be an object.');
+  }
+  if (recording.disclaimer !== undefined && (typeof recording.disclaimer !== 'string' || !recording.disclaimer.trim())) {
+    throw new HttpError(400, 'recording.disclaimer must be a non-empty text.');
+  }
+}
+
+function validateDtmf(dtmf, enabledTools) {
+  if (dtmf === undefined) return;
+  if (typeof dtmf !== 'object' || dtmf === null || Array.isArray(dtmf)) {
+    throw new HttpError(400, 'dtmf must be an object.');
+  }
+  const { interDigitTimeoutMs, terminator, shortcuts = {} } = dtmf;
+  if (interDigitTimeoutMs !== undefined && !(Number.isInteger(interDigitTimeoutMs) && interDigitTimeoutMs >= 500)) {
+    throw new HttpError(400, 'dtmf.interDigitTimeoutMs must be an integer of at least 500.');
+  }
+  if (terminator !== undefined && !['#', '*', ''].includes(terminator)) {
+    throw new HttpError(400, 'dtmf.terminator must be "#", "*" or empty.');
+  }
+  if (typeof shortcuts !== 'object' || shortcuts === null || Array.isArray(shortcuts)) {
+    throw new HttpError(400, 'dtmf.shortcuts must map keys to tool names.');
+  }
+  Object.entries(shortcuts).forEach(([key, tool]) => {
+    if (!/^[0-9*#]$/.test(key) || key === (terminator === undefined ? '#' : terminator)) {
+      throw new HttpError(400, `dtmf.shortcuts: "${key}" is not a usable key.`);
+    }
+    if (!enabledTools.includes(tool)) {
+      throw new HttpError(400, `dtmf.shortcuts: key ${key} uses ${tool}, which is not an enabled tool.`);
+    }
+  });
+}
+
+function validateTransfer(transfer) {
+  if (transfer === undefined) return;
+  if (typeof transfer !== 'object' || transfer === null || Array.isArray(transfer)) {
+    throw new HttpError(400, 'transfer must be an object.');
+  }
+  const { mode, ringTimeoutSeconds, targets = {} } = transfer;
+  if (mode !== undefined && !['blind', 'warm'].includes(mode)) {
+    throw new HttpError(400, 'transfer.mode must be "blind" or "warm".');
+  }
+  if (ringTimeoutSeconds !== undefined && !(Number.isInteger(ringTimeoutSeconds) && ringTimeoutSeconds >= 5 && ringTimeoutSeconds <= 120)) {
+    throw new HttpError(400, 'transfer.ringTimeoutSeconds must be an integer from 5 to 120.');
+  }
+  if (typeof targets !== 'object' || targets === null || Array.isArray(targets)) {
+    throw new HttpError(400, 'transfer.targets must map department names to targets.');
+  }
+  Object.entries(targets).forEach(([name, target]) => {
+    const field = `transfer.targets.${name}`;
+    if (!/^[a-z0-9_-]{1,32}$/.test(name)) {
+      throw new HttpError(400, `${field}: department names are 1 to 32 lowercase letters, digits, "_" or "-".`);
+    }
+    if (typeof target !== 'object' || target === null || !/^\+[1-9]\d{6,14}$/.test(target.number)) {
+      throw new HttpError(400, `${field}.number must be an E.164 phone number, e.g. "+5511999990000".`);
+    }
+    if (target.label !== undefined && (typeof target.label !== 'string' || !target.label.trim())) {
+      throw new HttpError(400, `${field}.label must be a non-empty text.`);
+    }
+    if (target.fallback !== undefined && !FALLBACKS.includes(target.fallback)) {
+      throw new HttpError(400, `${field}.fallback must be "callback" or "voicemail".`);
+    }
+    if (target.hours !== undefined) validateHours(target.hours, `${field}.hours`);
+  });
+}
+
+function validateHours(hours, field) {
+  if (typeof hours !== 'object' || hours === null || Array.isArray(hours)) {
+    throw new HttpError(400, `${field} must be an object.`);
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: hours.timezone || 'UTC' });
+  } catch (error) {
+    throw new HttpError(400, `${field}.timezone must be an IANA time zone, e.g. "America/Sao_Paulo".`);
+  }
+  if (hours.days !== undefined && !(Array.isArray(hours.days) && hours.days.length > 0 && hours.days.every((day) => WEEKDAYS.includes(day)))) {
+    throw new HttpError(400, `${field}.days must list days among ${WEEKDAYS.join(', ')}.`);
+  }
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!time.test(hours.open) || !time.test(hours.close) || hours.open >= hours.close) {
+    throw new HttpError(400, `${field} needs "open" and "close" as HH:MM, open before close.`);
+  }
+}
+
+function validateAnalysis(analysis) {
+  if (analysis === undefined) return;
+  if (typeof analysis !== 'object' || analysis === null || Array.isArray(analysis)) {
+    throw new HttpError(400, 'analysis must be an object.');
+  }
+  if (analysis.fields === undefined) return;
+  if (!analysis.fields || analysis.fields.type !== 'object') {
+    throw new HttpError(400, 'analysis.fields must be a JSON Schema of type object.');
+  }
+  const errors = checkSchema(analysis.fields, 'analysis.fields');
+  if (errors.length > 0) {
+    throw new HttpError(400, errors.join(' '));
+  }
+}
+
+function slugify(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Line diff based on the longest common subsequence. Prompts are short enough
+ * that the quadratic table is not a concern.
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ op: '-', line: a[i++] });
+    } else {
+      diff.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ op: '-', line: a[i++] });
+  while (j < b.length) diff.push({ op: '+', line: b[j++] });
+  return diff;
+}
+
+const profileStore = new ProfileStore();
+
+module.exports = { ProfileStore, profileStore, DEFAULT_PROFILE_ID, diffLines };
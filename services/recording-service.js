@@ -1,18 +1,40 @@
+// FILE: services/recording-service.js
+// DESCRIPTION: Starts the recording of a call (local or Twilio cloud) and speaks the disclaimer in the profile's language.
 
 require('colors');
 
-async function recordingService(ttsService, callSid) {
+const DEFAULT_DISCLAIMER = 'Esta chamada será gravada.';
+
+/**
+ * Recording settings of a call. RECORDING_ENABLED turns recording on for every
+ * call, RECORDING_STORAGE picks `local` (the default, see CallRecorder) or `twilio`
+ * (a dual-channel Twilio cloud recording).
+ * @param {Object} [profile] The profile's `recording.disclaimer` overrides
+ * RECORDING_DISCLAIMER, so it can match the language of the prompt.
+ * @returns {{enabled: boolean, storage: string, disclaimer: string}}
+ */
+function recordingSettings(profile = {}) {
+  return {
+    enabled: process.env.RECORDING_ENABLED === 'true',
+    storage: process.env.RECORDING_STORAGE === 'twilio' ? 'twilio' : 'local',
+    disclaimer: (profile.recording && profile.recording.disclaimer) || process.env.RECORDING_DISCLAIMER || DEFAULT_DISCLAIMER,
+  };
+}
+
+/**
+ * Speaks the disclaimer and, for Twilio storage, starts the cloud recording.
+ * Local recordings are captured from the media stream by the caller of this function.
+ * @param {Object} ttsService
+ * @param {string} callSid
+ * @param {Object} settings See recordingSettings.
+ */
+async function recordingService(ttsService, callSid, settings) {
+  if (!settings.enabled) return;
   try {
-    if (process.env.RECORDING_ENABLED === 'true') {
+    ttsService.generate({ partialResponseIndex: null, partialResponse: settings.disclaimer, cache: true }, 0);
+    if (settings.storage === 'twilio') {
       const client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-      
-      ttsService.generate({partialResponseIndex: null, partialResponse: 'This call will be recorded.'}, 0);
-      const recording = await client.calls(callSid)
-        .recordings
-        .create({
-          recordingChannels: 'dual'
-        });
-          
+      const recording = await client.calls(callSid).recordings.create({ recordingChannels: 'dual' });
       console.log(`Recording Created: ${recording.sid}`.red);
     }
   } catch (err) {
@@ -20,4 +42,4 @@ async function recordingService(ttsService, callSid) {
   }
 }
 
-module.exports = { recordingService };
\ No newline at end of file
+module.exports = { recordingService, recordingSettings, DEFAULT_DISCLAIMER };
@@ -0,0 +1,123 @@
+// FILE: services/recording-store.js
+// DESCRIPTION: Saves local call recordings as WAV files and deletes them once their retention period is over.
+
+require('colors');
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./storage');
+const { encodeWav } = require('./wav-encoder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {number} RECORDING_RETENTION_DAYS, 30 by default; 0 keeps recordings forever.
+ */
+function retentionDays() {
+  const days = Number(process.env.RECORDING_RETENTION_DAYS ?? 30);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+/**
+ * @class RecordingStore
+ * @description Stores one stereo WAV per call under `data/recordings/<callSid>.wav`,
+ * caller on the left channel and agent on the right. The call record gets a
+ * `recording` entry describing the file, and `recording.expiredAt` once the file
+ * was deleted for retention.
+ */
+class RecordingStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] Defaults to `data/recordings`.
+   * @param {Object} [options.calls] Call store, updated when a recording is saved or expires.
+   * @param {number} [options.retentionDays] Defaults to RECORDING_RETENTION_DAYS.
+   * @param {Function} [options.now] Clock, replaceable in tests.
+   * @param {number} [options.cleanupMs] How often expired recordings are looked for.
+   */
+  constructor({ dir, calls, retentionDays: days = retentionDays(), now = Date.now, cleanupMs = 60 * 60 * 1000 } = {}) {
+    this.dir = dir || dataPath('recordings');
+    this.calls = calls;
+    this.retentionDays = days;
+    this.now = now;
+    this.cleanupMs = cleanupMs;
+    this.timer = null;
+  }
+
+  filePath(callSid) {
+    return path.join(this.dir, `${path.basename(callSid)}.wav`);
+  }
+
+  /**
+   * @param {string} callSid
+   * @returns {boolean} Whether the call has a recording on disk.
+   */
+  has(callSid) {
+    return fs.existsSync(this.filePath(callSid));
+  }
+
+  /**
+   * Writes the recording of a finished call.
+   * @param {string} callSid
+   * @param {Object} recorder A stopped CallRecorder.
+   * @returns {Promise<Object|null>} `{ durationMs, bytes, savedAt }`, or null when
+   * nothing was recorded.
+   */
+  async save(callSid, recorder) {
+    const { left, right, durationMs } = recorder.channels();
+    if (durationMs === 0) return null;
+    const wav = await encodeWav(left, right);
+    const file = this.filePath(callSid);
+    const tmpPath = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(tmpPath, wav);
+    await fs.promises.rename(tmpPath, file);
+    const recording = { durationMs, bytes: wav.length, savedAt: new Date(this.now()).toISOString() };
+    if (this.calls) {
+      this.calls.update(callSid, { recording });
+    }
+    return recording;
+  }
+
+  /**
+   * Deletes the recordings older than the retention period.
+   * @returns {Array<string>} The callSids whose recording was deleted.
+   */
+  purge() {
+    if (this.retentionDays === 0 || !fs.existsSync(this.dir)) return [];
+    const cutoff = this.now() - this.retentionDays * DAY_MS;
+    const expired = fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith('.wav'))
+      .filter((file) => fs.statSync(path.join(this.dir, file)).mtimeMs < cutoff)
+      .map((file) => path.basename(file, '.wav'));
+    expired.forEach((callSid) => {
+      fs.rmSync(this.filePath(callSid), { force: true });
+      const call = this.calls && this.calls.getCall(callSid);
+      if (call && call.recording) {
+        this.calls.update(callSid, { recording: { ...call.recording, expiredAt: new Date(this.now()).toISOString() } });
+      }
+    });
+    if (expired.length > 0) {
+      console.log(`[RECORDINGS] Deleted ${expired.length} recording(s) older than ${this.retentionDays} days`.cyan);
+    }
+    return expired;
+  }
+
+  /**
+   * Purges now and then periodically, unless recordings are kept forever.
+   */
+  startCleanup() {
+    if (this.retentionDays === 0 || this.timer) return;
+    const purge = () => {
+      try {
+        this.purge();
+      } catch (error) {
+        console.error('[RECORDINGS] Cleanup failed:'.red, error);
+      }
+    };
+    purge();
+    this.timer = setInterval(purge, this.cleanupMs);
+    this.timer.unref();
+  }
+}
+
+module.exports = { RecordingStore, retentionDays };
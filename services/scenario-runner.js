@@ -0,0 +1,438 @@
+// FILE: services/scenario-runner.js
+// DESCRIPTION: Scripted caller conversations with assertions on the agent's tools and replies, for prompt regression tests.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { readJson, writeJson } = require('./storage');
+const { ChatSession } = require('./chat-simulator');
+const { renderConversation } = require('./call-analysis');
+const { createProvider, llmSettings, forcedToolCall } = require('./llm-providers');
+
+const SCENARIO_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const JUDGE_TOOL = 'verdict';
+
+const JUDGE_PROMPT = `You review the replies of a voice sales agent in a test conversation. Read the conversation and the criterion, then call ${JUDGE_TOOL} once. pass is true only when the criterion clearly holds; reason explains why in one sentence.`;
+
+const judgeTool = {
+  type: 'function',
+  function: {
+    name: JUDGE_TOOL,
+    description: 'Records whether the agent met the criterion.',
+    parameters: {
+      type: 'object',
+      properties: {
+        pass: { type: 'boolean' },
+        reason: { type: 'string' },
+      },
+      required: ['pass', 'reason'],
+    },
+  },
+};
+
+/**
+ * Reads a scenario file.
+ * @param {string} file A .json, .yaml or .yml file.
+ * @returns {Object} The scenario, with `name` defaulting to the file name and `file` set.
+ * @throws {Error} When the file doesn't describe a scenario.
+ */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const scenario = path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+  const problem = scenarioProblem(scenario);
+  if (problem) {
+    throw new Error(`${file}: ${problem}`);
+  }
+  return { name: path.basename(file, path.extname(file)), ...scenario, file };
+}
+
+function scenarioProblem(scenario) {
+  if (!scenario || typeof scenario !== 'object') return 'not a scenario object.';
+  if (!Array.isArray(scenario.turns) || scenario.turns.length === 0) return 'turns must list the caller turns.';
+  const index = scenario.turns.findIndex((turn) => typeof turn?.caller !== 'string' || !turn.caller.trim());
+  if (index !== -1) return `turns[${index}].caller must be the text the caller says.`;
+  if (scenario.profile !== undefined && !['string', 'object'].includes(typeof scenario.profile)) {
+    return 'profile must be a profile id or the profile settings.';
+  }
+  return null;
+}
+
+/**
+ * Expands files and directories into the scenario files they hold, in name order.
+ * Recordings are skipped.
+ * @param {Array<string>} paths
+ * @returns {Array<string>}
+ */
+function findScenarioFiles(paths) {
+  return paths.flatMap((target) => {
+    if (!fs.statSync(target).isDirectory()) return [target];
+    return fs
+      .readdirSync(target, { withFileTypes: true })
+      .filter((entry) => entry.name !== 'recordings')
+      .flatMap((entry) => {
+        const full = path.join(target, entry.name);
+        if (entry.isDirectory()) return findScenarioFiles([full]);
+        return SCENARIO_EXTENSIONS.includes(path.extname(entry.name)) ? [full] : [];
+      })
+      .sort();
+  });
+}
+
+/**
+ * @param {Object} scenario
+ * @returns {string} Where `--record` keeps the LLM responses of a scenario file.
+ */
+function recordingPath(scenario) {
+  const dir = path.dirname(scenario.file);
+  return path.join(dir, 'recordings', `${path.basename(scenario.file, path.extname(scenario.file))}.json`);
+}
+
+/**
+ * @class ScriptedLlm
+ * @description Chat adapter that replays responses instead of calling a model. Each
+ * `streamChat` streams the next one: `{ content }` as its `•`-delimited chunks, or
+ * `{ toolCalls: [{ name, arguments }] }` as tool calls.
+ */
+class ScriptedLlm {
+  constructor(responses = []) {
+    this.name = 'scripted';
+    this.responses = [...responses];
+  }
+
+  remaining() {
+    return this.responses.length;
+  }
+
+  async *streamChat() {
+    const response = this.responses.shift();
+    if (!response) {
+      throw new Error('No recorded LLM response left. Run the scenario with --live --record to record it again.');
+    }
+    if (response.toolCalls) {
+      yield {
+        content: '',
+        toolCalls: response.toolCalls.map((toolCall, index) => ({
+          index,
+          id: `call_${index}`,
+          name: toolCall.name,
+          arguments: JSON.stringify(toolCall.arguments || {}),
+        })),
+        finishReason: 'tool_calls',
+      };
+      return;
+    }
+    for (const piece of (response.content || '').split(/(?<=•)/)) {
+      yield { content: piece, finishReason: null };
+    }
+    yield { content: '', finishReason: 'stop' };
+  }
+}
+
+/**
+ * @class RecordingLlm
+ * @description Passes requests to a real adapter and keeps each response in the
+ * format `ScriptedLlm` replays.
+ */
+class RecordingLlm {
+  constructor(llm) {
+    this.name = llm.name;
+    this.llm = llm;
+    this.responses = [];
+  }
+
+  async *streamChat(request) {
+    let content = '';
+    const toolCalls = [];
+    for await (const chunk of this.llm.streamChat(request)) {
+      content += chunk.content || '';
+      (chunk.toolCalls || []).forEach((delta) => {
+        const index = delta.index ?? toolCalls.length - 1;
+        toolCalls[index] = toolCalls[index] || { name: '', arguments: '' };
+        toolCalls[index].name += delta.name || '';
+        toolCalls[index].arguments += delta.arguments || '';
+      });
+      yield chunk;
+    }
+    this.responses.push(
+      toolCalls.length > 0
+        ? { toolCalls: toolCalls.map((toolCall) => ({ name: toolCall.name, arguments: parseArguments(toolCall.arguments) })) }
+        : { content }
+    );
+  }
+}
+
+function parseArguments(text) {
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * True when `actual` has everything `expected` has. Objects may have more keys,
+ * strings are compared case-insensitively.
+ */
+function matchesSubset(actual, expected) {
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    return actual.toLowerCase() === expected.toLowerCase();
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length && expected.every((item, i) => matchesSubset(actual[i], item));
+  }
+  if (expected && typeof expected === 'object') {
+    return !!actual && typeof actual === 'object' && Object.keys(expected).every((key) => matchesSubset(actual[key], expected[key]));
+  }
+  return actual === expected;
+}
+
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+const describeTool = (tool) => (typeof tool === 'string' ? tool : `${tool.name}(${JSON.stringify(tool.arguments || {})})`);
+const passed = (check) => ({ check, status: 'passed' });
+const failed = (check, message) => ({ check, status: 'failed', message });
+
+/**
+ * @param {Array<Object>} calls The tool events of a turn or of the whole conversation.
+ * @param {Object} [expectations] `{ called, notCalled }`, each a list of tool names or `{ name, arguments }`.
+ * @returns {Array<Object>} Checks.
+ */
+function checkTools(calls, { called, notCalled } = {}) {
+  const matches = (tool) => (call) =>
+    typeof tool === 'string' ? call.name === tool : call.name === tool.name && matchesSubset(call.arguments, tool.arguments || {});
+  const made = calls.map((call) => describeTool(call)).join(', ') || 'none';
+  return [
+    ...asList(called).map((tool) =>
+      calls.some(matches(tool))
+        ? passed(`calls ${describeTool(tool)}`)
+        : failed(`calls ${describeTool(tool)}`, `Tool calls made: ${made}.`)
+    ),
+    ...asList(notCalled).map((tool) =>
+      calls.some(matches(tool))
+        ? failed(`does not call ${describeTool(tool)}`, `Tool calls made: ${made}.`)
+        : passed(`does not call ${describeTool(tool)}`)
+    ),
+  ];
+}
+
+function checkReply(reply, { matches, notMatches } = {}) {
+  return [
+    ...asList(matches).map((pattern) =>
+      new RegExp(pattern, 'i').test(reply) ? passed(`reply matches /${pattern}/`) : failed(`reply matches /${pattern}/`, `Reply: "${reply}"`)
+    ),
+    ...asList(notMatches).map((pattern) =>
+      new RegExp(pattern, 'i').test(reply) ? failed(`reply does not match /${pattern}/`, `Reply: "${reply}"`) : passed(`reply does not match /${pattern}/`)
+    ),
+  ];
+}
+
+function checkEnd(ended, endsCall) {
+  if (endsCall === undefined) return [];
+  const check = endsCall ? 'ends the call' : 'keeps the call going';
+  return ended === endsCall ? [passed(check)] : [failed(check, ended ? 'The agent ended the call.' : 'The call is still going.')];
+}
+
+/**
+ * @class ScenarioRunner
+ * @description Plays scenarios through a `ChatSession`, so the real `GptService` and
+ * the profile's prompt and tools answer every scripted caller turn, and checks each
+ * turn and the whole conversation against the scenario's `expect` blocks.
+ *
+ * Offline (the default) the LLM is a `ScriptedLlm` replaying the scenario's `mock`
+ * block or its recording, and checks judged by the LLM are skipped unless a judgement
+ * was recorded. `live` uses the profile's LLM backend, and `record` also writes what
+ * it answered to the scenario's recording.
+ */
+class ScenarioRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.profileStore Where scenario profiles are looked up.
+   * @param {boolean} [options.live] Ask the real model instead of replaying responses.
+   * @param {boolean} [options.record] With `live`, write the responses to the recording.
+   * @param {string} [options.judgeModel] Model for judged checks. Defaults to the profile's model.
+   */
+  constructor({ profileStore, live = false, record = false, judgeModel } = {}) {
+    this.profileStore = profileStore;
+    this.live = live;
+    this.record = live && record;
+    this.judgeModel = judgeModel;
+  }
+
+  /**
+   * @param {Object} scenario A scenario from `loadScenario`.
+   * @returns {Object} The scenario profile snapshot.
+   */
+  profileFor(scenario) {
+    if (scenario.profile && typeof scenario.profile === 'object') {
+      return { profileId: scenario.name, version: null, tools: [], ...scenario.profile };
+    }
+    return this.profileStore.getVersion(scenario.profile || 'default', scenario.profileVersion);
+  }
+
+  /**
+   * The chat and judge adapters for a scenario, with what the replay is based on.
+   */
+  backendFor(scenario, profile) {
+    if (this.live) {
+      const settings = llmSettings(profile);
+      const llm = createProvider(settings.provider, { baseUrl: settings.baseUrl });
+      return this.record
+        ? { llm: new RecordingLlm(llm), judge: new RecordingLlm(llm) }
+        : { llm, judge: llm };
+    }
+    const file = recordingPath(scenario);
+    const mock = scenario.mock || readJson(file);
+    if (!mock) {
+      throw new Error(`No mock responses and no recording at ${file}. Run it with --live --record first.`);
+    }
+    const notes = [];
+    if (mock.profileVersion && profile.version && mock.profileVersion !== profile.version) {
+      notes.push(`Recorded with ${profile.profileId} v${mock.profileVersion}, the profile is at v${profile.version}.`);
+    }
+    const judgements = (mock.judgements || []).map((judgement) => ({
+      toolCalls: [{ name: JUDGE_TOOL, arguments: judgement }],
+    }));
+    return { llm: new ScriptedLlm(mock.responses), judge: new ScriptedLlm(judgements), notes };
+  }
+
+  /**
+   * Plays a scenario.
+   * @param {Object} scenario A scenario from `loadScenario`.
+   * @returns {Promise<Object>} `{ name, file, mode, passed, turns, checks, notes, error? }`.
+   * Each turn is `{ caller, reply, tools, ended, checks }`, where `tools` lists
+   * `{ name, arguments, result, failed }` (or `{ caller, skipped: true }`
+   * when the call ended first), and every check `{ check, status, message? }` with
+   * status `passed`, `failed` or `skipped`.
+   */
+  async run(scenario) {
+    const result = {
+      name: scenario.name,
+      file: scenario.file,
+      mode: this.live ? 'live' : 'offline',
+      passed: false,
+      turns: [],
+      checks: [],
+      notes: [],
+    };
+    let session;
+    try {
+      const profile = this.profileFor(scenario);
+      const backend = this.backendFor(scenario, profile);
+      result.notes.push(...(backend.notes || []));
+      const functions = Object.fromEntries(
+        Object.entries(scenario.toolResults || {}).map(([name, value]) => [name, async () => value])
+      );
+      session = new ChatSession(profile, { llm: backend.llm, functions });
+      const judge = (criterion) => this.judge(backend.judge, profile, session, criterion);
+
+      await this.play(scenario, session, result, judge);
+      result.checks.push(...(await this.checkConversation(scenario, session, result, judge)));
+
+      if (this.record) {
+        this.writeRecording(scenario, profile, backend);
+      }
+    } catch (error) {
+      result.error = error.message;
+    } finally {
+      session?.close();
+    }
+    const all = [...result.turns.flatMap((turn) => turn.checks || []), ...result.checks];
+    result.passed = !result.error && all.every((check) => check.status !== 'failed');
+    return result;
+  }
+
+  async play(scenario, session, result, judge) {
+    const maxTurns = scenario.expect?.maxTurns;
+    for (const script of scenario.turns) {
+      if (session.ended || (maxTurns && result.turns.length >= maxTurns)) {
+        result.turns.push({ caller: script.caller, skipped: true });
+        continue;
+      }
+      const turn = await session.send(script.caller);
+      const tools = turn.events
+        .filter((event) => event.type === 'tool')
+        .map(({ name, arguments: args, result, failed }) => ({ name, arguments: args, result, failed }));
+      const reply = turn.events
+        .filter((event) => event.type === 'chunk' || event.type === 'say')
+        .map((event) => event.text.replace(/•/g, '').trim())
+        .join(' ');
+      const expect = script.expect || {};
+      const checks = [
+        ...checkTools(tools, expect.tools),
+        ...checkReply(reply, expect.reply),
+        ...checkEnd(session.ended, expect.endsCall),
+      ];
+      result.turns.push({ caller: script.caller, reply, tools, ended: session.ended, checks });
+      for (const criterion of asList(expect.reply?.judge)) {
+        checks.push({ ...(await judge(`About the agent's last reply: ${criterion}`)), check: `judge: ${criterion}` });
+      }
+    }
+  }
+
+  async checkConversation(scenario, session, result, judge) {
+    const expect = scenario.expect || {};
+    const played = result.turns.filter((turn) => !turn.skipped);
+    const checks = [
+      ...checkTools(played.flatMap((turn) => turn.tools), expect.tools),
+      ...checkEnd(session.ended, expect.endsCall),
+    ];
+    if (expect.maxTurns) {
+      const check = `ends the call within ${expect.maxTurns} turns`;
+      checks.push(
+        session.ended
+          ? passed(check)
+          : failed(check, `The call was still going after ${played.length} turns.`)
+      );
+    } else if (played.length < scenario.turns.length) {
+      // Without a turn limit the script is meant to be played in full
+      checks.push(failed('plays every turn', `The agent ended the call after turn ${played.length} of ${scenario.turns.length}.`));
+    }
+    for (const criterion of asList(expect.judge)) {
+      checks.push({ ...(await judge(criterion)), check: `judge: ${criterion}` });
+    }
+    return checks;
+  }
+
+  /**
+   * Asks the judge model whether the conversation so far meets a criterion.
+   * @returns {Promise<Object>} A check.
+   */
+  async judge(llm, profile, session, criterion) {
+    if (!this.live && llm.remaining() === 0) {
+      return { check: criterion, status: 'skipped', message: 'No recorded judgement.' };
+    }
+    const messages = [
+      { role: 'system', content: JUDGE_PROMPT },
+      {
+        role: 'user',
+        content: `Conversation:\n${renderConversation({ context: session.gptService.userContext.slice(1) })}\n\nCriterion: ${criterion}`,
+      },
+    ];
+    const { arguments: args } = await forcedToolCall(llm, { model: this.judgeModel || profile.model, messages, tool: judgeTool });
+    const verdict = parseArguments(args);
+    if (typeof verdict?.pass !== 'boolean') {
+      throw new Error(`The judge answered without a verdict: ${args}`);
+    }
+    return { check: criterion, status: verdict.pass ? 'passed' : 'failed', message: verdict.reason };
+  }
+
+  writeRecording(scenario, profile, backend) {
+    writeJson(recordingPath(scenario), {
+      recordedAt: new Date().toISOString(),
+      profileId: profile.profileId,
+      profileVersion: profile.version,
+      responses: backend.llm.responses,
+      judgements: backend.judge.responses.map((response) => response.toolCalls[0].arguments),
+    });
+  }
+}
+
+module.exports = {
+  ScenarioRunner,
+  ScriptedLlm,
+  RecordingLlm,
+  loadScenario,
+  findScenarioFiles,
+  recordingPath,
+  matchesSubset,
+};
@@ -0,0 +1,107 @@
+// FILE: services/schema-validator.js
+// DESCRIPTION: Checks values against the subset of JSON Schema used by the tool manifest.
+
+const SUPPORTED_KEYWORDS = [
+  'type',
+  'enum',
+  'properties',
+  'required',
+  'items',
+  'minimum',
+  'maximum',
+  'description',
+];
+
+/**
+ * Validates a value. Supports `type` (object, array, string, number, integer,
+ * boolean), `enum`, `properties`, `required`, `items`, `minimum` and `maximum`.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path] Name of the value in the messages.
+ * @returns {Array<string>} One message per problem; empty when the value is valid.
+ */
+function validateSchema(schema, value, path = 'arguments') {
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${path} must be ${article(schema.type)} ${schema.type}, got ${describe(value)}.`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}.`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}, got ${value}.`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be at most ${schema.maximum}, got ${value}.`);
+  }
+  if (schema.type === 'object') {
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined || value[name] === null) {
+        errors.push(`${path}.${name} is required.`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+      if (value[name] !== undefined && value[name] !== null) {
+        errors.push(...validateSchema(property, value[name], `${path}.${name}`));
+      }
+    });
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Finds mistakes in a schema itself, such as required fields that are not declared
+ * or keywords the validator would silently ignore.
+ * @param {Object} schema
+ * @param {string} [path]
+ * @returns {Array<string>}
+ */
+function checkSchema(schema, path = 'parameters') {
+  if (!schema || typeof schema !== 'object') {
+    return [`${path} must be a schema object.`];
+  }
+  const errors = Object.keys(schema)
+    .filter((keyword) => !SUPPORTED_KEYWORDS.includes(keyword))
+    .map((keyword) => `${path} uses unsupported keyword "${keyword}".`);
+  (schema.required || [])
+    .filter((name) => !(schema.properties || {})[name])
+    .forEach((name) => errors.push(`${path} requires "${name}", which is not in its properties.`));
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    errors.push(...checkSchema(property, `${path}.${name}`));
+  });
+  if (schema.items) {
+    errors.push(...checkSchema(schema.items, `${path}.items`));
+  }
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+  case 'object':
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  case 'array':
+    return Array.isArray(value);
+  case 'integer':
+    return Number.isInteger(value);
+  case 'number':
+    return typeof value === 'number' && Number.isFinite(value);
+  default:
+    return typeof value === type;
+  }
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return JSON.stringify(value);
+}
+
+module.exports = { validateSchema, checkSchema };
@@ -0,0 +1,132 @@
+// FILE: services/silence-monitor.js
+// DESCRIPTION: Per-call inactivity timer that reprompts a quiet caller and ends the call after too many reprompts.
+
+const EventEmitter = require('events');
+
+const DEFAULT_SILENCE = {
+  timeoutMs: 8000,
+  maxReprompts: 2,
+  repromptText: 'Você ainda está aí?',
+  closingText: 'Como não consegui te ouvir, vou encerrar a ligação. Até logo!',
+};
+
+/**
+ * Silence settings of a profile, with SILENCE_TIMEOUT_MS and SILENCE_MAX_REPROMPTS
+ * as defaults.
+ * @param {Object} [profile]
+ * @returns {{timeoutMs: number, maxReprompts: number, repromptText: string, closingText: string}}
+ */
+function silenceSettings(profile = {}) {
+  const fromEnv = {};
+  if (process.env.SILENCE_TIMEOUT_MS) fromEnv.timeoutMs = Number(process.env.SILENCE_TIMEOUT_MS);
+  if (process.env.SILENCE_MAX_REPROMPTS) fromEnv.maxReprompts = Number(process.env.SILENCE_MAX_REPROMPTS);
+  return { ...DEFAULT_SILENCE, ...fromEnv, ...(profile.silence || {}) };
+}
+
+/**
+ * @class SilenceMonitor
+ * @description Counts the silence after the agent finished talking. The timer runs
+ * only while the line is idle: it stops as soon as the caller speaks or the agent
+ * sends audio, and starts again once that audio has played. Each timeout asks for a
+ * reprompt; once `maxReprompts` reprompts in a row went unanswered, the next one
+ * asks for the closing line instead, and the call is hung up after it played.
+ * @emits 'reprompt' with (text, attempt), attempt counting from 1.
+ * @emits 'closing' with (text).
+ * @emits 'hangup' once the closing line played, or `timeoutMs` after it was asked for.
+ */
+class SilenceMonitor extends EventEmitter {
+  /**
+   * @param {Object} [settings] See `silenceSettings`.
+   */
+  constructor(settings) {
+    super();
+    this.timer = null;
+    this.reprompts = 0;
+    this.state = 'idle';
+    this.configure(settings);
+  }
+
+  configure(settings) {
+    this.settings = { ...DEFAULT_SILENCE, ...settings };
+  }
+
+  /**
+   * The caller is talking (interim or final transcription). Resets the reprompt count.
+   */
+  callerActivity() {
+    if (this.state === 'closing' || this.state === 'stopped') return;
+    this.reprompts = 0;
+    this.clearTimer();
+  }
+
+  /**
+   * The agent sent audio, so the caller is not expected to talk yet.
+   */
+  agentSpeaking() {
+    if (this.state === 'closing' || this.state === 'stopped') return;
+    this.clearTimer();
+  }
+
+  /**
+   * Everything the agent sent has played: the caller's turn starts now.
+   */
+  agentIdle() {
+    if (this.state === 'stopped' || this.state === 'holding') return;
+    if (this.state === 'closing') {
+      this.hangup();
+      return;
+    }
+    this.clearTimer();
+    this.timer = setTimeout(() => this.onTimeout(), this.settings.timeoutMs);
+  }
+
+  onTimeout() {
+    this.timer = null;
+    if (this.reprompts < this.settings.maxReprompts) {
+      this.reprompts++;
+      this.emit('reprompt', this.settings.repromptText, this.reprompts);
+      return;
+    }
+    this.state = 'closing';
+    this.emit('closing', this.settings.closingText);
+    // Hang up anyway if the closing line never finishes playing
+    this.timer = setTimeout(() => this.hangup(), this.settings.timeoutMs);
+  }
+
+  /**
+   * The caller is waiting on something other than themselves, e.g. a warm transfer
+   * being prepared: no reprompts until `release`.
+   */
+  hold() {
+    if (this.state !== 'idle') return;
+    this.clearTimer();
+    this.state = 'holding';
+  }
+
+  /**
+   * Ends a hold. The timer starts again once the agent's next line has played.
+   */
+  release() {
+    if (this.state === 'holding') this.state = 'idle';
+  }
+
+  hangup() {
+    this.stop();
+    this.emit('hangup');
+  }
+
+  /**
+   * Stops the monitor for good, e.g. when the call ended.
+   */
+  stop() {
+    this.clearTimer();
+    this.state = 'stopped';
+  }
+
+  clearTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { SilenceMonitor, silenceSettings, DEFAULT_SILENCE };
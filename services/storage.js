@@ -0,0 +1,44 @@
+// FILE: services/storage.js
+// DESCRIPTION: Small helpers for the JSON files the app keeps on local disk.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Resolves a path inside the data directory (DATA_DIR, defaults to ./data).
+ * @param {...string} segments Path segments relative to the data directory.
+ * @returns {string} The absolute path.
+ */
+function dataPath(...segments) {
+  const baseDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+  return path.join(baseDir, ...segments);
+}
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath The file to read.
+ * @param {*} fallback Returned when the file does not exist.
+ * @returns {*} The parsed content or the fallback.
+ */
+function readJson(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Writes data as JSON, creating the parent directory if needed. The file is
+ * written to a temporary path first and renamed, so readers never see a
+ * half-written file.
+ * @param {string} filePath The file to write.
+ * @param {*} data Any JSON-serializable value.
+ */
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = { dataPath, readJson, writeJson };
@@ -1,6 +1,19 @@
 const EventEmitter = require('events');
 const uuid = require('uuid');
 
+/**
+ * @class StreamService
+ * @description Sends audio to Twilio in the order of `partialResponseIndex`. Audio
+ * for the chunk being played goes out as soon as it arrives; pieces of later chunks
+ * are held until every chunk before them has ended.
+ *
+ * Twilio echoes the mark sent after each piece once it has played, so the service
+ * also knows which chunks the caller actually heard when they barge in.
+ * @emits 'audiosent' with the label of the mark sent after each piece of audio, its index
+ * and the audio itself.
+ * @emits 'firstaudio' with `{ interactionCount, timeToFirstAudioMs, markLabel }` once per turn,
+ * where `markLabel` is the mark Twilio echoes once that first audio played.
+ */
 class StreamService extends EventEmitter {
   constructor(websocket) {
     super();
@@ -8,31 +21,156 @@ class StreamService extends EventEmitter {
     this.expectedAudioIndex = 0;
     this.audioBuffer = {};
     this.streamSid = '';
+    this.turn = null;
+    // Mark label -> partialResponseIndex of the audio it follows
+    this.pendingMarks = new Map();
+    this.sentIndexes = new Set();
+    this.playedIndexes = new Set();
   }
 
   setStreamSid (streamSid) {
     this.streamSid = streamSid;
   }
 
+  /**
+   * Starts the clock for the time-to-first-audio of a turn, e.g. when the caller's
+   * transcription is handed to GPT.
+   * @param {number} interactionCount
+   */
+  startTurn (interactionCount) {
+    this.turn = { interactionCount, startedAt: Date.now() };
+  }
+
+  // Queues the whole audio of a chunk
   buffer (index, audio) {
+    this.bufferChunk(index, audio);
+    this.endChunk(index);
+  }
+
+  /**
+   * Queues one piece of the audio of a chunk.
+   * @param {number|null} index `null` plays right away (greeting, tool phrases).
+   * @param {string|null} audio Base64 mulaw/8000.
+   */
+  bufferChunk (index, audio) {
     // Escape hatch for intro message, which doesn't have an index
-    if(index === null) {
-      this.sendAudio(audio);
-    } else if(index === this.expectedAudioIndex) {
-      this.sendAudio(audio);
+    if (index === null || index === this.expectedAudioIndex) {
+      this.sendAudio(audio, index);
+    } else if (index > this.expectedAudioIndex) {
+      const pending = this.pendingChunk(index);
+      pending.audio.push(audio);
+    }
+  }
+
+  /**
+   * Marks the chunk as complete, so the next one can start playing.
+   * @param {number|null} index
+   */
+  endChunk (index) {
+    if (index === null) {
+      return;
+    }
+    if (index !== this.expectedAudioIndex) {
+      this.pendingChunk(index).ended = true;
+      return;
+    }
+    this.expectedAudioIndex++;
+    this.checkPlayed(index);
+
+    while(Object.prototype.hasOwnProperty.call(this.audioBuffer, this.expectedAudioIndex)) {
+      const { audio, ended } = this.audioBuffer[this.expectedAudioIndex];
+      delete this.audioBuffer[this.expectedAudioIndex];
+      const index = this.expectedAudioIndex;
+      audio.forEach((piece) => this.sendAudio(piece, index));
+      // Still streaming: its next pieces are sent as they arrive
+      if (!ended) {
+        break;
+      }
       this.expectedAudioIndex++;
+      this.checkPlayed(index);
+    }
+  }
+
+  pendingChunk (index) {
+    if (!this.audioBuffer[index]) {
+      this.audioBuffer[index] = { audio: [], ended: false };
+    }
+    return this.audioBuffer[index];
+  }
 
-      while(Object.prototype.hasOwnProperty.call(this.audioBuffer, this.expectedAudioIndex)) {
-        const bufferedAudio = this.audioBuffer[this.expectedAudioIndex];
-        this.sendAudio(bufferedAudio);
-        this.expectedAudioIndex++;
+  /**
+   * Handles a `mark` event from Twilio: the audio before that mark has played.
+   * @param {string} label
+   * @returns {boolean} False for marks of audio that was cleared, or unknown ones.
+   */
+  markPlayed (label) {
+    if (!this.pendingMarks.has(label)) {
+      return false;
+    }
+    const index = this.pendingMarks.get(label);
+    this.pendingMarks.delete(label);
+    this.checkPlayed(index);
+    return true;
+  }
+
+  // A chunk was heard once it ended and all of its audio played
+  checkPlayed (index) {
+    if (index === null || index >= this.expectedAudioIndex || !this.sentIndexes.has(index)) {
+      return;
+    }
+    for (const pending of this.pendingMarks.values()) {
+      if (pending === index) {
+        return;
       }
-    } else {
-      this.audioBuffer[index] = audio;
     }
+    this.playedIndexes.add(index);
+  }
+
+  /**
+   * @returns {boolean} Whether Twilio is still playing (or about to play) audio.
+   */
+  hasPendingAudio () {
+    return this.pendingMarks.size > 0;
+  }
+
+  /**
+   * @returns {Set<number>} The partialResponseIndexes the caller heard in full.
+   */
+  heardIndexes () {
+    return new Set(this.playedIndexes);
   }
 
-  sendAudio (audio) {
+  /**
+   * Forgets all queued audio and marks after a barge-in. Twilio still echoes the
+   * marks of the cleared audio; they are ignored.
+   * @param {number} nextIndex The partialResponseIndex GPT will use next.
+   */
+  reset (nextIndex) {
+    this.audioBuffer = {};
+    this.pendingMarks.clear();
+    this.sentIndexes.clear();
+    this.playedIndexes.clear();
+    this.expectedAudioIndex = nextIndex;
+    this.turn = null;
+  }
+
+  /**
+   * Forgets queued audio and stops sending, once the call is over.
+   */
+  close () {
+    this.reset(0);
+    this.closed = true;
+    this.removeAllListeners();
+  }
+
+  sendAudio (audio, index = null) {
+    // Nothing to play when TTS failed for this index, but the index still advances
+    if (!audio || this.closed) {
+      return;
+    }
+    const turn = this.turn;
+    const sentAt = Date.now();
+    this.turn = null;
     this.ws.send(
       JSON.stringify({
         streamSid: this.streamSid,
@@ -53,8 +191,19 @@ class StreamService extends EventEmitter {
         }
       })
     );
-    this.emit('audiosent', markLabel);
+    this.pendingMarks.set(markLabel, index);
+    if (index !== null) {
+      this.sentIndexes.add(index);
+    }
+    if (turn) {
+      this.emit('firstaudio', {
+        interactionCount: turn.interactionCount,
+        timeToFirstAudioMs: sentAt - turn.startedAt,
+        markLabel,
+      });
+    }
+    this.emit('audiosent', markLabel, index, audio);
   }
 }
 
-module.exports = {StreamService};
\ No newline at end of file
+module.exports = {StreamService};
@@ -0,0 +1,176 @@
+// FILE: services/tool-registry.js
+// DESCRIPTION: Loads the tools declared in functions/function-manifest.js and validates calls to them.
+
+require('colors');
+const fs = require('fs');
+const path = require('path');
+const manifest = require('../functions/function-manifest');
+const { validateSchema, checkSchema } = require('./schema-validator');
+const { catalogStore } = require('./catalog-store');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', 'functions');
+
+// Import all functions included in function manifest. A module that fails to
+// load is left out here and reported by `checkToolRegistry`.
+const availableFunctions = {};
+manifest.forEach((tool) => {
+  const name = tool.function.name;
+  try {
+    availableFunctions[name] = require(path.join(FUNCTIONS_DIR, name));
+  } catch (error) {
+    console.error(`[TOOLS] Cannot load functions/${name}.js: ${error.message}`.red);
+  }
+});
+
+/**
+ * @param {string} name
+ * @returns {Object|undefined} The manifest entry of the tool.
+ */
+function findTool(name) {
+  return manifest.find((tool) => tool.function.name === name);
+}
+
+/**
+ * The tool as the model sees it: the parameter named by `catalogParameter` gets the
+ * names and aliases of the catalog products as its `enum`, so it follows catalog changes.
+ * @param {Object} tool A manifest entry.
+ * @param {Object} [catalog] Defaults to the catalog store.
+ * @returns {Object}
+ */
+function describeTool(tool, catalog = catalogStore) {
+  const parameter = tool.function.catalogParameter;
+  const names = parameter ? catalog.productNames() : [];
+  if (names.length === 0) return tool;
+  const { parameters } = tool.function;
+  return {
+    ...tool,
+    function: {
+      ...tool.function,
+      parameters: {
+        ...parameters,
+        properties: { ...parameters.properties, [parameter]: { ...parameters.properties[parameter], enum: names } },
+      },
+    },
+  };
+}
+
+/**
+ * @param {string} name
+ * @returns {Function|undefined} The implementation of the tool.
+ */
+function getFunction(name) {
+  return availableFunctions[name];
+}
+
+/**
+ * The second argument of every tool: what the server knows about the call, as
+ * opposed to the arguments, which the model made up. None of it is in the tool
+ * schemas, so the model can neither see nor forge it.
+ * @param {string} name The tool being called.
+ * @param {Object} [call]
+ * @param {string} [call.callSid]
+ * @param {string} [call.streamSid]
+ * @param {string} [call.from] The caller's number.
+ * @param {string} [call.to] The called number.
+ * @param {string} [call.direction]
+ * @param {Object} [call.profile] The profile snapshot the call runs with.
+ * @param {Object} [call.customParameters] The media stream's `<Parameter>`s.
+ * @returns {Object} The same fields, frozen, and a `logger` whose `info`, `warn` and
+ * `error` lines are tagged with the tool and the call.
+ */
+function createToolContext(name, { callSid, streamSid, from, to, direction, profile, customParameters } = {}) {
+  const tag = `[TOOL ${name}]${callSid ? ` ${callSid}` : ''}`;
+  const logger = Object.freeze({
+    info: (message, ...rest) => console.log(`${tag} ${message}`.cyan, ...rest),
+    warn: (message, ...rest) => console.warn(`${tag} ${message}`.yellow, ...rest),
+    error: (message, ...rest) => console.error(`${tag} ${message}`.red, ...rest),
+  });
+  return Object.freeze({
+    callSid: callSid || null,
+    streamSid: streamSid || null,
+    from: from || null,
+    to: to || null,
+    direction: direction || null,
+    profile: profile || null,
+    customParameters: Object.freeze({ ...customParameters }),
+    logger,
+  });
+}
+
+/**
+ * Checks arguments the model produced against the tool's `parameters` schema.
+ * @param {string} name
+ * @param {*} args The parsed arguments.
+ * @returns {Array<string>} Validation errors, empty when the call may run.
+ */
+function validateToolArguments(name, args) {
+  const tool = findTool(name);
+  if (!tool) return [`Unknown tool: ${name}.`];
+  return validateSchema(describeTool(tool).function.parameters || { type: 'object' }, args);
+}
+
+/**
+ * Makes sure the manifest and the `functions/` modules agree: every declared tool
+ * has a module exporting a function, every module is declared, and every schema
+ * only uses what the validator understands.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.tools] Manifest to check. Defaults to the real one.
+ * @param {string} [options.dir] Functions directory. Defaults to `functions/`.
+ * @throws {Error} Listing every problem found.
+ */
+function checkToolRegistry({ tools = manifest, dir = FUNCTIONS_DIR } = {}) {
+  const errors = [];
+  const names = tools.map((tool) => tool.function && tool.function.name);
+
+  tools.forEach((tool, i) => {
+    const name = names[i];
+    if (tool.type !== 'function' || !name) {
+      errors.push(`Manifest entry ${i} must have type "function" and a function name.`);
+      return;
+    }
+    if (names.indexOf(name) !== i) {
+      errors.push(`${name}: declared more than once.`);
+    }
+    if (!tool.function.description) {
+      errors.push(`${name}: description is missing.`);
+    }
+    errors.push(...checkSchema(tool.function.parameters).map((error) => `${name}: ${error}`));
+    const { catalogParameter } = tool.function;
+    if (catalogParameter && tool.function.parameters?.properties?.[catalogParameter]?.type !== 'string') {
+      errors.push(`${name}: catalogParameter "${catalogParameter}" must be a string parameter.`);
+    }
+
+    const file = path.join(dir, `${name}.js`);
+    if (!fs.existsSync(file)) {
+      errors.push(`${name}: functions/${name}.js does not exist.`);
+      return;
+    }
+    try {
+      if (typeof require(file) !== 'function') {
+        errors.push(`${name}: functions/${name}.js must export a function.`);
+      }
+    } catch (error) {
+      errors.push(`${name}: functions/${name}.js fails to load (${error.message}).`);
+    }
+  });
+
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.js') && file !== 'function-manifest.js')
+    .map((file) => path.basename(file, '.js'))
+    .filter((name) => !names.includes(name))
+    .forEach((name) => errors.push(`${name}: functions/${name}.js is not declared in the manifest.`));
+
+  if (errors.length > 0) {
+    throw new Error(`Tool manifest problems:\n- ${errors.join('\n- ')}`);
+  }
+}
+
+module.exports = {
+  tools: manifest,
+  findTool,
+  describeTool,
+  getFunction,
+  createToolContext,
+  validateToolArguments,
+  checkToolRegistry,
+};
@@ -5,12 +5,17 @@ require("colors");
 const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
 const { Buffer } = require("node:buffer");
 const EventEmitter = require("events");
+const { metrics } = require("./metrics");
+
+// Twilio sends mulaw at 8000 Hz: one byte per sample, 8 bytes per millisecond
+const BYTES_PER_MS = 8;
 
 /**
  * @class TranscriptionService
  * @description Handles real-time transcription of audio streams using Deepgram.
  * It is specifically configured for Twilio Media Streams (mulaw, 8000Hz) and Brazilian Portuguese.
- * * @emits 'transcription' with the final transcript of a speech segment.
+ * * @emits 'transcription' with the final transcript of a speech segment, and
+ * `{ speechEndedAt }`: when the caller stopped talking, as a timestamp in ms.
  * @emits 'utterance' with interim, non-final transcripts.
  */
 class TranscriptionService extends EventEmitter {
@@ -44,6 +49,11 @@ class TranscriptionService extends EventEmitter {
 
     this.finalResult = "";
     this.speechFinal = false; // Flag to track if a `speech_final` event has been received.
+    // Deepgram times words from the start of the audio it got; this maps that
+    // offset back to the clock
+    this.audioMs = 0;
+    this.audioSentAt = null;
+    this.speechEndMs = null;
 
     this.setupEventListeners();
   }
@@ -74,7 +84,9 @@ class TranscriptionService extends EventEmitter {
               `[STT] UtteranceEnd received before speechFinal. Emitting final result: "${this.finalResult}"`
                 .yellow
             );
-            this.emit("transcription", this.finalResult);
+            this.emit("transcription", this.finalResult, {
+              speechEndedAt: this.speechEndedAt(this.speechEndMs),
+            });
             this.finalResult = ""; // Reset for the next utterance
           } else {
             console.log(
@@ -88,6 +100,12 @@ class TranscriptionService extends EventEmitter {
         // If `is_final` is true, the transcript segment is stable. We append it to our final result.
         if (transcriptionEvent.is_final && text.trim().length > 0) {
           this.finalResult += `${text} `;
+          // The end of the last word; the segment itself runs into the silence after it
+          const words = alternatives[0].words || [];
+          this.speechEndMs =
+            (words.length > 0
+              ? words[words.length - 1].end
+              : transcriptionEvent.start + transcriptionEvent.duration) * 1000;
 
           // If `speech_final` is also true, it means Deepgram detected a natural pause,
           // indicating the end of a complete thought or sentence. This is the ideal time to process the transcript.
@@ -97,7 +115,9 @@ class TranscriptionService extends EventEmitter {
               `[STT] SpeechFinal received. Emitting final result: "${this.finalResult}"`
                 .cyan
             );
-            this.emit("transcription", this.finalResult);
+            this.emit("transcription", this.finalResult, {
+              speechEndedAt: this.speechEndedAt(this.speechEndMs),
+            });
             this.finalResult = ""; // Reset for the next utterance
           } else {
             // If we get a final segment that is not the end of speech, we reset the `speechFinal` flag.
@@ -112,6 +132,7 @@ class TranscriptionService extends EventEmitter {
     );
 
     this.dgConnection.on(LiveTranscriptionEvents.Error, (error) => {
+      metrics.sttErrors.inc();
       console.error("[STT] Deepgram error:".red, error);
     });
 
@@ -128,6 +149,15 @@ class TranscriptionService extends EventEmitter {
     });
   }
 
+  /**
+   * @param {number|null} offsetMs An offset into the audio sent to Deepgram.
+   * @returns {number|undefined} When that audio arrived, as a timestamp in ms.
+   */
+  speechEndedAt(offsetMs) {
+    if (!this.audioSentAt || !Number.isFinite(offsetMs)) return undefined;
+    return Math.round(this.audioSentAt - (this.audioMs - offsetMs));
+  }
+
   /**
    * Sends an audio payload to Deepgram for transcription.
    * @param {String} payload A base64 encoded string of MULAW/8000 audio from Twilio.
@@ -135,7 +165,10 @@ class TranscriptionService extends EventEmitter {
   send(payload) {
     // Check if the connection is open before sending data
     if (this.dgConnection.getReadyState() === 1 /* OPEN */) {
-      this.dgConnection.send(Buffer.from(payload, "base64"));
+      const audio = Buffer.from(payload, "base64");
+      this.dgConnection.send(audio);
+      this.audioMs += audio.length / BYTES_PER_MS;
+      this.audioSentAt = Date.now();
     }
   }
 
@@ -144,8 +177,14 @@ class TranscriptionService extends EventEmitter {
    */
   close() {
     console.log("[STT] Closing Deepgram connection.".yellow);
-    if (this.dgConnection) {
+    const state = this.dgConnection && this.dgConnection.getReadyState();
+    // finish() throws unless the socket is open, so a connecting one is closed once it opens
+    if (state === 1 /* OPEN */) {
       this.dgConnection.finish();
+    } else if (state === 0 /* CONNECTING */) {
+      this.dgConnection.on(LiveTranscriptionEvents.Open, () =>
+        this.dgConnection.finish()
+      );
     }
     this.removeAllListeners(); // Clean up event listeners to prevent memory leaks
   }
@@ -0,0 +1,541 @@
+// FILE: services/transfer-service.js
+// DESCRIPTION: Hands calls over to people: department targets with business hours, blind and warm transfers, and fallbacks when nobody answers.
+
+require('colors');
+const uuid = require('uuid');
+const VoiceResponse = require('twilio').twiml.VoiceResponse;
+const { getClient, hangupCall } = require('./call-control');
+const { callStore } = require('./call-store');
+const { callSessions } = require('./call-sessions');
+const { callEvents } = require('./call-events');
+const { createProvider, llmSettings } = require('./llm-providers');
+const { renderConversation } = require('./call-analysis');
+const { HttpError } = require('./errors');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FALLBACKS = ['callback', 'voicemail'];
+
+const DEFAULT_TRANSFER = {
+  mode: 'blind',
+  ringTimeoutSeconds: 20,
+  targets: {},
+};
+
+// After the ring time, how long the person has to hear the whisper and press 1
+const WHISPER_WAIT_SECONDS = 30;
+// The whisper goes out without a summary rather than keep the caller waiting
+const SUMMARY_TIMEOUT_MS = 5000;
+// Blind transfers are looked up by the webhooks of their <Dial> and <Record> for this long
+const TRANSFER_TTL_MS = 60 * 60 * 1000;
+
+const SAY = { language: 'pt-BR' };
+const VOICEMAIL_PROMPT = 'Deixe sua mensagem após o sinal. Quando terminar, é só desligar.';
+const CALLBACK_MESSAGE = 'Ninguém pôde atender agora. Vamos retornar sua ligação assim que possível. Até logo!';
+const HOLD_MESSAGE = 'Aguarde um momento enquanto transferimos sua ligação.';
+
+const SUMMARY_PROMPT = 'A voice agent is about to hand a phone call over to a human colleague. Summarize the call for that colleague in at most two short sentences, in the language of the conversation: what the caller wants and what was already done. The summary is read out to them, so write plain sentences without lists or formatting.';
+
+/**
+ * Transfer settings of a profile. Without targets, TRANSFER_NUMBER is the one
+ * target, `default`, always open and promising a callback when nobody answers.
+ * @param {Object} [profile]
+ * @returns {{mode: string, ringTimeoutSeconds: number, targets: Object}} `mode` is
+ * `blind` (the caller is dialed straight through) or `warm` (the person hears a
+ * summary first); `targets` maps department names to `{ number, label, hours, fallback }`.
+ */
+function transferSettings(profile = {}) {
+  const settings = { ...DEFAULT_TRANSFER, ...(profile.transfer || {}) };
+  if (Object.keys(settings.targets).length === 0 && process.env.TRANSFER_NUMBER) {
+    settings.targets = { default: { number: process.env.TRANSFER_NUMBER, fallback: 'callback' } };
+  }
+  return settings;
+}
+
+/**
+ * @param {Object} [hours] `{ timezone, days, open, close }`, e.g. `{ timezone:
+ * 'America/Sao_Paulo', days: ['mon', 'fri'], open: '09:00', close: '18:00' }`.
+ * @param {Date} [date]
+ * @returns {boolean} Whether `date` falls in the business hours; always true without hours.
+ */
+function isOpen(hours, date = new Date()) {
+  if (!hours) return true;
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: hours.timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => (parts[type] = value));
+  const time = `${parts.hour}:${parts.minute}`;
+  return (hours.days || WEEKDAYS).includes(parts.weekday.toLowerCase()) && time >= hours.open && time < hours.close;
+}
+
+function describeHours(hours) {
+  return `${(hours.days || WEEKDAYS).join(', ')} ${hours.open}-${hours.close} ${hours.timezone || 'UTC'}`;
+}
+
+// Our side of the call is `to` on inbound calls and `from` on outbound ones
+function numbersOf({ direction, from, to }) {
+  const outbound = String(direction || '').startsWith('outbound');
+  return { caller: outbound ? to : from, ours: outbound ? from : to };
+}
+
+/**
+ * @class TransferManager
+ * @description Runs the transfers `transferCall` asks for. A blind transfer sends
+ * the caller straight to the department's `<Dial>`. A warm transfer puts the caller
+ * on hold in a conference (Twilio's hold music) and then calls the person: they hear
+ * an LLM summary of the call and press 1 to join the conference. Either way the
+ * media stream ends when the caller leaves it, so when nobody picks up the fallback
+ * is played in TwiML: a callback promise (`call.callback` is recorded) or the
+ * department's voicemail. When the department is closed or the caller can't be
+ * moved, the outcome tells the agent what to say instead, and the caller goes to
+ * voicemail once the agent said so.
+ * The call record gets `transfer: { department, mode, status, summary, startedAt, endedAt }`.
+ */
+class TransferManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] A Twilio client, used instead of the shared one.
+   * @param {Object} [options.calls] Call store. Defaults to the shared one.
+   * @param {Object} [options.sessions] Live call sessions, told when a warm transfer
+   * starts, so they hold the silence timer while the summary is written, and when
+   * it ends without the caller leaving the agent.
+   * @param {Object} [options.events] Call event bus, told when a warm transfer connects.
+   * @param {Object} [options.llm] Chat adapter for summaries, instead of the profile's provider.
+   * @param {string} [options.server] Host of the Twilio webhooks. Defaults to SERVER.
+   * @param {Function} [options.now] Clock, replaceable in tests.
+   */
+  constructor({ client, calls = callStore, sessions = callSessions, events = callEvents, llm, server, now = Date.now } = {}) {
+    this.client = client;
+    this.calls = calls;
+    this.sessions = sessions;
+    this.events = events;
+    this.llm = llm;
+    this.server = server;
+    this.now = now;
+    this.transfers = new Map();
+  }
+
+  twilio() {
+    return this.client || getClient();
+  }
+
+  url(path, transfer) {
+    return `https://${this.server || process.env.SERVER}${path}?id=${transfer.id}`;
+  }
+
+  /**
+   * Transfers the call of a tool context.
+   * @param {Object} context See `createToolContext`.
+   * @param {Object} [request]
+   * @param {string} [request.department] A target name. Defaults to the first target.
+   * @param {string} [request.reason] Why the caller wants a person, for the summary.
+   * @returns {Promise<Object>} The outcome for the model: `{ transferId, status,
+   * department, fallback?, instruction }`, `status` being `transferred` (blind),
+   * `holding` (warm), `closed` or `failed`.
+   * Simulated conversations (`direction: 'simulated'`) dial nobody and get `simulated`.
+   * @throws {HttpError} 400 for an unknown department or when there are no targets.
+   */
+  async transfer(context, { department, reason } = {}) {
+    this.prune();
+    const settings = transferSettings(context.profile || {});
+    const names = Object.keys(settings.targets);
+    if (names.length === 0) {
+      throw new HttpError(400, 'No transfer targets are configured (set TRANSFER_NUMBER or the profile\'s transfer.targets).');
+    }
+    const name = department || names[0];
+    const target = settings.targets[name];
+    if (!target) {
+      throw new HttpError(400, `Unknown department "${name}". Transfers go to: ${names.join(', ')}.`);
+    }
+    if (context.direction === 'simulated') {
+      console.log(`[TRANSFER] ${context.callSid} -> ${name}: simulated, nobody is called`.cyan);
+      return {
+        transferId: null,
+        status: 'simulated',
+        department: name,
+        instruction: `This is a simulated call, so nobody was dialed. Tell the caller they are being put through to ${target.label || name}.`,
+      };
+    }
+    const transfer = {
+      id: uuid.v4(),
+      callSid: context.callSid,
+      department: name,
+      target: { fallback: 'callback', ...target },
+      mode: settings.mode,
+      ringTimeoutSeconds: settings.ringTimeoutSeconds,
+      reason: reason || null,
+      ...numbersOf(context),
+      summary: null,
+      status: 'pending',
+      startedAt: new Date(this.now()).toISOString(),
+    };
+    this.transfers.set(transfer.id, transfer);
+    console.log(`[TRANSFER] ${transfer.callSid} -> ${name} (${transfer.mode})`.cyan);
+
+    if (!isOpen(transfer.target.hours, new Date(this.now()))) {
+      return this.finish(transfer, 'closed');
+    }
+    if (transfer.mode === 'warm') {
+      return this.warmTransfer(transfer, context);
+    }
+    return this.blindTransfer(transfer);
+  }
+
+  async blindTransfer(transfer) {
+    const response = new VoiceResponse();
+    response
+      .dial({ timeout: transfer.ringTimeoutSeconds, action: this.url('/transfer/dialed', transfer) })
+      .number(transfer.target.number);
+    // Set first: the media stream stops as soon as the call is redirected
+    this.calls.update(transfer.callSid, { endReason: 'transferred' });
+    try {
+      await this.twilio().calls(transfer.callSid).update({ twiml: response.toString() });
+    } catch (error) {
+      console.error(`[TRANSFER] Could not redirect ${transfer.callSid}: ${error.message}`.red);
+      this.calls.update(transfer.callSid, { endReason: null });
+      return this.finish(transfer, 'failed');
+    }
+    return this.finish(transfer, 'transferred');
+  }
+
+  async warmTransfer(transfer, context) {
+    this.notify(transfer.callSid, 'transferStarted');
+    transfer.summary = await this.summarize(context, transfer);
+    // Set first: the media stream stops as soon as the caller is put on hold
+    this.calls.update(transfer.callSid, { endReason: 'transferred' });
+    try {
+      await this.twilio().calls(transfer.callSid).update({ twiml: this.holdTwiml(transfer) });
+    } catch (error) {
+      console.error(`[TRANSFER] Could not put ${transfer.callSid} on hold: ${error.message}`.red);
+      this.calls.update(transfer.callSid, { endReason: null });
+      this.notify(transfer.callSid, 'transferFinished');
+      return this.finish(transfer, 'failed');
+    }
+    const outcome = this.finish(transfer, 'holding');
+    try {
+      const human = await this.twilio().calls.create({
+        to: transfer.target.number,
+        from: process.env.FROM_NUMBER || transfer.ours,
+        url: this.url('/transfer/whisper', transfer),
+        timeout: transfer.ringTimeoutSeconds,
+        statusCallback: this.url('/transfer/status', transfer),
+        statusCallbackEvent: ['completed'],
+      });
+      transfer.humanCallSid = human.sid;
+      transfer.timer = setTimeout(
+        () => this.settle(transfer, 'no-answer'),
+        (transfer.ringTimeoutSeconds + WHISPER_WAIT_SECONDS) * 1000
+      );
+      transfer.timer.unref();
+    } catch (error) {
+      console.error(`[TRANSFER] Could not call ${transfer.department}: ${error.message}`.red);
+      this.settle(transfer, 'failed');
+    }
+    return outcome;
+  }
+
+  // The caller waits alone in the conference the person joins after the whisper
+  holdTwiml(transfer) {
+    const response = new VoiceResponse();
+    response.say(SAY, HOLD_MESSAGE);
+    response.dial().conference(
+      {
+        beep: false,
+        startConferenceOnEnter: false,
+        endConferenceOnExit: true,
+        statusCallback: this.url('/transfer/conference', transfer),
+        statusCallbackEvent: 'leave',
+      },
+      `transfer-${transfer.id}`
+    );
+    return response.toString();
+  }
+
+  /**
+   * Asks the profile's LLM for a summary of the call so far, for the whisper.
+   * @returns {Promise<string|null>} Null when there is nothing to summarize or the LLM failed.
+   */
+  async summarize(context, transfer) {
+    const call = this.calls.getCall(transfer.callSid);
+    if (!call || call.transcript.length === 0) return null;
+    const settings = llmSettings(context.profile);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SUMMARY_TIMEOUT_MS);
+    try {
+      const llm = this.llm || createProvider(settings.provider, { baseUrl: settings.baseUrl });
+      const conversation = renderConversation(call);
+      let summary = '';
+      for await (const chunk of llm.streamChat({
+        model: settings.model,
+        messages: [
+          { role: 'system', content: SUMMARY_PROMPT },
+          { role: 'user', content: transfer.reason ? `${conversation}\nReason for the transfer: ${transfer.reason}` : conversation },
+        ],
+        temperature: 0,
+        signal: controller.signal,
+      })) {
+        summary += chunk.content || '';
+      }
+      return summary.trim() || null;
+    } catch (error) {
+      console.error(`[TRANSFER] No summary for ${transfer.callSid}: ${error.message}`.red);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Ends the hold of a warm transfer; the first status wins. Unless the person
+  // took the call or the caller left, the caller is sent to the fallback.
+  async settle(transfer, status, { humanGone = false } = {}) {
+    if (transfer.status !== 'holding') return;
+    transfer.status = status;
+    clearTimeout(transfer.timer);
+    if (status !== 'connected' && transfer.humanCallSid && !humanGone) {
+      hangupCall(transfer.humanCallSid, { client: this.client });
+    }
+    if (status === 'connected' || status === 'canceled') {
+      this.recordStatus(transfer, status);
+      if (status === 'connected') {
+        // The tool result only said `holding`; this is when the caller got through
+        const { id: transferId, department, mode, summary } = transfer;
+        this.events.publish(transfer.callSid, 'transfer', { transferId, department, mode, status, summary });
+      }
+      return;
+    }
+    try {
+      await this.twilio().calls(transfer.callSid).update({ twiml: this.fallbackTwiml(transfer, status) });
+    } catch (error) {
+      console.error(`[TRANSFER] Could not take ${transfer.callSid} off hold: ${error.message}`.red);
+    }
+  }
+
+  recordStatus(transfer, status) {
+    this.calls.update(transfer.callSid, {
+      transfer: { ...this.calls.getCall(transfer.callSid)?.transfer, status, endedAt: new Date(this.now()).toISOString() },
+    });
+    console.log(`[TRANSFER] ${transfer.callSid} -> ${transfer.department}: ${status}`.cyan);
+  }
+
+  finish(transfer, status) {
+    transfer.status = status;
+    const { department, mode, summary, startedAt } = transfer;
+    const record = { department, mode, status, summary, startedAt, endedAt: new Date(this.now()).toISOString() };
+    this.calls.update(transfer.callSid, { transfer: record });
+    console.log(`[TRANSFER] ${transfer.callSid} -> ${department}: ${status}`.cyan);
+
+    const label = transfer.target.label || department;
+    const outcome = { transferId: transfer.id, status, department };
+    if (status === 'transferred' || status === 'holding') {
+      return { ...outcome, instruction: `The caller is being put through to ${label}.` };
+    }
+    const why = {
+      closed: `${label} is closed now (open ${transfer.target.hours && describeHours(transfer.target.hours)}).`,
+      failed: `The transfer to ${label} failed.`,
+    }[status];
+    const { fallback } = transfer.target;
+    if (fallback === 'callback') {
+      this.requestCallback(transfer);
+      return {
+        ...outcome,
+        fallback,
+        instruction: `${why} Tell the caller that someone from ${label} will call them back, then ask if you can help with anything else.`,
+      };
+    }
+    return {
+      ...outcome,
+      fallback,
+      instruction: `${why} Tell the caller you are putting them through to the ${label} voicemail to leave a message. The call goes there as soon as you finish talking.`,
+    };
+  }
+
+  requestCallback(transfer) {
+    this.calls.update(transfer.callSid, {
+      callback: { department: transfer.department, number: transfer.caller || null, requestedAt: new Date(this.now()).toISOString() },
+    });
+  }
+
+  notify(callSid, name) {
+    const session = this.sessions.get(callSid);
+    if (session && typeof session[name] === 'function') {
+      session[name]();
+    }
+  }
+
+  /**
+   * TwiML of the person's leg of a warm transfer: the whisper, then press 1 to take the call.
+   * @param {string} id
+   * @returns {string}
+   */
+  whisperTwiml(id) {
+    const transfer = this.transfers.get(id);
+    const response = new VoiceResponse();
+    if (!transfer || transfer.status !== 'holding') {
+      response.say(SAY, 'Esta transferência não está mais disponível.');
+      response.hangup();
+      return response.toString();
+    }
+    const label = transfer.target.label || transfer.department;
+    const gather = response.gather({ numDigits: 1, timeout: 10, action: this.url('/transfer/accept', transfer) });
+    gather.say(SAY, `Transferência para ${label}. ${transfer.summary || transfer.reason || ''} Pressione 1 para falar com o cliente.`);
+    response.say(SAY, 'Transferência cancelada.');
+    response.hangup();
+    return response.toString();
+  }
+
+  /**
+   * The person answered the whisper. On 1 they join the conference the caller is
+   * holding in, which starts it.
+   * @param {string} id
+   * @param {string} digits
+   * @returns {string} TwiML for the person's leg.
+   */
+  acceptTwiml(id, digits) {
+    const transfer = this.transfers.get(id);
+    const response = new VoiceResponse();
+    if (transfer && transfer.status === 'canceled') {
+      response.say(SAY, 'O cliente não está mais na linha.');
+      response.hangup();
+      return response.toString();
+    }
+    if (!transfer || transfer.status !== 'holding' || digits !== '1') {
+      if (transfer) this.settle(transfer, 'no-answer', { humanGone: true });
+      response.hangup();
+      return response.toString();
+    }
+    this.settle(transfer, 'connected');
+    response
+      .dial()
+      .conference({ beep: false, startConferenceOnEnter: true, endConferenceOnExit: true }, `transfer-${transfer.id}`);
+    return response.toString();
+  }
+
+  /**
+   * Status callback of the person's leg: a leg that ended before joining the
+   * conference means nobody took the call.
+   * @param {string} id
+   * @param {string} callStatus Twilio's `CallStatus`.
+   */
+  handleStatus(id, callStatus) {
+    const transfer = this.transfers.get(id);
+    if (!transfer) return;
+    const status = { busy: 'busy', failed: 'failed' }[callStatus] || 'no-answer';
+    this.settle(transfer, status, { humanGone: true });
+  }
+
+  /**
+   * Status callback of the conference: the caller hung up while on hold.
+   * @param {string} id
+   * @param {Object} event Twilio's `StatusCallbackEvent` and `CallSid`.
+   */
+  handleConference(id, { StatusCallbackEvent, CallSid }) {
+    const transfer = this.transfers.get(id);
+    if (!transfer || StatusCallbackEvent !== 'participant-leave' || CallSid !== transfer.callSid) return;
+    this.settle(transfer, 'canceled');
+  }
+
+  /**
+   * `<Dial>` action of a blind transfer: plays the fallback when nobody answered.
+   * @param {string} id
+   * @param {string} dialStatus Twilio's `DialCallStatus`.
+   * @returns {string} TwiML for the caller.
+   */
+  dialedTwiml(id, dialStatus) {
+    const transfer = this.transfers.get(id);
+    const response = new VoiceResponse();
+    if (!transfer || dialStatus === 'completed' || dialStatus === 'answered') {
+      response.hangup();
+      return response.toString();
+    }
+    const status = { busy: 'busy', failed: 'failed' }[dialStatus] || 'no-answer';
+    return this.fallbackTwiml(transfer, status);
+  }
+
+  // Nobody took the call: the voicemail prompt and a recording, or a callback promise
+  fallbackTwiml(transfer, status) {
+    this.recordStatus(transfer, status);
+    if (transfer.target.fallback === 'voicemail') {
+      return this.voicemailTwiml(transfer);
+    }
+    this.requestCallback(transfer);
+    const response = new VoiceResponse();
+    response.say(SAY, CALLBACK_MESSAGE);
+    response.hangup();
+    return response.toString();
+  }
+
+  voicemailTwiml(transfer) {
+    const response = new VoiceResponse();
+    response.say(SAY, VOICEMAIL_PROMPT);
+    response.record({ maxLength: 120, playBeep: true, action: this.url('/transfer/voicemail', transfer) });
+    return response.toString();
+  }
+
+  /**
+   * Sends the caller to the department's voicemail, once the agent told them.
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether Twilio accepted the redirect.
+   */
+  async startVoicemail(id) {
+    const transfer = this.transfers.get(id);
+    if (!transfer) return false;
+    try {
+      await this.twilio().calls(transfer.callSid).update({ twiml: this.voicemailTwiml(transfer) });
+      return true;
+    } catch (error) {
+      console.error(`[TRANSFER] Could not send ${transfer.callSid} to voicemail: ${error.message}`.red);
+      return false;
+    }
+  }
+
+  /**
+   * `<Record>` action: keeps the message on the call record as `voicemailMessage`.
+   * @param {string} id
+   * @param {Object} recording Twilio's `RecordingSid`, `RecordingUrl` and `RecordingDuration`.
+   * @returns {string} TwiML that ends the call.
+   */
+  saveVoicemail(id, { RecordingSid, RecordingUrl, RecordingDuration }) {
+    const transfer = this.transfers.get(id);
+    if (transfer && RecordingSid) {
+      this.calls.update(transfer.callSid, {
+        voicemailMessage: {
+          department: transfer.department,
+          recordingSid: RecordingSid,
+          recordingUrl: RecordingUrl,
+          durationSeconds: Number(RecordingDuration) || 0,
+          recordedAt: new Date(this.now()).toISOString(),
+        },
+      });
+    }
+    const response = new VoiceResponse();
+    response.say(SAY, 'Mensagem recebida. Obrigado!');
+    response.hangup();
+    return response.toString();
+  }
+
+  prune() {
+    const cutoff = this.now() - TRANSFER_TTL_MS;
+    this.transfers.forEach((transfer, id) => {
+      if (!['pending', 'holding'].includes(transfer.status) && Date.parse(transfer.startedAt) < cutoff) {
+        this.transfers.delete(id);
+      }
+    });
+  }
+}
+
+const transferManager = new TransferManager();
+
+module.exports = {
+  TransferManager,
+  transferManager,
+  transferSettings,
+  isOpen,
+  WEEKDAYS,
+  FALLBACKS,
+  DEFAULT_TRANSFER,
+};
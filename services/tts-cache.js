@@ -0,0 +1,150 @@
+// FILE: services/tts-cache.js
+// DESCRIPTION: Content-addressed disk cache for synthesized audio (greetings, disclaimers, tool "say" lines).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Buffer } = require('node:buffer');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { recordingSettings } = require('./recording-service');
+const { silenceSettings } = require('./silence-monitor');
+const { voicemailSettings } = require('./answering-machine');
+const tools = require('../functions/function-manifest');
+
+/**
+ * @class TtsCache
+ * @description Stores mulaw/8000 audio as `<key>.ulaw` with a `<key>.json` sidecar
+ * describing it. The key is a hash of everything that changes the audio: provider,
+ * voice settings and text.
+ */
+class TtsCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] Cache directory. Defaults to `data/tts-cache`.
+   */
+  constructor({ dir } = {}) {
+    this.dir = dir || dataPath('tts-cache');
+  }
+
+  /**
+   * @param {Object} voice The voice the audio was (or will be) made with.
+   * @param {string} text
+   * @returns {string} The cache key.
+   */
+  key({ provider, voiceId, speed, stability }, text) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([provider, voiceId, speed ?? null, stability ?? null, text]))
+      .digest('hex');
+  }
+
+  audioPath(key) {
+    return path.join(this.dir, `${path.basename(key)}.ulaw`);
+  }
+
+  metaPath(key) {
+    return path.join(this.dir, `${path.basename(key)}.json`);
+  }
+
+  /**
+   * @param {Object} voice
+   * @param {string} text
+   * @returns {Buffer|null} The cached audio, or null on a miss.
+   */
+  get(voice, text) {
+    const file = this.audioPath(this.key(voice, text));
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  }
+
+  /**
+   * @param {Object} voice
+   * @param {string} text
+   * @param {Buffer} audio
+   * @returns {string} The cache key.
+   */
+  set(voice, text, audio) {
+    const key = this.key(voice, text);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.audioPath(key), audio);
+    writeJson(this.metaPath(key), {
+      key,
+      provider: voice.provider,
+      voiceId: voice.voiceId,
+      speed: voice.speed ?? null,
+      stability: voice.stability ?? null,
+      text,
+      bytes: Buffer.byteLength(audio),
+      createdAt: new Date().toISOString(),
+    });
+    return key;
+  }
+
+  /**
+   * @returns {{entries: Array<Object>, totalBytes: number}} Every cached phrase, newest first.
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return { entries: [], totalBytes: 0 };
+    const entries = fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => readJson(path.join(this.dir, file)))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return {
+      entries,
+      totalBytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+    };
+  }
+
+  /**
+   * Removes one entry.
+   * @param {string} key
+   * @returns {boolean} Whether the entry existed.
+   */
+  delete(key) {
+    const existed = fs.existsSync(this.metaPath(key));
+    fs.rmSync(this.audioPath(key), { force: true });
+    fs.rmSync(this.metaPath(key), { force: true });
+    return existed;
+  }
+
+  /**
+   * Removes every entry, or only those matching the filter.
+   * @param {{provider?: string, voiceId?: string}} [filter]
+   * @returns {number} How many entries were removed.
+   */
+  purge({ provider, voiceId } = {}) {
+    const matching = this.list().entries.filter(
+      (entry) => (!provider || entry.provider === provider) && (!voiceId || entry.voiceId === voiceId)
+    );
+    matching.forEach((entry) => this.delete(entry.key));
+    return matching.length;
+  }
+}
+
+/**
+ * The fixed phrases a call with this profile can speak: the greeting, the recording
+ * disclaimer (when recording is on), the silence reprompt and closing lines, the
+ * voicemail message and the `say` line of each enabled tool.
+ * @param {Object} profile A profile snapshot.
+ * @returns {Array<string>}
+ */
+function cacheablePhrases(profile) {
+  const { repromptText, closingText } = silenceSettings(profile);
+  const voicemail = voicemailSettings(profile);
+  const recording = recordingSettings(profile);
+  const phrases = [
+    profile.assistant_prompt,
+    recording.enabled ? recording.disclaimer : null,
+    repromptText,
+    closingText,
+    voicemail.action === 'message' ? voicemail.message : null,
+    ...tools
+      .filter((tool) => profile.tools.includes(tool.function.name))
+      .map((tool) => tool.function.say),
+  ];
+  return [...new Set(phrases.filter(Boolean))];
+}
+
+const ttsCache = new TtsCache();
+
+module.exports = { TtsCache, ttsCache, cacheablePhrases };
@@ -0,0 +1,83 @@
+// FILE: services/tts-providers/deepgram.js
+// DESCRIPTION: Deepgram Aura text-to-speech adapter.
+
+const { Buffer } = require('node:buffer');
+const fetch = require('node-fetch');
+const { providerError } = require('./provider-error');
+const { SocketSession } = require('./socket-session');
+
+class DeepgramProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] Defaults to DEEPGRAM_API_KEY.
+   * @param {string} [options.baseUrl]
+   */
+  constructor({ apiKey = process.env.DEEPGRAM_API_KEY, baseUrl = 'https://api.deepgram.com' } = {}) {
+    this.name = 'deepgram';
+    this.defaultVoiceId = 'aura-asteria-en';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Aura voices are models, so `voiceId` is the model name (e.g. `aura-asteria-en`).
+   * Speed and stability are not supported and are ignored.
+   * @param {string} text
+   * @param {{voiceId: string}} voice
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Buffer>} mulaw/8000 audio.
+   */
+  async synthesize(text, { voiceId }, { signal } = {}) {
+    const query = new URLSearchParams({
+      model: voiceId,
+      encoding: 'mulaw',
+      sample_rate: '8000',
+      container: 'none',
+    });
+    const response = await fetch(`${this.baseUrl}/v1/speak?${query}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Token ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ text }),
+      signal,
+    });
+    if (response.status !== 200) {
+      throw await providerError(this.name, response);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Opens a streaming speak websocket. Audio arrives as binary frames; after the
+   * final flush Deepgram answers `Flushed`.
+   * @param {{voiceId: string}} voice
+   * @returns {SocketSession} With `write(text)` and `end()`.
+   */
+  stream({ voiceId }) {
+    const query = new URLSearchParams({ model: voiceId, encoding: 'mulaw', sample_rate: '8000' });
+    const session = new SocketSession(`${this.baseUrl.replace(/^http/, 'ws')}/v1/speak?${query}`, {
+      headers: { Authorization: `Token ${this.apiKey}` },
+    });
+
+    session.ws.on('message', (data) => {
+      if (typeof data !== 'string') {
+        session.emitAudio(data);
+        return;
+      }
+      const message = JSON.parse(data);
+      if (message.type === 'Flushed') session.finish();
+      if (message.type === 'Error') session.finish(new Error(`[deepgram] ${message.description}`));
+    });
+
+    session.write = (text) => session.send({ type: 'Speak', text });
+    session.end = () => {
+      session.send({ type: 'Flush' });
+      session.expectEnd();
+    };
+    return session;
+  }
+}
+
+module.exports = { DeepgramProvider };
@@ -0,0 +1,109 @@
+// FILE: services/tts-providers/elevenlabs.js
+// DESCRIPTION: ElevenLabs text-to-speech adapter.
+
+const { Buffer } = require('node:buffer');
+const fetch = require('node-fetch');
+const { providerError } = require('./provider-error');
+const { SocketSession } = require('./socket-session');
+
+class ElevenLabsProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] Defaults to XI_API_KEY.
+   * @param {string} [options.modelId] Defaults to XI_MODEL_ID.
+   * @param {string} [options.baseUrl]
+   */
+  constructor({
+    apiKey = process.env.XI_API_KEY,
+    modelId = process.env.XI_MODEL_ID,
+    baseUrl = 'https://api.elevenlabs.io',
+  } = {}) {
+    this.name = 'elevenlabs';
+    this.defaultVoiceId = 'lWq4KDY8znfkV0DrK8Vb';
+    this.apiKey = apiKey;
+    this.modelId = modelId;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * @param {string} text
+   * @param {{voiceId: string, speed?: number, stability?: number}} voice
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Buffer>} mulaw/8000 audio.
+   */
+  async synthesize(text, { voiceId, speed, stability }, { signal } = {}) {
+    const voiceSettings = this.voiceSettings({ speed, stability });
+    const response = await fetch(
+      `${this.baseUrl}/v1/text-to-speech/${voiceId}/stream?output_format=ulaw_8000&optimize_streaming_latency=3`,
+      {
+        method: 'POST',
+        headers: {
+          'xi-api-key': this.apiKey,
+          'Content-Type': 'application/json',
+          accept: 'audio/wav',
+        },
+        body: JSON.stringify({
+          model_id: this.modelId,
+          text,
+          ...(Object.keys(voiceSettings).length > 0 && { voice_settings: voiceSettings }),
+        }),
+        signal,
+      }
+    );
+    if (response.status !== 200) {
+      throw await providerError(this.name, response);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Opens a stream-input websocket: text is sent as the model writes it and audio
+   * comes back while later text is still on its way.
+   * @param {{voiceId: string, speed?: number, stability?: number}} voice
+   * @returns {SocketSession} With `write(text)` and `end()`.
+   */
+  stream({ voiceId, speed, stability }) {
+    const query = new URLSearchParams({ output_format: 'ulaw_8000', optimize_streaming_latency: '3' });
+    if (this.modelId) query.set('model_id', this.modelId);
+    const session = new SocketSession(
+      `${this.baseUrl.replace(/^http/, 'ws')}/v1/text-to-speech/${voiceId}/stream-input?${query}`,
+      { headers: { 'xi-api-key': this.apiKey } }
+    );
+    const voiceSettings = this.voiceSettings({ speed, stability });
+
+    // The first message opens the generation and must be a single space
+    session.send({
+      text: ' ',
+      ...(Object.keys(voiceSettings).length > 0 && { voice_settings: voiceSettings }),
+    });
+    session.ws.on('message', (data) => {
+      const message = JSON.parse(data);
+      if (message.error) {
+        session.finish(new Error(`[elevenlabs] ${message.message || message.error}`));
+        return;
+      }
+      if (message.audio) session.emitAudio(Buffer.from(message.audio, 'base64'));
+      if (message.isFinal) session.finish();
+    });
+
+    session.write = (text) => session.send({ text, try_trigger_generation: true });
+    // An empty text flushes what is left and closes the generation
+    session.end = () => {
+      session.send({ text: '' });
+      session.expectEnd();
+    };
+    return session;
+  }
+
+  voiceSettings({ speed, stability }) {
+    const voiceSettings = {};
+    if (stability !== undefined) {
+      voiceSettings.stability = stability;
+      voiceSettings.similarity_boost = 0.75;
+    }
+    if (speed !== undefined) voiceSettings.speed = speed;
+    return voiceSettings;
+  }
+}
+
+module.exports = { ElevenLabsProvider };
@@ -0,0 +1,50 @@
+// FILE: services/tts-providers/index.js
+// DESCRIPTION: Registry of text-to-speech adapters. Every adapter returns mulaw/8000 audio for StreamService.
+
+const { ElevenLabsProvider } = require('./elevenlabs');
+const { DeepgramProvider } = require('./deepgram');
+const { OpenAIProvider } = require('./openai');
+
+/**
+ * An adapter is a class whose instances expose:
+ * - `name`: the provider id used in profiles
+ * - `defaultVoiceId`: used when the profile has no voice for this provider
+ * - `synthesize(text, { voiceId, speed, stability })`: resolves to a Buffer of mulaw/8000 audio.
+ *   An optional third argument `{ signal }` cancels the request.
+ * - `stream(voice)` (optional): returns a session with `write(text)`, `end()` and `abort()` that
+ *   emits 'audio' (Buffer), then 'end' or 'error'. Adapters without it are only used
+ *   once the whole text is known.
+ */
+const providers = {
+  elevenlabs: ElevenLabsProvider,
+  deepgram: DeepgramProvider,
+  openai: OpenAIProvider,
+};
+
+/**
+ * Adds (or replaces) an adapter.
+ * @param {string} name The provider id.
+ * @param {Function} Provider The adapter class.
+ */
+function registerProvider(name, Provider) {
+  providers[name] = Provider;
+}
+
+/**
+ * @param {string} name
+ * @param {Object} [options] Passed to the adapter constructor.
+ * @returns {Object} A new adapter instance.
+ */
+function createProvider(name, options) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown TTS provider: ${name}`);
+  }
+  return new Provider(options);
+}
+
+function providerNames() {
+  return Object.keys(providers);
+}
+
+module.exports = { registerProvider, createProvider, providerNames };
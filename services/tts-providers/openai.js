@@ -0,0 +1,78 @@
+// FILE: services/tts-providers/openai.js
+// DESCRIPTION: OpenAI text-to-speech adapter, converting its 24kHz PCM output to mulaw/8000.
+
+const { Buffer } = require('node:buffer');
+const fetch = require('node-fetch');
+const { WaveFile } = require('wavefile');
+const { providerError } = require('./provider-error');
+
+// OpenAI's `pcm` format: raw 16-bit little-endian mono at 24kHz
+const PCM_SAMPLE_RATE = 24000;
+
+class OpenAIProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] Defaults to OPENAI_API_KEY.
+   * @param {string} [options.model] Defaults to OPENAI_TTS_MODEL or `tts-1`.
+   * @param {string} [options.baseUrl]
+   */
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_TTS_MODEL || 'tts-1',
+    baseUrl = 'https://api.openai.com',
+  } = {}) {
+    this.name = 'openai';
+    this.defaultVoiceId = 'alloy';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Stability is not supported and is ignored.
+   * @param {string} text
+   * @param {{voiceId: string, speed?: number}} voice
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<Buffer>} mulaw/8000 audio.
+   */
+  async synthesize(text, { voiceId, speed }, { signal } = {}) {
+    const response = await fetch(`${this.baseUrl}/v1/audio/speech`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: text,
+        voice: voiceId,
+        response_format: 'pcm',
+        ...(speed !== undefined && { speed }),
+      }),
+      signal,
+    });
+    if (response.status !== 200) {
+      throw await providerError(this.name, response);
+    }
+    return pcmToMulaw(Buffer.from(await response.arrayBuffer()));
+  }
+}
+
+/**
+ * Resamples 24kHz 16-bit PCM to 8kHz and encodes it as mulaw, the format Twilio expects.
+ * @param {Buffer} pcm
+ * @returns {Buffer}
+ */
+function pcmToMulaw(pcm) {
+  const samples = new Int16Array(Math.floor(pcm.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2);
+  }
+  const wav = new WaveFile();
+  wav.fromScratch(1, PCM_SAMPLE_RATE, '16', samples);
+  wav.toSampleRate(8000);
+  wav.toMuLaw();
+  return Buffer.from(wav.data.samples);
+}
+
+module.exports = { OpenAIProvider, pcmToMulaw };
@@ -0,0 +1,16 @@
+// FILE: services/tts-providers/provider-error.js
+// DESCRIPTION: Builds the error thrown when a text-to-speech API answers with a failure.
+
+/**
+ * @param {string} provider The provider name, used in the message.
+ * @param {Object} response The failed fetch response.
+ * @returns {Promise<Error>} An error carrying the HTTP status.
+ */
+async function providerError(provider, response) {
+  const body = await response.text().catch(() => '');
+  const error = new Error(`${provider} responded ${response.status}: ${body.slice(0, 200)}`);
+  error.status = response.status;
+  return error;
+}
+
+module.exports = { providerError };
@@ -0,0 +1,94 @@
+// FILE: services/tts-providers/socket-session.js
+// DESCRIPTION: Websocket plumbing shared by the adapters that synthesize text while it is still being written.
+
+const { Buffer } = require('node:buffer');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+/**
+ * @class SocketSession
+ * @description One streaming synthesis over a websocket. Messages sent before the
+ * socket opens are queued. The adapter decides what the messages look like and
+ * calls `emitAudio` / `finish` as the provider answers.
+ * @emits 'audio' with each Buffer of mulaw/8000 audio, as soon as it arrives.
+ * @emits 'end' once the provider has sent all the audio.
+ * @emits 'error' when the provider fails; no 'end' follows.
+ */
+class SocketSession extends EventEmitter {
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {Object} [options.headers]
+   * @param {number} [options.timeoutMs] How long to wait for the last audio after
+   * `end()`. Defaults to TTS_STREAM_TIMEOUT_MS or 10 seconds.
+   */
+  constructor(url, { headers, timeoutMs = Number(process.env.TTS_STREAM_TIMEOUT_MS) || 10000 } = {}) {
+    super();
+    this.queue = [];
+    this.finished = false;
+    this.timeoutMs = timeoutMs;
+    this.ws = new WebSocket(url, { headers });
+    this.ws.on('open', () => {
+      this.queue.forEach((data) => this.ws.send(data));
+      this.queue = [];
+    });
+    this.ws.on('error', (err) => this.finish(err));
+    this.ws.on('close', (code, reason) => {
+      this.finish(code === 1000 || code === 1005 ? null : new Error(`Socket closed with ${code} ${reason}`));
+    });
+  }
+
+  /**
+   * @param {Object|string|Buffer} message Objects are sent as JSON.
+   */
+  send(message) {
+    if (this.finished) return;
+    const data = typeof message === 'object' && !Buffer.isBuffer(message) ? JSON.stringify(message) : message;
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(data);
+    } else {
+      this.queue.push(data);
+    }
+  }
+
+  emitAudio(audio) {
+    if (!this.finished && audio.length > 0) this.emit('audio', audio);
+  }
+
+  /**
+   * Starts the timer that fails the session if the provider never finishes.
+   */
+  expectEnd() {
+    this.timer = setTimeout(() => this.finish(new Error('Timed out waiting for audio')), this.timeoutMs);
+  }
+
+  /**
+   * Drops the session without emitting anything else, e.g. when the caller interrupts.
+   */
+  abort() {
+    this.removeAllListeners('audio');
+    this.finished = true;
+    clearTimeout(this.timer);
+    this.ws.terminate();
+  }
+
+  /**
+   * Ends the session once; later calls are ignored.
+   * @param {Error|null} [err]
+   */
+  finish(err) {
+    if (this.finished) return;
+    this.finished = true;
+    clearTimeout(this.timer);
+    if (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING) {
+      this.ws.terminate();
+    }
+    if (err) {
+      this.emit('error', err);
+    } else {
+      this.emit('end');
+    }
+  }
+}
+
+module.exports = { SocketSession };
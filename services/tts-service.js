@@ -1,57 +1,328 @@
 require("dotenv").config();
-const { Buffer } = require("node:buffer");
+require("colors");
 const EventEmitter = require("events");
-const fetch = require("node-fetch");
+const { createProvider } = require("./tts-providers");
+const { ttsCache } = require("./tts-cache");
+const { metrics } = require("./metrics");
 
+const DEFAULT_VOICE = {
+  provider: "elevenlabs",
+  voiceId: "lWq4KDY8znfkV0DrK8Vb",
+};
+
+/**
+ * @class TextToSpeechService
+ * @description Turns GPT replies into mulaw/8000 audio with the TTS provider of the
+ * agent profile. When the provider fails, the next one in the fallback order is
+ * tried, so a provider outage doesn't leave silence on the line. Fixed phrases
+ * (greeting, disclaimer, tool "say" lines) are served from the audio cache.
+ *
+ * Reply chunks are synthesized while the model is still writing them: `write` pipes
+ * tokens into a streaming session of the provider and audio is emitted in pieces as
+ * it arrives. Providers without streaming synthesize the chunk once `end` is called.
+ * `interrupt` drops everything in flight when the caller talks over the agent.
+ * @emits 'speech' with (partialResponseIndex, base64 audio, text, interactionCount) for `generate`.
+ * @emits 'speechchunk' with (partialResponseIndex, base64 audio, interactionCount) for streamed chunks.
+ * @emits 'speechend' with (partialResponseIndex, text, interactionCount) after the last piece of a streamed chunk.
+ * @emits 'speecherror' with (partialResponseIndex, text, interactionCount) when every provider failed.
+ */
 class TextToSpeechService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.voice] Voice settings, see `setVoice`.
+   * @param {Object} [options.providers] Adapter instances by provider name; missing
+   * ones are created from the registry on first use.
+   * @param {TtsCache} [options.cache] Audio cache, see services/tts-cache.js.
+   */
+  constructor({ voice, providers = {}, cache = ttsCache } = {}) {
     super();
     this.nextExpectedIndex = 0;
     this.speechBuffer = {};
+    this.providers = providers;
+    this.cache = cache;
+    this.sessions = new Map();
+    this.abortController = new AbortController();
+    this.setVoice(voice);
+  }
+
+  /**
+   * Selects the voice used for every following request.
+   * @param {Object} [voice] The voice settings of the agent profile.
+   * @param {string} [voice.provider] `elevenlabs`, `deepgram` or `openai`.
+   * @param {string} [voice.voiceId] Provider specific voice id.
+   * @param {number} [voice.speed] Speaking rate, where supported.
+   * @param {number} [voice.stability] ElevenLabs voice stability (0-1).
+   * @param {Array<string|Object>} [voice.fallback] Providers to try, in order, when
+   * the primary one fails. Entries are provider names or `{ provider, voiceId }`.
+   * Defaults to TTS_FALLBACK_ORDER (comma separated).
+   */
+  setVoice(voice = {}) {
+    const { fallback, ...primary } = { ...DEFAULT_VOICE, ...voice };
+    const fallbackOrder =
+      fallback ||
+      (process.env.TTS_FALLBACK_ORDER || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+    const chain = [
+      primary,
+      ...fallbackOrder.map((entry) =>
+        typeof entry === "string" ? { provider: entry } : entry
+      ),
+    ].map((entry) => ({ speed: primary.speed, ...entry }));
+
+    // Each provider is tried once, with the first settings given for it
+    this.voiceChain = chain.filter(
+      (entry, i) => chain.findIndex((e) => e.provider === entry.provider) === i
+    );
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = createProvider(name);
+    }
+    return this.providers[name];
   }
 
+  /**
+   * Synthesizes text, walking the fallback chain until a provider succeeds. Cached
+   * audio for a voice is used instead of calling its provider.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.cache] Store the audio so the phrase is never synthesized again.
+   * @param {AbortSignal} [options.signal] Cancels the request; no fallback is tried then.
+   * @returns {Promise<{audio: Buffer, provider: string, cached: boolean}>}
+   * @throws The last provider error when all of them failed.
+   */
+  async synthesize(text, { cache = false, signal } = {}) {
+    let lastError;
+    for (const entry of this.voiceChain) {
+      try {
+        const provider = this.getProvider(entry.provider);
+        const voice = {
+          ...entry,
+          voiceId: entry.voiceId || provider.defaultVoiceId,
+        };
+        const cached = this.cache.get(voice, text);
+        if (cached) {
+          return { audio: cached, provider: provider.name, cached: true };
+        }
+        const audio = await provider.synthesize(text, voice, { signal });
+        if (cache) {
+          this.cache.set(voice, text, audio);
+        }
+        return { audio, provider: provider.name, cached: false };
+      } catch (err) {
+        if (signal && signal.aborted) {
+          throw err;
+        }
+        lastError = err;
+        metrics.ttsErrors.inc({ provider: entry.provider });
+        console.error(`[TTS] ${entry.provider} failed: ${err.message}`.red);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Synthesizes and caches phrases ahead of the calls that will need them.
+   * @param {Array<string>} texts
+   * @returns {Promise<{cached: number, synthesized: number, failed: number}>}
+   */
+  async prewarm(texts) {
+    const counts = { cached: 0, synthesized: 0, failed: 0 };
+    for (const text of texts) {
+      try {
+        const { cached } = await this.synthesize(text, { cache: true });
+        counts[cached ? "cached" : "synthesized"]++;
+      } catch (err) {
+        counts.failed++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Emits the audio for one chunk of a reply.
+   * @param {Object} gptReply
+   * @param {number|null} gptReply.partialResponseIndex
+   * @param {string} gptReply.partialResponse
+   * @param {boolean} [gptReply.cache] Set on fixed phrases that are worth caching.
+   * @param {number} interactionCount
+   */
   async generate(gptReply, interactionCount) {
-    const { partialResponseIndex, partialResponse } = gptReply;
+    const { partialResponseIndex, partialResponse, cache } = gptReply;
 
     if (!partialResponse) {
       return;
     }
 
+    const { signal } = this.abortController;
     try {
-      const response = await fetch(
-        `https://api.elevenlabs.io/v1/text-to-speech/lWq4KDY8znfkV0DrK8Vb/stream?output_format=ulaw_8000&optimize_streaming_latency=3`,
-        {
-          method: "POST",
-          headers: {
-            "xi-api-key": process.env.XI_API_KEY,
-            "Content-Type": "application/json",
-            accept: "audio/wav",
-          },
-          body: JSON.stringify({
-            model_id: process.env.XI_MODEL_ID,
-            text: partialResponse,
-          }),
-        }
+      const { audio } = await this.synthesize(partialResponse, {
+        cache,
+        signal,
+      });
+      this.emit(
+        "speech",
+        partialResponseIndex,
+        audio.toString("base64"),
+        partialResponse,
+        interactionCount
       );
+    } catch (err) {
+      if (signal.aborted) {
+        return;
+      }
+      console.error(
+        `[TTS] No provider could synthesize: "${partialResponse}"`.red
+      );
+      this.emit(
+        "speecherror",
+        partialResponseIndex,
+        partialResponse,
+        interactionCount
+      );
+    }
+  }
+
+  /**
+   * Appends model output to reply chunk `index`, opening its synthesis session on the
+   * first call.
+   * @param {number} index The partialResponseIndex of the chunk.
+   * @param {string} text
+   * @param {number} interactionCount
+   */
+  write(index, text, interactionCount) {
+    let session = this.sessions.get(index);
+    if (!session) {
+      session = this.openSession(index, interactionCount);
+      this.sessions.set(index, session);
+    }
+    session.text += text;
+    if (session.stream) {
+      session.stream.write(text);
+    }
+  }
 
-      if (response.status === 200) {
-        const audioArrayBuffer = await response.arrayBuffer();
+  openSession(index, interactionCount) {
+    const session = { text: "", stream: null, audioSent: false };
+    const [entry] = this.voiceChain;
+    try {
+      const provider = this.getProvider(entry.provider);
+      if (!provider.stream) {
+        return session;
+      }
+      session.stream = provider.stream({
+        ...entry,
+        voiceId: entry.voiceId || provider.defaultVoiceId,
+      });
+      session.stream.on("audio", (audio) => {
+        session.audioSent = true;
         this.emit(
-          "speech",
-          partialResponseIndex,
-          Buffer.from(audioArrayBuffer).toString("base64"),
-          partialResponse,
+          "speechchunk",
+          index,
+          audio.toString("base64"),
           interactionCount
         );
-      } else {
-        console.log("Eleven Labs Error:");
-        console.log(response);
+      });
+      session.done = new Promise((resolve) => {
+        session.abort = () => resolve(false);
+        session.stream.on("end", () => resolve(true));
+        session.stream.on("error", (err) => {
+          metrics.ttsErrors.inc({ provider: entry.provider });
+          console.error(
+            `[TTS] ${entry.provider} stream failed: ${err.message}`.red
+          );
+          resolve(false);
+        });
+      });
+    } catch (err) {
+      metrics.ttsErrors.inc({ provider: entry.provider });
+      console.error(`[TTS] ${entry.provider} failed: ${err.message}`.red);
+    }
+    return session;
+  }
+
+  /**
+   * Closes reply chunk `index` once the model finished writing it. When the stream
+   * failed before producing any audio, the chunk is synthesized again through the
+   * fallback chain.
+   * @param {number} index
+   * @param {number} interactionCount
+   */
+  async end(index, interactionCount) {
+    const session = this.sessions.get(index);
+    this.sessions.delete(index);
+    const { signal } = this.abortController;
+
+    // Nothing to say, but StreamService still has to move past this index
+    if (!session || !session.text.trim()) {
+      if (session && session.stream) {
+        session.stream.abort();
+      }
+      this.emit("speechend", index, "", interactionCount);
+      return;
+    }
+
+    if (session.stream) {
+      session.stream.end();
+      const done = await session.done;
+      if (signal.aborted) {
+        return;
       }
+      if (done || session.audioSent) {
+        this.emit("speechend", index, session.text, interactionCount);
+        return;
+      }
+    }
+
+    try {
+      const { audio } = await this.synthesize(session.text, { signal });
+      this.emit(
+        "speechchunk",
+        index,
+        audio.toString("base64"),
+        interactionCount
+      );
+      this.emit("speechend", index, session.text, interactionCount);
     } catch (err) {
-      console.error("Error occurred in XI LabsTextToSpeech service");
-      console.error(err);
+      if (signal.aborted) {
+        return;
+      }
+      console.error(
+        `[TTS] No provider could synthesize: "${session.text}"`.red
+      );
+      this.emit("speecherror", index, session.text, interactionCount);
     }
   }
+
+  /**
+   * Drops every chunk in flight, for when the caller talks over the agent: open
+   * streams are closed and pending requests are cancelled without emitting anything.
+   */
+  interrupt() {
+    this.sessions.forEach((session) => {
+      if (session.stream) {
+        session.stream.abort();
+      }
+      if (session.abort) {
+        session.abort();
+      }
+    });
+    this.sessions.clear();
+    this.abortController.abort();
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Drops everything in flight and stops emitting, once the call is over.
+   */
+  close() {
+    this.interrupt();
+    this.removeAllListeners();
+  }
 }
 
 module.exports = { TextToSpeechService };
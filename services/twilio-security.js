@@ -0,0 +1,104 @@
+// FILE: services/twilio-security.js
+// DESCRIPTION: Checks that webhooks and media streams really come from Twilio.
+
+require('colors');
+const crypto = require('crypto');
+const { Buffer } = require('node:buffer');
+const twilio = require('twilio');
+
+// How long after /incoming answered the media stream may start
+const STREAM_TOKEN_TTL_MS = 60 * 1000;
+
+/**
+ * Local testing without Twilio (curl, the simulator...): TWILIO_AUTH_BYPASS=true
+ * turns every check off.
+ * @returns {boolean}
+ */
+function isBypassed() {
+  return process.env.TWILIO_AUTH_BYPASS === 'true';
+}
+
+/**
+ * The URL Twilio signed. Behind ngrok or a proxy the request reaches us on another
+ * host and scheme, so SERVER (the public host Twilio was given) wins, then the
+ * X-Forwarded-* headers, then the request itself.
+ * @param {Object} req Express request.
+ * @returns {string}
+ */
+function publicUrl(req) {
+  const forwardedProto = (req.headers['x-forwarded-proto'] || '').split(',')[0].trim();
+  const forwardedHost = (req.headers['x-forwarded-host'] || '').split(',')[0].trim();
+  const host = process.env.SERVER || forwardedHost || req.headers.host;
+  const protocol = process.env.SERVER ? 'https' : forwardedProto || req.protocol;
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+/**
+ * @param {Object} req Express request with the parsed form body.
+ * @returns {boolean} Whether `X-Twilio-Signature` matches the URL and the body.
+ */
+function isValidTwilioRequest(req) {
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature || !process.env.TWILIO_AUTH_TOKEN) return false;
+  return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, publicUrl(req), req.body || {});
+}
+
+/**
+ * Express middleware for the public Twilio webhooks. Unsigned or forged requests
+ * get a 403.
+ */
+function twilioWebhook(req, res, next) {
+  if (isBypassed() || isValidTwilioRequest(req)) {
+    return next();
+  }
+  console.warn(`[SECURITY] Rejected unsigned request to ${req.originalUrl} from ${req.ip}`.red);
+  res.status(403).send('Invalid Twilio signature');
+}
+
+function streamSecret() {
+  return process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN || '';
+}
+
+function sign(callSid, expires) {
+  return crypto.createHmac('sha256', streamSecret()).update(`${callSid}.${expires}`).digest('hex');
+}
+
+/**
+ * Token handed to the media stream of a call as a `<Parameter>`.
+ * @param {string} callSid
+ * @param {number} [now]
+ * @returns {string} `<expires>.<hmac>`
+ */
+function createStreamToken(callSid, now = Date.now()) {
+  const expires = now + STREAM_TOKEN_TTL_MS;
+  return `${expires}.${sign(callSid, expires)}`;
+}
+
+/**
+ * Checks the token of a media stream `start` event.
+ * @param {string} callSid The callSid of the `start` event.
+ * @param {string} [token]
+ * @param {number} [now]
+ * @returns {string|null} Why the stream is rejected, or null when it may go on.
+ */
+function checkStreamToken(callSid, token, now = Date.now()) {
+  if (isBypassed()) return null;
+  if (!streamSecret()) return 'no STREAM_TOKEN_SECRET or TWILIO_AUTH_TOKEN to check the token with';
+  if (!callSid || typeof token !== 'string') return 'missing token';
+  const [expires, signature = ''] = token.split('.');
+  const expected = sign(callSid, expires);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'invalid token';
+  }
+  if (Number(expires) < now) return 'expired token';
+  return null;
+}
+
+module.exports = {
+  twilioWebhook,
+  isValidTwilioRequest,
+  publicUrl,
+  createStreamToken,
+  checkStreamToken,
+  isBypassed,
+};
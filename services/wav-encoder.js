@@ -0,0 +1,44 @@
+// FILE: services/wav-encoder.js
+// DESCRIPTION: Turns the mulaw channels of a recording into a 16-bit PCM stereo WAV, in a worker thread.
+
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { Buffer } = require('node:buffer');
+const { WaveFile } = require('wavefile');
+
+/**
+ * @param {Uint8Array} left mulaw/8000 samples.
+ * @param {Uint8Array} right mulaw/8000 samples, as many as `left`.
+ * @returns {Uint8Array} The WAV file. 16-bit PCM plays in every browser, mulaw WAV doesn't.
+ */
+function toWav(left, right) {
+  const wav = new WaveFile();
+  wav.fromScratch(2, 8000, '8m', [left, right]);
+  wav.fromMuLaw();
+  return wav.toBuffer();
+}
+
+/**
+ * Same as toWav, without blocking the event loop: converting a long call takes
+ * long enough to stall the audio of the calls still going on.
+ * @param {Uint8Array} left
+ * @param {Uint8Array} right
+ * @returns {Promise<Buffer>}
+ */
+function encodeWav(left, right) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'wav-encoder.js'), { workerData: { wavEncoder: true, left, right } });
+    worker.once('message', (wav) => resolve(Buffer.from(wav.buffer, wav.byteOffset, wav.byteLength)));
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`WAV encoder exited with code ${code}.`));
+    });
+  });
+}
+
+if (!isMainThread && workerData && workerData.wavEncoder) {
+  const wav = toWav(workerData.left, workerData.right);
+  parentPort.postMessage(wav, [wav.buffer]);
+}
+
+module.exports = { toWav, encodeWav };
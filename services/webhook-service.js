@@ -0,0 +1,458 @@
+// FILE: services/webhook-service.js
+// DESCRIPTION: Outgoing webhooks: call and order events POSTed to CRM endpoints, signed, with retries.
+
+require('colors');
+const crypto = require('crypto');
+const { Buffer } = require('node:buffer');
+const path = require('path');
+const uuid = require('uuid');
+const fetch = require('node-fetch');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { HttpError } = require('./errors');
+
+const EVENT_TYPES = ['call.started', 'call.ended', 'call.analyzed', 'order.placed', 'call.transferred'];
+
+const DEFAULT_SETTINGS = {
+  maxAttempts: 6,
+  // 10s, 20s, 40s... between attempts
+  retryDelayMs: 10 * 1000,
+  timeoutMs: 10 * 1000,
+};
+
+// Finished deliveries kept in the log; pending ones are never dropped
+const MAX_LOGGED_DELIVERIES = 500;
+
+// Receivers should refuse signatures older than this, so a captured request can't be replayed
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Signs a payload: `t=<unix ms>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * @param {string} secret The endpoint secret.
+ * @param {string} body The exact request body.
+ * @param {number} [timestamp]
+ * @returns {string} The `X-Kaller-Signature` header.
+ */
+function signPayload(secret, body, timestamp = Date.now()) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Checks an `X-Kaller-Signature` header, e.g. in a receiver.
+ * @param {string} secret
+ * @param {string} header
+ * @param {string} body The raw request body.
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function verifySignature(secret, header, body, now = Date.now()) {
+  const parts = Object.fromEntries((header || '').split(',').map((part) => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_MS) return false;
+  const expected = signPayload(secret, body, timestamp).split('v1=')[1];
+  return parts.v1.length === expected.length && crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
+}
+
+/**
+ * Turns a call event (see call-events.js) into the webhook event it stands for.
+ * @param {{callSid: string, type: string, data: Object}} event
+ * @param {Object} [call] The call record, for `call.ended`.
+ * @returns {{type: string, data: Object}|null} Null for events no webhook cares about.
+ */
+function webhookEventFor({ callSid, type, data }, call) {
+  switch (type) {
+  case 'start':
+    return { type: 'call.started', data: { callSid, ...data } };
+  case 'stop':
+    return { type: 'call.ended', data: { callSid, endReason: data.endReason, ...callSummary(call) } };
+  case 'analysis':
+    return data.status === 'completed' ? { type: 'call.analyzed', data: { callSid, ...data } } : null;
+  case 'toolcall':
+    if (data.failed) return null;
+    if (data.name === 'placeOrder') {
+      return { type: 'order.placed', data: { callSid, arguments: data.arguments, order: parseResult(data.result) } };
+    }
+    if (data.name === 'transferCall') {
+      const result = parseResult(data.result);
+      // Blind transfers only: a warm one is still on hold here, see `transfer` below.
+      // Not when the agent fell back to a callback or voicemail either.
+      if (result.status !== 'transferred') return null;
+      return { type: 'call.transferred', data: { callSid, arguments: data.arguments, result } };
+    }
+    return null;
+  case 'transfer':
+    // The person took a warm transfer
+    return data.status === 'connected' ? { type: 'call.transferred', data: { callSid, result: data } } : null;
+  default:
+    return null;
+  }
+}
+
+function callSummary(call) {
+  if (!call) return {};
+  const { direction, from, to, profileId, profileVersion, startTime, endTime, outcome, answeredBy } = call;
+  return { direction, from, to, profileId, profileVersion, startTime, endTime, outcome, answeredBy };
+}
+
+function parseResult(result) {
+  try {
+    return JSON.parse(result);
+  } catch (error) {
+    return result;
+  }
+}
+
+/**
+ * @class WebhookManager
+ * @description Keeps the endpoints in `data/webhooks/endpoints.json` and every
+ * delivery in `data/webhooks/deliveries.json`. Pending deliveries are the queue: a
+ * timer POSTs those that are due, and a failed attempt (network error, timeout or
+ * non-2xx answer) is retried with exponential backoff until `maxAttempts`. Since
+ * the queue is on disk, retries survive a restart. Finished deliveries stay as the
+ * delivery log.
+ *
+ * Each request carries `X-Kaller-Event`, `X-Kaller-Delivery` and
+ * `X-Kaller-Signature` (see `signPayload`), and a body of
+ * `{ id, type, createdAt, data }`, where `id` is the same for every endpoint.
+ */
+class WebhookManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] Defaults to `data/webhooks`.
+   * @param {Object} [options.calls] Call store, to describe ended calls.
+   * @param {Function} [options.send] `(url, init) => Promise<{status}>`, fetch by default.
+   * @param {Function} [options.now] Clock, replaceable in tests.
+   * @param {number} [options.tickMs] How often the queue is checked.
+   * @param {number} [options.maxAttempts]
+   * @param {number} [options.retryDelayMs] Delay before the first retry, doubled on each following one.
+   * @param {number} [options.timeoutMs] Per request.
+   */
+  constructor({ dir, calls, send = fetch, now = Date.now, tickMs = 1000, ...settings } = {}) {
+    this.dir = dir || dataPath('webhooks');
+    this.calls = calls;
+    this.send = send;
+    this.now = now;
+    this.tickMs = tickMs;
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.timer = null;
+    this.endpoints = null;
+    this.deliveries = null;
+    this.inFlight = new Set();
+  }
+
+  load() {
+    if (!this.endpoints) {
+      this.endpoints = readJson(path.join(this.dir, 'endpoints.json'), []);
+      this.deliveries = readJson(path.join(this.dir, 'deliveries.json'), []);
+    }
+  }
+
+  saveEndpoints() {
+    writeJson(path.join(this.dir, 'endpoints.json'), this.endpoints);
+  }
+
+  saveDeliveries() {
+    const finished = this.deliveries.filter((delivery) => delivery.status !== 'pending');
+    if (finished.length > MAX_LOGGED_DELIVERIES) {
+      const dropped = new Set(finished.slice(0, finished.length - MAX_LOGGED_DELIVERIES));
+      this.deliveries = this.deliveries.filter((delivery) => !dropped.has(delivery));
+    }
+    writeJson(path.join(this.dir, 'deliveries.json'), this.deliveries);
+  }
+
+  /**
+   * Forwards the events of every call to the endpoints.
+   * @param {Object} callEvents The call event bus.
+   */
+  connect(callEvents) {
+    callEvents.on('event', (event) => {
+      const call = event.type === 'stop' && this.calls ? this.calls.getCall(event.callSid) : null;
+      const webhookEvent = webhookEventFor(event, call);
+      if (webhookEvent) {
+        this.publish(webhookEvent.type, webhookEvent.data);
+      }
+    });
+  }
+
+  /**
+   * @returns {Array<Object>} Every endpoint, with the status of its last delivery.
+   */
+  listEndpoints() {
+    this.load();
+    return this.endpoints.map((endpoint) => {
+      const last = this.deliveries.filter((delivery) => delivery.endpointId === endpoint.id).pop();
+      return { ...endpoint, lastDelivery: last ? { status: last.status, createdAt: last.createdAt } : null };
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object}
+   * @throws {HttpError} 404 when the endpoint does not exist.
+   */
+  getEndpoint(id) {
+    this.load();
+    const endpoint = this.endpoints.find((entry) => entry.id === id);
+    if (!endpoint) {
+      throw new HttpError(404, `Webhook ${id} not found.`);
+    }
+    return endpoint;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.url
+   * @param {Array<string>} options.events Event types, or `*` for all of them.
+   * @param {string} [options.secret] Generated when left out.
+   * @param {string} [options.description]
+   * @param {boolean} [options.enabled]
+   * @returns {Object} The endpoint, with its secret.
+   */
+  createEndpoint({ url, events, secret, description, enabled = true }) {
+    this.load();
+    const endpoint = validateEndpoint({
+      id: uuid.v4(),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      description: description || '',
+      enabled,
+      createdAt: new Date(this.now()).toISOString(),
+    });
+    this.endpoints.push(endpoint);
+    this.saveEndpoints();
+    console.log(`[WEBHOOK] Added ${endpoint.url} for ${endpoint.events.join(', ')}`.cyan);
+    return endpoint;
+  }
+
+  /**
+   * Changes the url, events, secret, description or enabled flag of an endpoint.
+   * @param {string} id
+   * @param {Object} changes
+   * @returns {Object} The updated endpoint.
+   */
+  updateEndpoint(id, changes) {
+    const endpoint = this.getEndpoint(id);
+    const fields = {};
+    ['url', 'events', 'secret', 'description', 'enabled'].forEach((field) => {
+      if (changes[field] !== undefined) fields[field] = changes[field];
+    });
+    Object.assign(endpoint, validateEndpoint({ ...endpoint, ...fields }));
+    this.saveEndpoints();
+    return endpoint;
+  }
+
+  /**
+   * Removes an endpoint. Its pending deliveries are given up.
+   * @param {string} id
+   */
+  deleteEndpoint(id) {
+    const endpoint = this.getEndpoint(id);
+    this.endpoints = this.endpoints.filter((entry) => entry !== endpoint);
+    this.deliveries
+      .filter((delivery) => delivery.endpointId === id && delivery.status === 'pending')
+      .forEach((delivery) => Object.assign(delivery, { status: 'failed', lastError: 'Webhook deleted' }));
+    this.saveEndpoints();
+    this.saveDeliveries();
+  }
+
+  /**
+   * Queues an event for every enabled endpoint subscribed to it.
+   * @param {string} type One of `EVENT_TYPES`.
+   * @param {Object} data
+   * @returns {Array<Object>} The queued deliveries.
+   */
+  publish(type, data) {
+    this.load();
+    const endpoints = this.endpoints.filter(
+      (endpoint) => endpoint.enabled && (endpoint.events.includes('*') || endpoint.events.includes(type))
+    );
+    return this.enqueue(endpoints, type, data);
+  }
+
+  /**
+   * Queues a `ping` for one endpoint, whatever its event filter.
+   * @param {string} id
+   * @returns {Object} The delivery.
+   */
+  ping(id) {
+    return this.enqueue([this.getEndpoint(id)], 'ping', { message: 'Test event from Kaller' })[0];
+  }
+
+  enqueue(endpoints, type, data) {
+    if (endpoints.length === 0) return [];
+    const now = new Date(this.now()).toISOString();
+    const payload = { id: uuid.v4(), type, createdAt: now, data };
+    const deliveries = endpoints.map((endpoint) => ({
+      id: uuid.v4(),
+      endpointId: endpoint.id,
+      url: endpoint.url,
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      responseStatus: null,
+      createdAt: now,
+      deliveredAt: null,
+    }));
+    this.deliveries.push(...deliveries);
+    this.saveDeliveries();
+    this.updateTimer();
+    return deliveries;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.endpointId]
+   * @returns {Array<Object>} Deliveries, newest first.
+   */
+  listDeliveries({ endpointId } = {}) {
+    this.load();
+    return this.deliveries
+      .filter((delivery) => !endpointId || delivery.endpointId === endpointId)
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Puts a failed delivery back in the queue with a fresh set of attempts.
+   * @param {string} id
+   * @returns {Object} The delivery.
+   * @throws {HttpError} 404 when unknown, 409 unless it failed.
+   */
+  retryDelivery(id) {
+    this.load();
+    const delivery = this.deliveries.find((entry) => entry.id === id);
+    if (!delivery) {
+      throw new HttpError(404, `Delivery ${id} not found.`);
+    }
+    if (delivery.status !== 'failed') {
+      throw new HttpError(409, `Only failed deliveries can be retried, this one is ${delivery.status}.`);
+    }
+    this.getEndpoint(delivery.endpointId);
+    Object.assign(delivery, { status: 'pending', attempts: 0, nextAttemptAt: new Date(this.now()).toISOString() });
+    this.saveDeliveries();
+    this.updateTimer();
+    return delivery;
+  }
+
+  /**
+   * Starts the timer for deliveries left in the queue by the last run.
+   */
+  restore() {
+    this.updateTimer();
+  }
+
+  updateTimer() {
+    this.load();
+    const pending = this.deliveries.some((delivery) => delivery.status === 'pending');
+    if (pending && !this.timer) {
+      this.timer = setInterval(() => {
+        this.tick().catch((error) => console.error('[WEBHOOK] Tick failed:'.red, error));
+      }, this.tickMs);
+      this.timer.unref();
+    } else if (!pending && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Attempts every pending delivery that is due.
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    this.load();
+    const now = this.now();
+    const due = this.deliveries.filter(
+      (delivery) =>
+        delivery.status === 'pending' && !this.inFlight.has(delivery.id) && Date.parse(delivery.nextAttemptAt) <= now
+    );
+    await Promise.all(due.map((delivery) => this.attempt(delivery)));
+    this.updateTimer();
+  }
+
+  async attempt(delivery) {
+    const endpoint = this.endpoints.find((entry) => entry.id === delivery.endpointId);
+    if (!endpoint) {
+      Object.assign(delivery, { status: 'failed', lastError: 'Webhook deleted' });
+      this.saveDeliveries();
+      return;
+    }
+
+    this.inFlight.add(delivery.id);
+    delivery.attempts += 1;
+    const body = JSON.stringify(delivery.payload);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.settings.timeoutMs);
+    let error = null;
+    try {
+      const response = await this.send(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Kaller-Event': delivery.type,
+          'X-Kaller-Delivery': delivery.id,
+          'X-Kaller-Signature': signPayload(endpoint.secret, body, this.now()),
+        },
+        body,
+        signal: controller.signal,
+      });
+      delivery.responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      delivery.responseStatus = null;
+      error = err.name === 'AbortError' ? `Timed out after ${this.settings.timeoutMs}ms` : err.message;
+    } finally {
+      clearTimeout(timeout);
+      this.inFlight.delete(delivery.id);
+    }
+
+    delivery.lastError = error;
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date(this.now()).toISOString();
+      console.log(`[WEBHOOK] ${delivery.type} delivered to ${endpoint.url}`.green);
+    } else if (delivery.attempts < this.settings.maxAttempts) {
+      const delay = this.settings.retryDelayMs * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(this.now() + delay).toISOString();
+      console.warn(`[WEBHOOK] ${delivery.type} to ${endpoint.url} failed (${error}), retrying in ${delay / 1000}s`.yellow);
+    } else {
+      delivery.status = 'failed';
+      console.error(`[WEBHOOK] ${delivery.type} to ${endpoint.url} failed for good: ${error}`.red);
+    }
+    this.saveDeliveries();
+  }
+}
+
+function validateEndpoint(endpoint) {
+  if (typeof endpoint.url !== 'string' || !/^https?:\/\/[^/\s]+/.test(endpoint.url)) {
+    throw new HttpError(400, 'url must be an http(s) URL.');
+  }
+  if (!Array.isArray(endpoint.events) || endpoint.events.length === 0) {
+    throw new HttpError(400, `events must list at least one of ${EVENT_TYPES.join(', ')} or *.`);
+  }
+  const unknown = endpoint.events.filter((type) => type !== '*' && !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown events: ${unknown.join(', ')}.`);
+  }
+  if (typeof endpoint.secret !== 'string' || endpoint.secret.length < 16) {
+    throw new HttpError(400, 'secret must have at least 16 characters.');
+  }
+  if (typeof endpoint.enabled !== 'boolean') {
+    throw new HttpError(400, 'enabled must be true or false.');
+  }
+  return endpoint;
+}
+
+module.exports = {
+  WebhookManager,
+  signPayload,
+  verifySignature,
+  webhookEventFor,
+  EVENT_TYPES,
+};
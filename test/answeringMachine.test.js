@@ -0,0 +1,58 @@
+const { isMachine, voicemailSettings, machineDetectionOptions } = require('../services/answering-machine');
+const { CallSessions } = require('../services/call-sessions');
+
+test('Expect only machine and fax results to count as a machine', () => {
+  expect(['machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'].every(isMachine)).toBe(true);
+  expect(isMachine('human')).toBe(false);
+  expect(isMachine('unknown')).toBe(false);
+});
+
+test('Expect the profile voicemail settings to override the defaults', () => {
+  expect(voicemailSettings({ voicemail: { message: 'Retorne a ligação.' } })).toEqual({ action: 'message', message: 'Retorne a ligação.' });
+  expect(voicemailSettings({}).message).toContain('Ligaremos novamente');
+});
+
+test('Expect async AMD options unless it is turned off', () => {
+  process.env.SERVER = 'kaller.example.com';
+  expect(machineDetectionOptions()).toEqual({
+    machineDetection: 'DetectMessageEnd',
+    asyncAmd: 'true',
+    asyncAmdStatusCallback: 'https://kaller.example.com/amd',
+    asyncAmdStatusCallbackMethod: 'POST',
+  });
+  process.env.AMD_ENABLED = 'false';
+  try {
+    expect(machineDetectionOptions()).toEqual({});
+  } finally {
+    delete process.env.AMD_ENABLED;
+  }
+});
+
+test('Expect a detection result that beats the media stream to wait for the session', () => {
+  const sessions = new CallSessions();
+  const answeredBy = jest.fn();
+
+  expect(sessions.deliver('CA1', 'answeredBy', 'machine_end_beep')).toBe(false);
+  sessions.register('CA1', { answeredBy });
+  expect(answeredBy).toHaveBeenCalledWith('machine_end_beep');
+
+  expect(sessions.deliver('CA1', 'answeredBy', 'human')).toBe(true);
+  sessions.unregister('CA1');
+  expect(sessions.get('CA1')).toBeUndefined();
+});
+
+test('Expect signals for ended calls to be dropped and unclaimed ones to expire', () => {
+  let clock = 0;
+  const sessions = new CallSessions({ pendingTtlMs: 1000, now: () => clock });
+
+  sessions.register('CA1', {});
+  sessions.unregister('CA1');
+  sessions.deliver('CA1', 'answeredBy', 'human');
+  expect(sessions.pending.has('CA1')).toBe(false);
+
+  sessions.deliver('CA2', 'answeredBy', 'human');
+  clock += 1001;
+  sessions.deliver('CA3', 'answeredBy', 'human');
+  expect([...sessions.pending.keys()]).toEqual(['CA3']);
+  expect(sessions.ended.has('CA1')).toBe(false);
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CallStore } = require('../services/call-store');
+const { ProfileStore } = require('../services/profile-store');
+const { CallAnalyzer, renderConversation } = require('../services/call-analysis');
+
+let callStore;
+let profileStore;
+
+beforeEach(() => {
+  callStore = new CallStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'calls-')) });
+  profileStore = new ProfileStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-')) });
+  profileStore.createProfile({ id: 'default', name: 'Padrão', system_prompt: 'Você vende AirPods.', assistant_prompt: 'Olá!' });
+});
+
+// Chat adapter that answers each request with a recordAnalysis call carrying the next arguments
+function fakeLlm(...answers) {
+  return {
+    name: 'fake',
+    streamChat: jest.fn(async function* () {
+      yield { content: '', toolCalls: [{ index: 0, id: 'call_1', name: 'recordAnalysis', arguments: JSON.stringify(answers.shift()) }], finishReason: null };
+      yield { content: '', finishReason: 'tool_calls' };
+    }),
+  };
+}
+
+function finishedCall(fields = {}) {
+  callStore.startCall({ callSid: 'CA1', streamSid: 'MZ1', profileId: 'default', profileVersion: 1 });
+  callStore.update('CA1', {
+    context: [
+      { role: 'assistant', content: 'Olá!' },
+      { role: 'user', content: 'Quero o Max, mas acho caro.' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 't1', type: 'function', function: { name: 'checkPrice', arguments: '{"model":"airpods max"}' } }] },
+      { role: 'tool', tool_call_id: 't1', content: '{"price":549}' },
+    ],
+    ...fields,
+  });
+  callStore.endCall('CA1', { endReason: 'stop' });
+}
+
+const answer = {
+  summary: 'The caller wanted the AirPods Max but found them expensive.',
+  disposition: 'callback',
+  fields: { model: 'airpods max', objections: ['price'] },
+};
+
+test('Expect the analysis to be stored with the call and the profile version it used', async () => {
+  finishedCall();
+  const llm = fakeLlm(answer);
+
+  const analysis = await new CallAnalyzer({ callStore, profileStore, llm }).analyze('CA1');
+
+  expect(analysis).toMatchObject({ status: 'completed', ...answer, profileVersion: 1 });
+  expect(callStore.getCall('CA1').analysis).toEqual(analysis);
+  const request = llm.streamChat.mock.calls[0][0];
+  expect(request.toolChoice).toBe('recordAnalysis');
+  expect(request.messages[1].content).toBe(
+    'Agent: Olá!\nCaller: Quero o Max, mas acho caro.\nAgent called checkPrice({"model":"airpods max"})\nTool result: {"price":549}'
+  );
+});
+
+test('Expect an answer that breaks the schema to be sent back once, then recorded as failed', async () => {
+  finishedCall();
+  const llm = fakeLlm({ ...answer, disposition: 'maybe' }, answer);
+  const analyzer = new CallAnalyzer({ callStore, profileStore, llm });
+
+  await expect(analyzer.analyze('CA1')).resolves.toMatchObject({ disposition: 'callback' });
+  const retry = llm.streamChat.mock.calls[1][0].messages;
+  expect(retry[retry.length - 1]).toMatchObject({ role: 'tool', tool_call_id: 'call_1' });
+  expect(retry[retry.length - 1].content).toContain('analysis.disposition must be one of');
+
+  const failing = fakeLlm({ ...answer, fields: { budget: 'cheap' } }, { ...answer, fields: { budget: 'cheap' } });
+  await expect(new CallAnalyzer({ callStore, profileStore, llm: failing }).analyze('CA1')).rejects.toMatchObject({ status: 502 });
+  expect(callStore.getCall('CA1').analysis).toMatchObject({ status: 'failed', error: expect.stringContaining('analysis.fields.budget') });
+});
+
+test('Expect a re-run to use the current analysis fields of the profile', async () => {
+  finishedCall();
+  profileStore.saveVersion('default', {
+    analysis: { fields: { type: 'object', properties: { wantsNoiseCancelling: { type: 'boolean' } } } },
+  });
+  const llm = fakeLlm({ ...answer, fields: { wantsNoiseCancelling: true } });
+
+  const analysis = await new CallAnalyzer({ callStore, profileStore, llm }).analyze('CA1');
+
+  expect(analysis).toMatchObject({ fields: { wantsNoiseCancelling: true }, profileVersion: 2 });
+  const tool = llm.streamChat.mock.calls[0][0].tools[0];
+  expect(tool.function.parameters.properties.fields.properties).toEqual({ wantsNoiseCancelling: { type: 'boolean' } });
+});
+
+test('Expect voicemail calls to skip the LLM and running calls to be refused', async () => {
+  finishedCall({ outcome: 'voicemail' });
+  const llm = fakeLlm();
+
+  await expect(new CallAnalyzer({ callStore, profileStore, llm }).analyze('CA1')).resolves.toMatchObject({ disposition: 'voicemail' });
+  expect(llm.streamChat).not.toHaveBeenCalled();
+
+  callStore.startCall({ callSid: 'CA2', streamSid: 'MZ2' });
+  await expect(new CallAnalyzer({ callStore, profileStore, llm }).analyze('CA2')).rejects.toMatchObject({ status: 409 });
+  await expect(new CallAnalyzer({ callStore, profileStore, llm }).analyze('CA3')).rejects.toMatchObject({ status: 404 });
+});
+
+test('Expect calls without a stored context to be rendered from the transcript', () => {
+  const call = {
+    transcript: [
+      { role: 'assistant', text: 'Olá!' },
+      { role: 'user', text: '1234', source: 'keypad' },
+    ],
+  };
+  expect(renderConversation(call)).toBe('Agent: Olá!\nCaller: 1234');
+});
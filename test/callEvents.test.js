@@ -0,0 +1,16 @@
+const { CallEvents } = require('../services/call-events');
+
+test('Expect published events to reach both the catch-all and the typed listeners', () => {
+  const events = new CallEvents();
+  const all = [];
+  const transcriptions = [];
+  events.on('event', (event) => all.push(event));
+  events.on('transcription', (event) => transcriptions.push(event));
+
+  events.publish('CA123', 'utterance', { text: 'quero' });
+  events.publish('CA123', 'transcription', { text: 'quero um airpods', interactionCount: 0 });
+
+  expect(all.map((event) => event.type)).toEqual(['utterance', 'transcription']);
+  expect(transcriptions[0]).toMatchObject({ callSid: 'CA123', data: { interactionCount: 0 } });
+  expect(transcriptions[0].timestamp).toBeDefined();
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Buffer } = require('node:buffer');
+const { WaveFile } = require('wavefile');
+const { CallRecorder, MULAW_SILENCE } = require('../services/call-recorder');
+const { RecordingStore } = require('../services/recording-store');
+const { CallStore } = require('../services/call-store');
+
+// `ms` milliseconds of one mulaw byte, base64 like Twilio's payloads
+const audio = (byte, ms) => Buffer.alloc(ms * 8, byte).toString('base64');
+
+function recorderAt(clock) {
+  return new CallRecorder({ now: () => clock.ms });
+}
+
+test('Expect caller audio at its timestamp and agent audio where Twilio plays it', () => {
+  const clock = { ms: 1000 };
+  const recorder = recorderAt(clock);
+
+  recorder.addInbound(audio(0x10, 20), '0');
+  recorder.addInbound(audio(0x11, 20), '40');
+  clock.ms += 10;
+  // Sent in one go, played one after the other
+  recorder.addOutbound(audio(0x20, 20));
+  recorder.addOutbound(audio(0x21, 20));
+  clock.ms += 50;
+  recorder.stop();
+  const { left, right, durationMs } = recorder.channels();
+
+  expect(durationMs).toBe(60);
+  expect(left.length).toBe(right.length);
+  expect([left[0], left[159], left[160], left[319], left[320]]).toEqual([0x10, 0x10, MULAW_SILENCE, MULAW_SILENCE, 0x11]);
+  expect([right[79], right[80], right[239], right[240], right[399], right[400]]).toEqual([
+    MULAW_SILENCE, 0x20, 0x20, 0x21, 0x21, MULAW_SILENCE,
+  ]);
+});
+
+test('Expect a clear and the end of the call to drop the agent audio that had not played', () => {
+  const clock = { ms: 0 };
+  const recorder = recorderAt(clock);
+
+  recorder.addOutbound(audio(0x20, 100));
+  clock.ms = 30;
+  recorder.clear();
+  // After a barge-in the next reply plays right away
+  clock.ms = 50;
+  recorder.addOutbound(audio(0x21, 100));
+  clock.ms = 80;
+  recorder.stop();
+  recorder.addOutbound(audio(0x22, 100));
+  const { right, durationMs } = recorder.channels();
+
+  expect(durationMs).toBe(80);
+  expect([right[239], right[240], right[399], right[400], right[639]]).toEqual([0x20, MULAW_SILENCE, MULAW_SILENCE, 0x21, 0x21]);
+});
+
+test('Expect recordings saved as stereo 16-bit WAV and deleted after the retention period', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  const calls = new CallStore({ dir: path.join(dir, 'calls') });
+  calls.startCall({ callSid: 'CA1', streamSid: 'MZ1' });
+  calls.endCall('CA1');
+  const clock = { ms: Date.parse('2026-01-01T00:00:00Z') };
+  const store = new RecordingStore({ dir: path.join(dir, 'recordings'), calls, retentionDays: 7, now: () => clock.ms });
+  const recorder = recorderAt(clock);
+  recorder.addInbound(audio(0x10, 500), '0');
+  recorder.stop();
+
+  const recording = await store.save('CA1', recorder);
+  const wav = new WaveFile(fs.readFileSync(store.filePath('CA1')));
+
+  expect(recording).toEqual({ durationMs: 500, bytes: 16044, savedAt: '2026-01-01T00:00:00.000Z' });
+  expect(calls.getCall('CA1').recording).toEqual(recording);
+  expect([wav.fmt.numChannels, wav.fmt.sampleRate, wav.bitDepth]).toEqual([2, 8000, '16']);
+  expect(await store.save('CA2', recorderAt(clock))).toBeNull();
+
+  clock.ms = Date.now() + 6 * 24 * 60 * 60 * 1000;
+  expect(store.purge()).toEqual([]);
+  clock.ms = Date.now() + 8 * 24 * 60 * 60 * 1000;
+  expect(store.purge()).toEqual(['CA1']);
+  expect(store.has('CA1')).toBe(false);
+  expect(calls.getCall('CA1').recording.expiredAt).toBe(new Date(clock.ms).toISOString());
+});
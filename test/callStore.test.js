@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CallStore } = require('../services/call-store');
+
+let store;
+
+beforeEach(() => {
+  store = new CallStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'calls-')) });
+});
+
+test('Expect a started call to be persisted with its metadata', () => {
+  store.startCall({ callSid: 'CA123', streamSid: 'MZ123', direction: 'inbound', from: '+5511999999999', to: '+5511888888888' });
+
+  const call = new CallStore({ dir: store.dir }).getCall('CA123');
+  expect(call).toMatchObject({ callSid: 'CA123', streamSid: 'MZ123', direction: 'inbound', status: 'in-progress' });
+});
+
+test('Expect transcripts and tool calls to be recorded in order', () => {
+  store.startCall({ callSid: 'CA123', streamSid: 'MZ123' });
+  store.addTranscript('CA123', { role: 'user', text: 'Quanto custa?', interactionCount: 0 });
+  store.addToolCall('CA123', { name: 'checkPrice', arguments: { model: 'airpods' }, result: '{"price":149}', interactionCount: 0 });
+  store.addTranscript('CA123', { role: 'assistant', text: 'Custa 149 dólares.', interactionCount: 0 });
+
+  const call = store.getCall('CA123');
+  expect(call.transcript.map((entry) => entry.role)).toEqual(['user', 'assistant']);
+  expect(call.toolCalls[0]).toMatchObject({ name: 'checkPrice', arguments: { model: 'airpods' } });
+});
+
+test('Expect ending a call to set the end time and keep it listed', () => {
+  store.startCall({ callSid: 'CA123', streamSid: 'MZ123' });
+  store.endCall('CA123');
+  store.endCall('CA123');
+
+  const [summary] = store.listCalls();
+  expect(summary).toMatchObject({ callSid: 'CA123', status: 'completed', transcriptCount: 0 });
+  expect(summary.endTime).not.toBeNull();
+  expect(summary).not.toHaveProperty('transcript');
+});
+
+test('Expect the first recorded end reason to be kept', () => {
+  store.startCall({ callSid: 'CA321', streamSid: 'MZ321' });
+  store.update('CA321', { endReason: 'agent' });
+  store.endCall('CA321', { endReason: 'stop' });
+  expect(store.getCall('CA321').endReason).toBe('agent');
+
+  store.startCall({ callSid: 'CA322', streamSid: 'MZ322' });
+  store.endCall('CA322', { endReason: 'socket-closed' });
+  expect(store.getCall('CA322').endReason).toBe('socket-closed');
+});
+
+test('Expect unknown calls to return null', () => {
+  expect(store.getCall('CA404')).toBeNull();
+  expect(store.addTranscript('CA404', { role: 'user', text: 'oi', interactionCount: 0 })).toBeNull();
+});
+
+test('Expect the list view to average the time to first audio of each turn', () => {
+  store.startCall({ callSid: 'CA777', streamSid: 'MZ777' });
+  store.addLatency('CA777', { interactionCount: 0, timeToFirstAudioMs: 800 });
+  store.addLatency('CA777', { interactionCount: 1, timeToFirstAudioMs: 1201, stages: { llm: 600 } });
+  store.addLatency('CA777', { interactionCount: 2, timeToFirstAudioMs: null, stages: {}, interrupted: true });
+
+  expect(store.getCall('CA777').latency).toHaveLength(3);
+  expect(store.getCall('CA777').latency[1]).toMatchObject({ interactionCount: 1, stages: { llm: 600 } });
+  const [summary] = store.listCalls();
+  expect(summary.averageTimeToFirstAudioMs).toBe(1001);
+  expect(summary).not.toHaveProperty('latency');
+});
+
+test('Expect interrupted replies to keep what the caller heard', () => {
+  store.startCall({ callSid: 'CA555', streamSid: 'MZ555' });
+  store.addTranscript('CA555', { role: 'assistant', text: 'Custa 129. Quer pedir?', interactionCount: 0 });
+  store.markInterrupted('CA555', { interactionCount: 0, heardText: 'Custa 129.' });
+  // Cut before the reply finished, so there is no entry yet
+  store.markInterrupted('CA555', { interactionCount: 1, heardText: '' });
+
+  const { transcript } = new CallStore({ dir: store.dir }).getCall('CA555');
+  expect(transcript).toMatchObject([
+    { text: 'Custa 129. Quer pedir?', interrupted: true, heardText: 'Custa 129.' },
+    { role: 'assistant', text: '', interactionCount: 1, interrupted: true, heardText: '' },
+  ]);
+});
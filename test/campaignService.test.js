@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CampaignManager, parseCsv } = require('../services/campaign-service');
+
+const csv = 'nome,number,plano\nAna,+55 11 99999-0001,gold\n"Silva, Bruno",+5511999990002,silver\nCarla,+5511999990003,gold\n';
+
+function createManager(options = {}) {
+  let clock = Date.parse('2024-01-01T12:00:00Z');
+  const dialed = [];
+  const manager = new CampaignManager({
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-')),
+    now: () => clock,
+    dialer: async (number) => {
+      dialed.push(number);
+      return `CA${dialed.length}`;
+    },
+    ...options,
+  });
+  return { manager, dialed, advance: (ms) => (clock += ms) };
+}
+
+test('Expect the CSV parser to handle quoted fields with commas', () => {
+  expect(parseCsv('a,b\r\n"x, y","say ""hi"""\n\n')).toEqual([['a', 'b'], ['x, y', 'say "hi"']]);
+});
+
+test('Expect contacts to be imported from the CSV as pending', () => {
+  const { manager } = createManager();
+  const campaign = manager.createCampaign({ name: 'Janeiro', csv });
+
+  expect(campaign.progress).toMatchObject({ total: 3, pending: 3 });
+  expect(campaign.contacts[1]).toMatchObject({ name: 'Silva, Bruno', number: '+5511999990002', fields: { plano: 'silver' } });
+});
+
+test('Expect a CSV without a number column to be rejected', () => {
+  const { manager } = createManager();
+
+  expect(() => manager.createCampaign({ name: 'Janeiro', csv: 'nome\nAna' })).toThrow('The CSV needs a "number" column.');
+});
+
+test('Expect dialing to respect the concurrency limit and the status callbacks to free slots', async () => {
+  const { manager, dialed } = createManager();
+  const campaign = manager.createCampaign({ name: 'Janeiro', csv, concurrency: 2, callsPerMinute: 10 });
+  manager.start(campaign.id);
+
+  await manager.tick();
+  expect(dialed).toHaveLength(2);
+
+  manager.handleCallStatus(campaign.id, campaign.contacts[0].id, { CallStatus: 'completed', CallSid: 'CA1' });
+  await manager.tick();
+  expect(dialed).toHaveLength(3);
+  manager.pause(campaign.id);
+});
+
+test('Expect the calls per minute budget to hold back new calls', async () => {
+  const { manager, dialed, advance } = createManager();
+  const campaign = manager.createCampaign({ name: 'Janeiro', csv, concurrency: 3, callsPerMinute: 1 });
+  manager.start(campaign.id);
+
+  await manager.tick();
+  manager.handleCallStatus(campaign.id, campaign.contacts[0].id, { CallStatus: 'completed' });
+  await manager.tick();
+  expect(dialed).toHaveLength(1);
+
+  advance(60000);
+  await manager.tick();
+  expect(dialed).toHaveLength(2);
+  manager.cancel(campaign.id);
+});
+
+test('Expect busy contacts to be retried with backoff and to fail after the last attempt', async () => {
+  const { manager, dialed, advance } = createManager();
+  const campaign = manager.createCampaign({ name: 'Janeiro', csv: 'number\n+5511999990001', maxAttempts: 2, retryDelaySeconds: 60 });
+  const [contact] = campaign.contacts;
+  manager.start(campaign.id);
+
+  await manager.tick();
+  manager.handleCallStatus(campaign.id, contact.id, { CallStatus: 'busy' });
+  expect(contact.status).toBe('pending');
+
+  await manager.tick();
+  expect(dialed).toHaveLength(1);
+
+  advance(60000);
+  await manager.tick();
+  manager.handleCallStatus(campaign.id, contact.id, { CallStatus: 'no-answer' });
+  expect(dialed).toHaveLength(2);
+  expect(contact).toMatchObject({ status: 'failed', attempts: 2, lastResult: 'no-answer' });
+
+  await manager.tick();
+  expect(manager.getCampaign(campaign.id).status).toBe('completed');
+});
+
+test('Expect a call without a status callback to free its slot after the call timeout', async () => {
+  const { manager, dialed, advance } = createManager({ callTimeoutMs: 60000 });
+  const campaign = manager.createCampaign({ name: 'Janeiro', csv: 'number\n+5511999990001', maxAttempts: 2, retryDelaySeconds: 0 });
+  const [contact] = campaign.contacts;
+  manager.start(campaign.id);
+
+  await manager.tick();
+  advance(30000);
+  await manager.tick();
+  expect(contact.status).toBe('in-progress');
+
+  advance(30000);
+  await manager.tick();
+  expect(dialed).toHaveLength(2);
+  expect(contact).toMatchObject({ status: 'in-progress', attempts: 2, lastResult: 'No status callback received.' });
+
+  advance(60000);
+  await manager.tick();
+  expect(contact.status).toBe('failed');
+  expect(manager.getCampaign(campaign.id).status).toBe('completed');
+});
+
+test('Expect state changes to be validated and persisted', () => {
+  const { manager } = createManager();
+  const campaign = manager.createCampaign({ name: 'Janeiro', csv });
+
+  expect(() => manager.resume(campaign.id)).toThrow('Cannot change a pending campaign to running.');
+  manager.cancel(campaign.id);
+
+  const reloaded = new CampaignManager({ dir: manager.dir });
+  expect(reloaded.getCampaign(campaign.id).status).toBe('cancelled');
+});
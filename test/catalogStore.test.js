@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CatalogStore } = require('../services/catalog-store');
+
+const createStore = () => new CatalogStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-')) });
+
+const kit = { sku: 'KIT-01', name: 'Kit Churrasco', aliases: ['kit', 'Churrasqueira Portátil'], price: 89.9, currency: 'BRL', stock: 3, taxRate: 0.1 };
+
+test('Expect products to be created, found by name or alias and persisted', () => {
+  const store = createStore();
+
+  store.createProduct(kit);
+  store.updateProduct('KIT-01', { price: 99.9 });
+
+  expect(store.findProduct('churrasqueira portatil')).toMatchObject({ sku: 'KIT-01', price: 99.9 });
+  expect(store.findProduct('KIT CHURRASCO!')).toMatchObject({ sku: 'KIT-01' });
+  expect(store.findProduct('kit-01')).toMatchObject({ sku: 'KIT-01' });
+  expect(store.findProduct('churrasco')).toBeNull();
+  expect(new CatalogStore({ dir: store.dir }).productNames()).toEqual([
+    'AirPods', 'airpods', 'AirPods Pro', 'airpods pro', 'pro', 'AirPods Max', 'airpods max', 'max', 'Kit Churrasco', 'kit', 'Churrasqueira Portátil',
+  ]);
+  store.deleteProduct('AIRPODS');
+  expect(store.listProducts().map((product) => product.sku)).toEqual(['AIRPODS-MAX', 'AIRPODS-PRO', 'KIT-01']);
+});
+
+test('Expect invalid products and names shared between products to be rejected', () => {
+  const store = createStore();
+
+  expect(() => store.createProduct({ ...kit, currency: 'reais' })).toThrow('currency must be an ISO 4217 code');
+  expect(() => store.createProduct({ ...kit, stock: -1 })).toThrow('stock must be a non-negative integer');
+  expect(() => store.createProduct({ ...kit, taxRate: 7.9 })).toThrow('taxRate must be between 0 and 1');
+  expect(() => store.createProduct({ ...kit, sku: 'AIRPODS' })).toThrow('Product AIRPODS already exists.');
+  expect(() => store.createProduct({ ...kit, aliases: ['Pro'] })).toThrow('"Pro" already names product AIRPODS-PRO.');
+  expect(() => store.updateProduct('AIRPODS', { sku: 'OTHER' })).toThrow('sku cannot be changed.');
+  expect(() => store.getProduct('NOPE')).toThrow(expect.objectContaining({ status: 404 }));
+});
+
+test('Expect orders to take units out of stock and be listed by call', () => {
+  const store = createStore();
+  store.createProduct(kit);
+
+  const first = store.placeOrder({ product: 'kit', quantity: 2, callSid: 'CA1' });
+  store.placeOrder({ product: 'AirPods', quantity: 1, callSid: 'CA2' });
+
+  expect(first).toMatchObject({ callSid: 'CA1', sku: 'KIT-01', unitPrice: 89.9, subtotal: 179.8, tax: 17.98, total: 197.78, currency: 'BRL' });
+  expect(store.getProduct('KIT-01').stock).toBe(1);
+  expect(() => store.placeOrder({ product: 'kit', quantity: 2 })).toThrow(expect.objectContaining({ status: 409 }));
+  expect(store.listOrders({ callSid: 'CA1' })).toEqual([first]);
+  expect(store.listOrders()).toHaveLength(2);
+  expect(store.getOrder(first.orderNumber)).toEqual(first);
+});
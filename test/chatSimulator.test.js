@@ -0,0 +1,99 @@
+const { ChatSession, ChatSessions } = require('../services/chat-simulator');
+
+const profile = {
+  profileId: 'vendas',
+  version: 3,
+  system_prompt: 'Você vende AirPods.',
+  assistant_prompt: 'Olá!',
+  model: 'gpt-4o-mini',
+  tools: ['checkPrice', 'endCall'],
+};
+
+// Chat adapter that answers each completion with the next list of chunks
+function fakeLlm(...responses) {
+  return {
+    name: 'fake',
+    streamChat: jest.fn(async function* () {
+      for (const chunk of responses.shift()) yield chunk;
+    }),
+  };
+}
+
+const text = (content, finishReason = null) => ({ content, finishReason });
+const toolCall = (id, name, args) => ({ content: '', toolCalls: [{ index: 0, id, name, arguments: args }], finishReason: 'tool_calls' });
+
+test('Expect a turn to report the chunks, the tool calls with their say lines and the context growth', async () => {
+  const llm = fakeLlm(
+    [toolCall('c1', 'checkPrice', '{"model":"airpods pro"}')],
+    [text('O Pro custa 249 dólares. •'), text(' Quer um?'), text('', 'stop')]
+  );
+  const session = new ChatSession(profile, { llm });
+  const live = [];
+  session.on('event', (event) => live.push(event.type));
+
+  const turn = await session.send('Quanto custa o Pro?');
+
+  expect(session.greeting).toBe('Olá!');
+  expect(turn.events).toEqual([
+    { type: 'say', text: 'Let me check the price, one moment.' },
+    {
+      type: 'tool',
+      name: 'checkPrice',
+      say: 'Let me check the price, one moment.',
+      arguments: { model: 'airpods pro' },
+      result: '{"model":"AirPods Pro","price":249,"currency":"USD"}',
+      failed: false,
+    },
+    { type: 'chunk', index: 0, text: 'O Pro custa 249 dólares. •' },
+    { type: 'chunk', index: 1, text: ' Quer um?' },
+  ]);
+  expect(live).toEqual(['say', 'tool', 'chunk', 'chunk']);
+  // The question, the tool call, its result and the answer
+  expect(turn.context).toMatchObject({ messages: 6, added: 4 });
+  expect(session.toJSON()).toMatchObject({ profileId: 'vendas', profileVersion: 3, turns: [turn] });
+});
+
+test('Expect the conversation to stop once the agent ends the call', async () => {
+  const llm = fakeLlm([toolCall('bye', 'endCall', '{}')]);
+  const session = new ChatSession(profile, { llm });
+
+  const turn = await session.send('Tchau!');
+
+  expect(turn.events.map((event) => event.type)).toEqual(['tool', 'say', 'end']);
+  await expect(session.send('Alô?')).rejects.toMatchObject({ status: 409 });
+});
+
+test('Expect empty and overlapping messages to be refused and LLM errors to reach the caller', async () => {
+  let release;
+  const llm = {
+    streamChat: async function* () {
+      await new Promise((resolve) => (release = resolve));
+      yield text('Oi!', 'stop');
+    },
+  };
+  const session = new ChatSession(profile, { llm });
+
+  await expect(session.send(' ')).rejects.toMatchObject({ status: 400 });
+  const first = session.send('Oi');
+  await expect(session.send('Oi de novo')).rejects.toMatchObject({ status: 409 });
+  release();
+  await first;
+
+  session.gptService.llm = {
+    // An iterator whose first step fails, like a request the API refused
+    streamChat: () => ({
+      [Symbol.asyncIterator]: () => ({ next: () => Promise.reject(new Error('401 Incorrect API key')) }),
+    }),
+  };
+  await expect(session.send('Oi')).rejects.toThrow('401 Incorrect API key');
+  expect(session.busy).toBe(false);
+});
+
+test('Expect sessions to be found by id until they are deleted', () => {
+  const sessions = new ChatSessions({ llm: fakeLlm() });
+  const session = sessions.create(profile);
+
+  expect(sessions.get(session.id)).toBe(session);
+  sessions.delete(session.id);
+  expect(() => sessions.get(session.id)).toThrow('not found');
+});
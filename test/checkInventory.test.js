@@ -1,13 +1,16 @@
 const checkInventory = require('../functions/checkInventory');
+const { createToolContext } = require('../services/tool-registry');
 
-test('Expect Airpods Pro to have 10 units', () => {
-  expect(checkInventory({model: 'airpods pro'})).toBe('{"stock":10}');
+const context = createToolContext('checkInventory', { callSid: 'CA1' });
+
+test('Expect Airpods Pro to have 10 units', async () => {
+  expect(await checkInventory({model: 'airpods pro'}, context)).toBe('{"model":"AirPods Pro","stock":10}');
 });
 
-test('Expect Airpods Max to have 0 units', () => {
-  expect(checkInventory({model: 'airpods max'})).toBe('{"stock":0}');
+test('Expect Airpods Max to have 0 units', async () => {
+  expect(await checkInventory({model: 'airpods max'}, context)).toBe('{"model":"AirPods Max","stock":0}');
 });
 
-test('Expect all other values to have 100 units', () => {
-  expect(checkInventory({model: 'anything'})).toBe('{"stock":100}');
-});
\ No newline at end of file
+test('Expect Airpods to have 100 units', async () => {
+  expect(await checkInventory({model: 'AirPods'}, context)).toBe('{"model":"AirPods","stock":100}');
+});
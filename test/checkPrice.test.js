@@ -1,13 +1,16 @@
 const checkPrice = require('../functions/checkPrice');
+const { createToolContext } = require('../services/tool-registry');
 
-test('Expect Airpods Pro to cost $249', () => {
-  expect(checkPrice({model: 'airpods pro'})).toBe('{"price":249}');
+const context = createToolContext('checkPrice', { callSid: 'CA1' });
+
+test('Expect Airpods Pro to cost $249', async () => {
+  expect(await checkPrice({model: 'airpods pro'}, context)).toBe('{"model":"AirPods Pro","price":249,"currency":"USD"}');
 });
 
-test('Expect Airpods Max to cost $549', () => {
-  expect(checkPrice({model: 'airpods max'})).toBe('{"price":549}');
+test('Expect Airpods Max to cost $549', async () => {
+  expect(await checkPrice({model: 'AirPods Max'}, context)).toBe('{"model":"AirPods Max","price":549,"currency":"USD"}');
 });
 
-test('Expect all other models to cost $149', () => {
-  expect(checkPrice({model: 'anything'})).toBe('{"price":149}');
-});
\ No newline at end of file
+test('Expect products missing from the catalog to be rejected', async () => {
+  await expect(checkPrice({model: 'anything'}, context)).rejects.toThrow('Unknown product "anything". The catalog has: AirPods, AirPods Pro, AirPods Max.');
+});
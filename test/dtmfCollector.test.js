@@ -0,0 +1,60 @@
+const { DtmfCollector, dtmfSettings } = require('../services/dtmf-collector');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+function makeCollector(settings) {
+  const collector = new DtmfCollector({ interDigitTimeoutMs: 2000, terminator: '#', shortcuts: { 0: 'transferCall' }, ...settings });
+  const events = [];
+  collector.on('digits', (digits) => events.push(['digits', digits]));
+  collector.on('shortcut', (digit, tool) => events.push(['shortcut', digit, tool]));
+  return { collector, events };
+}
+
+test('Expect the terminator to send the digits typed so far', () => {
+  const { collector, events } = makeCollector();
+
+  ['1', '2', '3'].forEach((digit) => collector.press(digit));
+  expect(events).toEqual([]);
+  collector.press('#');
+  expect(events).toEqual([['digits', '123']]);
+
+  collector.press('#');
+  jest.advanceTimersByTime(5000);
+  expect(events).toEqual([['digits', '123']]);
+});
+
+test('Expect the digits to be sent when no key is pressed for the timeout', () => {
+  const { collector, events } = makeCollector();
+
+  collector.press('4');
+  jest.advanceTimersByTime(1500);
+  collector.press('2');
+  jest.advanceTimersByTime(1999);
+  expect(events).toEqual([]);
+  jest.advanceTimersByTime(1);
+  expect(events).toEqual([['digits', '42']]);
+});
+
+test('Expect a shortcut key to fire only as the first key of an entry', () => {
+  const { collector, events } = makeCollector();
+
+  collector.press('0');
+  expect(events).toEqual([['shortcut', '0', 'transferCall']]);
+
+  collector.press('1');
+  collector.press('0');
+  collector.press('#');
+  expect(events).toEqual([['shortcut', '0', 'transferCall'], ['digits', '10']]);
+});
+
+test('Expect stop to drop a half-typed entry', () => {
+  const { collector, events } = makeCollector();
+
+  collector.press('7');
+  collector.stop();
+  jest.advanceTimersByTime(5000);
+  expect(events).toEqual([]);
+  expect(dtmfSettings({ dtmf: { terminator: '*' } })).toEqual({ interDigitTimeoutMs: 3000, terminator: '*', shortcuts: {} });
+});
@@ -0,0 +1,413 @@
+const http = require('http');
+
+// Records how the tools overlap in time; the real functions still produce the results
+const mockActivity = { running: 0, maxRunning: 0, log: [] };
+function mockTrackedTool(name) {
+  const actual = jest.requireActual(`../functions/${name}`);
+  return jest.fn(async (args, context) => {
+    mockActivity.running++;
+    mockActivity.maxRunning = Math.max(mockActivity.maxRunning, mockActivity.running);
+    mockActivity.log.push(`start ${name}`);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    mockActivity.running--;
+    mockActivity.log.push(`end ${name}`);
+    return actual(args, context);
+  });
+}
+jest.mock('../functions/checkPrice', () => mockTrackedTool('checkPrice'));
+jest.mock('../functions/checkInventory', () => mockTrackedTool('checkInventory'));
+jest.mock('../functions/placeOrder', () => mockTrackedTool('placeOrder'));
+
+const { GptService } = require('../services/gpt-service');
+const { OpenAIChatProvider } = require('../services/llm-providers/openai');
+
+beforeEach(() => {
+  Object.assign(mockActivity, { running: 0, maxRunning: 0, log: [] });
+});
+
+const profile = {
+  profileId: 'vendas',
+  version: 2,
+  system_prompt: 'Você vende AirPods.',
+  assistant_prompt: 'Olá!',
+  model: 'llama3',
+  llm: { provider: 'openai', temperature: 0.2, maxTokens: 150 },
+  tools: ['checkPrice'],
+};
+
+// Chat adapter that answers each completion with the next list of chunks
+function fakeLlm(...responses) {
+  return {
+    name: 'fake',
+    streamChat: jest.fn(async function* () {
+      for (const chunk of responses.shift()) yield chunk;
+    }),
+  };
+}
+
+test('Expect completions to use the model and generation settings of the profile', async () => {
+  const llm = fakeLlm([
+    { content: 'Oi! •', finishReason: null },
+    { content: ' Tudo bem?', finishReason: null },
+    { content: '', finishReason: 'stop' },
+  ]);
+  const gptService = new GptService(profile, { llm });
+  const replies = [];
+  gptService.on('gptreply', (reply) => replies.push(reply.partialResponse));
+
+  await gptService.completion('Olá', 1);
+
+  expect(llm.streamChat).toHaveBeenCalledWith(expect.objectContaining({ model: 'llama3', temperature: 0.2, maxTokens: 150 }));
+  expect(llm.streamChat.mock.calls[0][0].tools.map((tool) => tool.function.name)).toEqual(['checkPrice']);
+  expect(replies).toEqual(['Oi! •', ' Tudo bem?']);
+});
+
+test('Expect streamed tool call deltas from the adapter to run the tool', async () => {
+  const llm = fakeLlm(
+    [
+      { content: '', toolCalls: [{ index: 0, id: 'call_1', name: 'checkPrice', arguments: '' }], finishReason: null },
+      { content: '', toolCalls: [{ index: 0, arguments: '{"model":' }], finishReason: null },
+      { content: '', toolCalls: [{ index: 0, arguments: ' "airpods pro"}' }], finishReason: null },
+      { content: '', finishReason: 'tool_calls' },
+    ],
+    [{ content: 'Custa 249 dólares.', finishReason: 'stop' }]
+  );
+  const gptService = new GptService(profile, { llm });
+  const toolCall = jest.fn();
+  gptService.on('toolcall', toolCall);
+
+  await gptService.completion('Quanto custa o Pro?', 1);
+
+  expect(toolCall).toHaveBeenCalledWith(
+    {
+      name: 'checkPrice',
+      arguments: { model: 'airpods pro' },
+      result: '{"model":"AirPods Pro","price":249,"currency":"USD"}',
+      durationMs: expect.any(Number),
+    },
+    1
+  );
+  expect(llm.streamChat).toHaveBeenCalledTimes(2);
+});
+
+test('Expect the OpenAI adapter to talk to any OpenAI-compatible base URL', async () => {
+  const events = [
+    { choices: [{ index: 0, delta: { role: 'assistant', content: 'Olá' }, finish_reason: null }] },
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'checkPrice', arguments: '{}' } }] }, finish_reason: null }] },
+    { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+    { choices: [], usage: { prompt_tokens: 21, completion_tokens: 4, total_tokens: 25 } },
+  ];
+  let request;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      request = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      events.forEach((event) => res.write(`data: ${JSON.stringify(event)}\n\n`));
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  try {
+    const llm = new OpenAIChatProvider({ baseUrl: `http://localhost:${server.address().port}/v1` });
+    const chunks = [];
+    for await (const chunk of llm.streamChat({ model: 'llama3', messages: [{ role: 'user', content: 'Oi' }], temperature: 0.5, maxTokens: 64 })) {
+      chunks.push(chunk);
+    }
+
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.body).toMatchObject({ model: 'llama3', temperature: 0.5, max_tokens: 64, stream: true, stream_options: { include_usage: true } });
+    expect(request.body).not.toHaveProperty('tools');
+    expect(chunks).toEqual([
+      { content: 'Olá', toolCalls: undefined, finishReason: null },
+      { content: '', toolCalls: [{ index: 0, id: 'call_1', name: 'checkPrice', arguments: '{}' }], finishReason: null },
+      { content: '', toolCalls: undefined, finishReason: 'tool_calls' },
+      { content: '', finishReason: null, usage: { promptTokens: 21, completionTokens: 4 } },
+    ]);
+  } finally {
+    server.close();
+  }
+});
+
+// OpenAI client whose completions stream the given chunks, one list per request
+function mockOpenAI(...responses) {
+  const requests = [];
+  const client = {
+    chat: {
+      completions: {
+        create: jest.fn(async (request) => {
+          requests.push({ ...request, messages: JSON.parse(JSON.stringify(request.messages)) });
+          const chunks = responses.shift();
+          return (async function* () {
+            for (const chunk of chunks) yield chunk;
+          })();
+        }),
+      },
+    },
+  };
+  return { llm: new OpenAIChatProvider({ client }), requests };
+}
+
+function delta(delta, finishReason = null) {
+  return { choices: [{ index: 0, delta, finish_reason: finishReason }] };
+}
+
+function toolDelta(index, fields) {
+  const { id, name, args } = fields;
+  return delta({
+    tool_calls: [{ index, ...(id && { id, type: 'function' }), function: { ...(name && { name }), ...(args && { arguments: args }) } }],
+  });
+}
+
+const salesProfile = { ...profile, tools: ['checkPrice', 'checkInventory', 'placeOrder'] };
+
+test('Expect parallel tool calls to be accumulated by index and answered with tool messages', async () => {
+  const { llm, requests } = mockOpenAI(
+    [
+      toolDelta(0, { id: 'call_price', name: 'checkPrice', args: '' }),
+      toolDelta(1, { id: 'call_stock', name: 'checkInventory', args: '' }),
+      toolDelta(0, { args: '{"model": "airpods max"' }),
+      toolDelta(1, { args: '{"model": "airpods pro"}' }),
+      toolDelta(0, { args: '}' }),
+      delta({}, 'tool_calls'),
+    ],
+    [delta({ content: 'O Max custa 549 dólares.' }), delta({}, 'stop')]
+  );
+  const gptService = new GptService(salesProfile, { llm });
+  const toolCalls = [];
+  gptService.on('toolcall', (toolCall) => toolCalls.push(toolCall));
+  const replies = [];
+  gptService.on('gptreply', (reply) => replies.push(reply));
+
+  await gptService.completion('Quanto custa o Max e tem o Pro em estoque?', 2);
+
+  expect(toolCalls).toEqual([
+    { name: 'checkPrice', arguments: { model: 'airpods max' }, result: '{"model":"AirPods Max","price":549,"currency":"USD"}', durationMs: expect.any(Number) },
+    { name: 'checkInventory', arguments: { model: 'airpods pro' }, result: '{"model":"AirPods Pro","stock":10}', durationMs: expect.any(Number) },
+  ]);
+  expect(requests[1].messages.slice(-3)).toEqual([
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [
+        { id: 'call_price', type: 'function', function: { name: 'checkPrice', arguments: '{"model": "airpods max"}' } },
+        { id: 'call_stock', type: 'function', function: { name: 'checkInventory', arguments: '{"model": "airpods pro"}' } },
+      ],
+    },
+    { role: 'tool', tool_call_id: 'call_price', content: '{"model":"AirPods Max","price":549,"currency":"USD"}' },
+    { role: 'tool', tool_call_id: 'call_stock', content: '{"model":"AirPods Pro","stock":10}' },
+  ]);
+  expect(requests[1].messages.some((message) => message.role === 'function')).toBe(false);
+  // Only the first tool's filler phrase is spoken
+  expect(replies.map((reply) => reply.partialResponse)).toEqual(['Let me check the price, one moment.', 'O Max custa 549 dólares.']);
+});
+
+test('Expect read-only tools to run concurrently and other tools on their own', async () => {
+  const { llm } = mockOpenAI(
+    [
+      toolDelta(0, { id: 'a', name: 'checkPrice', args: '{"model":"airpods"}' }),
+      toolDelta(1, { id: 'b', name: 'checkInventory', args: '{"model":"airpods"}' }),
+      toolDelta(2, { id: 'c', name: 'placeOrder', args: '{"model":"airpods","quantity":1}' }),
+      delta({}, 'tool_calls'),
+    ],
+    [delta({ content: 'Pedido feito!' }, 'stop')]
+  );
+  const gptService = new GptService(salesProfile, { llm });
+
+  await gptService.completion('Quero um AirPods.', 0);
+
+  expect(mockActivity.maxRunning).toBe(2);
+  expect(mockActivity.log.slice(-2)).toEqual(['start placeOrder', 'end placeOrder']);
+});
+
+test('Expect invalid arguments and unknown tools to be reported back to the model', async () => {
+  const { llm, requests } = mockOpenAI(
+    [
+      toolDelta(0, { id: 'a', name: 'checkPrice', args: '{"model": ' }),
+      toolDelta(1, { id: 'b', name: 'launchRocket', args: '{}' }),
+      delta({}, 'tool_calls'),
+    ],
+    [delta({ content: 'Desculpe.' }, 'stop')]
+  );
+  const gptService = new GptService(salesProfile, { llm });
+  const toolCalls = [];
+  gptService.on('toolcall', (toolCall) => toolCalls.push(toolCall));
+
+  await gptService.completion('Oi', 0);
+
+  const toolMessages = requests[1].messages.filter((message) => message.role === 'tool');
+  expect(toolMessages.map((message) => JSON.parse(message.content).error)).toEqual([
+    'Arguments are not valid JSON',
+    'Unknown tool: launchRocket',
+  ]);
+  expect(toolCalls.map((toolCall) => toolCall.failed)).toEqual([true, true]);
+});
+
+test('Expect text streamed before the tool calls to be spoken and kept in the context', async () => {
+  const { llm, requests } = mockOpenAI(
+    [
+      delta({ content: 'Vou verificar.' }),
+      toolDelta(0, { id: 'a', name: 'checkPrice', args: '{"model":"airpods"}' }),
+      delta({}, 'tool_calls'),
+    ],
+    [delta({ content: 'Custa 149 dólares.' }, 'stop')]
+  );
+  const gptService = new GptService(salesProfile, { llm });
+  const replies = [];
+  gptService.on('gptreply', (reply) => replies.push(reply));
+
+  await gptService.completion('Quanto custa?', 0);
+
+  expect(replies[0]).toEqual({ partialResponseIndex: 0, partialResponse: 'Vou verificar.' });
+  expect(replies[2]).toEqual({ partialResponseIndex: 1, partialResponse: 'Custa 149 dólares.' });
+  expect(requests[1].messages[requests[1].messages.length - 2]).toMatchObject({ role: 'assistant', content: 'Vou verificar.' });
+});
+
+test('Expect tools to get the call context from the server and the prompt not to mention the call', async () => {
+  const checkPrice = require('../functions/checkPrice');
+  checkPrice.mockClear();
+  const llm = fakeLlm(
+    [{ content: '', toolCalls: [{ index: 0, id: 'call_1', name: 'checkPrice', arguments: '{"model":"airpods"}' }], finishReason: 'tool_calls' }],
+    [{ content: 'Custa 149 dólares.', finishReason: 'stop' }]
+  );
+  const gptService = new GptService(profile, { llm });
+  gptService.setCallContext({ callSid: 'CA1', streamSid: 'MZ1', direction: 'inbound', from: '+5511999990000', to: '+5511333330000', customParameters: { profileId: 'vendas' } });
+
+  await gptService.completion('Quanto custa?', 1);
+
+  const context = checkPrice.mock.calls[0][1];
+  expect(context).toMatchObject({ callSid: 'CA1', streamSid: 'MZ1', direction: 'inbound', from: '+5511999990000', to: '+5511333330000', profile, customParameters: { profileId: 'vendas' } });
+  expect(typeof context.logger.info).toBe('function');
+  expect(Object.isFrozen(context)).toBe(true);
+  expect(JSON.stringify(llm.streamChat.mock.calls[0][0].messages)).not.toContain('CA1');
+});
+
+test('Expect arguments that break the tool schema to go back to the model without running the tool', async () => {
+  const placeOrder = require('../functions/placeOrder');
+  placeOrder.mockClear();
+  const { llm, requests } = mockOpenAI(
+    [toolDelta(0, { id: 'order', name: 'placeOrder', args: '{"quantity": 2}' }), delta({}, 'tool_calls')],
+    [delta({ content: 'Qual modelo você quer?' }, 'stop')]
+  );
+  const gptService = new GptService(salesProfile, { llm });
+
+  await gptService.completion('Quero dois.', 0);
+
+  expect(placeOrder).not.toHaveBeenCalled();
+  const toolMessage = requests[1].messages.find((message) => message.role === 'tool');
+  expect(toolMessage.tool_call_id).toBe('order');
+  expect(JSON.parse(toolMessage.content)).toMatchObject({ error: 'Invalid arguments', details: ['arguments.model is required.'] });
+});
+
+test('Expect an interruption to abort the stream and keep only the chunks the caller heard', async () => {
+  const requests = [];
+  const llm = {
+    name: 'fake',
+    streamChat: async function* ({ messages, signal }) {
+      requests.push(JSON.parse(JSON.stringify(messages)));
+      if (requests.length > 1) {
+        yield { content: 'Claro.', finishReason: 'stop' };
+        return;
+      }
+      yield { content: 'O AirPods custa 129. •', finishReason: null };
+      yield { content: ' O Pro custa 249. •', finishReason: null };
+      yield { content: ' E o Max', finishReason: null };
+      await new Promise((resolve) => signal.addEventListener('abort', resolve));
+      throw new Error('Request was aborted.');
+    },
+  };
+  const gptService = new GptService(profile, { llm });
+  const replies = [];
+  gptService.on('gptreply', (reply) => replies.push(reply));
+  const assistantReply = jest.fn();
+  gptService.on('assistantreply', assistantReply);
+
+  const completion = gptService.completion('Quanto custa?', 1);
+  while (replies.length < 2) await new Promise((resolve) => setTimeout(resolve, 0));
+  const interruption = gptService.interrupt(new Set([0]));
+  await completion;
+
+  expect(interruption).toEqual({ interactionCount: 1, heardText: 'O AirPods custa 129. •' });
+  expect(assistantReply).not.toHaveBeenCalled();
+  expect(gptService.partialResponseIndex).toBe(2);
+
+  await gptService.completion('Espera, e o Max?', 2);
+  expect(requests[1].slice(-3)).toEqual([
+    { role: 'assistant', content: 'O AirPods custa 129. •…' },
+    { role: 'system', content: expect.stringContaining('interrupted') },
+    { role: 'user', content: 'Espera, e o Max?' },
+  ]);
+});
+
+test('Expect a provider error to reject the turn and the next turn to run', async () => {
+  const llm = fakeLlm([{ content: 'Oi!', finishReason: 'stop' }]);
+  llm.streamChat.mockImplementationOnce(() => ({
+    [Symbol.asyncIterator]: () => ({ next: () => Promise.reject(new Error('429 Rate limit reached')) }),
+  }));
+  const gptService = new GptService(profile, { llm });
+  const assistantReply = jest.fn();
+  gptService.on('assistantreply', assistantReply);
+
+  await expect(gptService.completion('Olá', 1)).rejects.toThrow('429 Rate limit reached');
+  expect(assistantReply).not.toHaveBeenCalled();
+
+  await gptService.completion('Alô?', 2);
+  expect(assistantReply).toHaveBeenCalledWith('Oi!', 2);
+});
+
+test('Expect a finished reply to be trimmed only when its audio was cut', async () => {
+  const llm = fakeLlm(
+    [{ content: 'Primeiro. •', finishReason: null }, { content: ' Segundo.', finishReason: 'stop' }],
+    [{ content: 'Oi. •', finishReason: null }, { content: ' Tchau.', finishReason: 'stop' }]
+  );
+  const gptService = new GptService(profile, { llm });
+
+  await gptService.completion('Oi', 0);
+  // Everything was heard, e.g. the caller spoke over the next greeting
+  expect(gptService.interrupt(new Set([0, 1]))).toBeNull();
+  expect(gptService.userContext[gptService.userContext.length - 1]).toEqual({ role: 'assistant', content: 'Primeiro. • Segundo.' });
+
+  await gptService.completion('Tudo bem?', 1);
+  expect(gptService.interrupt(new Set([0, 1, 2]))).toEqual({ interactionCount: 1, heardText: 'Oi. •' });
+  expect(gptService.userContext[gptService.userContext.length - 1]).toEqual({ role: 'assistant', content: 'Oi. •…' });
+});
+
+test('Expect the endCall tool to say goodbye and end the turn without another completion', async () => {
+  const { llm, requests } = mockOpenAI([
+    delta({ content: 'Pedido confirmado.' }),
+    toolDelta(0, { id: 'bye', name: 'endCall', args: '{"reason":"order placed"}' }),
+    delta({}, 'tool_calls'),
+  ]);
+  const gptService = new GptService({ ...salesProfile, tools: [...salesProfile.tools, 'endCall'] }, { llm });
+  const replies = [];
+  gptService.on('gptreply', (reply) => replies.push(reply.partialResponse));
+  const endCall = jest.fn();
+  gptService.on('endcall', endCall);
+
+  await gptService.completion('Só isso, obrigado.', 3);
+
+  expect(requests).toHaveLength(1);
+  expect(replies).toEqual(['Pedido confirmado.', 'Thank you for calling, have a great day. Goodbye!']);
+  expect(endCall).toHaveBeenCalledWith(3);
+  expect(gptService.userContext[gptService.userContext.length - 1]).toMatchObject({ role: 'tool', tool_call_id: 'bye' });
+});
+
+test('Expect a keypad shortcut to force its tool on the first request only', async () => {
+  const { llm, requests } = mockOpenAI(
+    [toolDelta(0, { id: 'stock', name: 'checkInventory', args: '{"model":"airpods pro"}' }), delta({}, 'tool_calls')],
+    [delta({ content: 'Temos 10 em estoque.' }), delta({}, 'stop')]
+  );
+  const gptService = new GptService(salesProfile, { llm });
+
+  await gptService.completion('Keypad shortcut: the caller pressed 2.', 1, 'user', 'keypad', { toolChoice: 'checkInventory' });
+
+  expect(requests[0].tool_choice).toEqual({ type: 'function', function: { name: 'checkInventory' } });
+  expect(requests[0].messages[requests[0].messages.length - 1]).toEqual({
+    role: 'user',
+    name: 'keypad',
+    content: 'Keypad shortcut: the caller pressed 2.',
+  });
+  expect(requests[1].tool_choice).toBeUndefined();
+});
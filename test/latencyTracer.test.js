@@ -0,0 +1,68 @@
+const { LatencyTracer, stageDurations } = require('../services/latency-tracer');
+
+function createTracer() {
+  let clock = 10000;
+  const traces = [];
+  const tracer = new LatencyTracer({ now: () => clock });
+  tracer.on('trace', (trace) => traces.push(trace));
+  return { tracer, traces, at: (time) => (clock = time) };
+}
+
+test('Expect a turn to be broken down from the end of speech to its first audio playing', () => {
+  const { tracer, traces, at } = createTracer();
+
+  tracer.start(2, { speechEndedAt: 9600 });
+  at(10700);
+  tracer.mark(2, 'firstToken');
+  at(10900);
+  tracer.mark(2, 'firstChunk');
+  tracer.mark(2, 'firstToken');
+  at(11150);
+  tracer.mark(2, 'ttsAudio');
+  at(11160);
+  tracer.audioSent(2, 'mark-1');
+  tracer.audioSent(2, 'mark-2');
+  tracer.addTool(2, { name: 'checkPrice', durationMs: 42 });
+  tracer.addUsage(2, { promptTokens: 300, completionTokens: 12 });
+  tracer.addUsage(2, { promptTokens: 320, completionTokens: 20 });
+  at(11900);
+  tracer.markPlayed('mark-2');
+  expect(traces).toHaveLength(0);
+  tracer.markPlayed('mark-1');
+
+  expect(traces).toEqual([
+    {
+      interactionCount: 2,
+      stages: { stt: 400, llm: 700, chunk: 200, tts: 250, send: 10, playback: 740, total: 1560 },
+      timeToFirstAudioMs: 1160,
+      tools: [{ name: 'checkPrice', durationMs: 42 }],
+      tokens: { prompt: 620, completion: 32 },
+      interrupted: false,
+    },
+  ]);
+});
+
+test('Expect unfinished turns to be reported when the next one starts or the caller interrupts', () => {
+  const { tracer, traces, at } = createTracer();
+
+  tracer.start(0, { source: 'keypad' });
+  at(10300);
+  tracer.mark(0, 'firstToken');
+  tracer.start(1);
+  // Late events of the previous turn are ignored
+  tracer.mark(0, 'firstChunk');
+  at(10500);
+  tracer.mark(1, 'firstToken');
+  tracer.finish({ interrupted: true });
+  tracer.finish();
+
+  expect(traces).toEqual([
+    { interactionCount: 0, source: 'keypad', stages: { llm: 300 }, timeToFirstAudioMs: null, tools: [], tokens: null, interrupted: false },
+    { interactionCount: 1, stages: { llm: 200 }, timeToFirstAudioMs: null, tools: [], tokens: null, interrupted: true },
+  ]);
+});
+
+test('Expect stages whose start was skipped to be left out', () => {
+  // A tool phrase can reach TTS before any token of the reply
+  expect(stageDurations({ transcribed: 0, firstChunk: 400, ttsAudio: 450, audioSent: 460 })).toEqual({ tts: 50, send: 10, total: 460 });
+});
@@ -0,0 +1,48 @@
+const { MetricsRegistry } = require('../services/metrics');
+
+test('Expect counters and gauges in the Prometheus text format, unlabeled ones from zero', () => {
+  const registry = new MetricsRegistry();
+  const calls = registry.gauge('kaller_active_calls', 'Calls with an open media stream.');
+  const errors = registry.counter('kaller_tts_errors_total', 'Failed TTS requests.', ['provider']);
+  registry.counter('kaller_interruptions_total', 'Barge-ins.');
+
+  calls.inc();
+  calls.inc();
+  calls.dec();
+  errors.inc({ provider: 'elevenlabs' });
+  errors.inc({ provider: 'elevenlabs' }, 2);
+  errors.inc({ provider: 'say "hi"\n' });
+
+  expect(registry.render()).toBe(
+    [
+      '# HELP kaller_active_calls Calls with an open media stream.',
+      '# TYPE kaller_active_calls gauge',
+      'kaller_active_calls 1',
+      '# HELP kaller_tts_errors_total Failed TTS requests.',
+      '# TYPE kaller_tts_errors_total counter',
+      'kaller_tts_errors_total{provider="elevenlabs"} 3',
+      'kaller_tts_errors_total{provider="say \\"hi\\"\\n"} 1',
+      '# HELP kaller_interruptions_total Barge-ins.',
+      '# TYPE kaller_interruptions_total counter',
+      'kaller_interruptions_total 0',
+      '',
+    ].join('\n')
+  );
+});
+
+test('Expect histograms to report cumulative buckets, the sum and the count', () => {
+  const registry = new MetricsRegistry();
+  const latency = registry.histogram('kaller_turn_latency_seconds', 'Turn stages.', ['stage'], [0.5, 1]);
+
+  latency.observe({ stage: 'llm' }, 0.25);
+  latency.observe({ stage: 'llm' }, 0.75);
+  latency.observe({ stage: 'llm' }, 4);
+
+  expect(registry.render().split('\n').slice(2, -1)).toEqual([
+    'kaller_turn_latency_seconds_bucket{stage="llm",le="0.5"} 1',
+    'kaller_turn_latency_seconds_bucket{stage="llm",le="1"} 2',
+    'kaller_turn_latency_seconds_bucket{stage="llm",le="+Inf"} 3',
+    'kaller_turn_latency_seconds_sum{stage="llm"} 5',
+    'kaller_turn_latency_seconds_count{stage="llm"} 3',
+  ]);
+});
@@ -1,8 +1,26 @@
 const placeOrder = require('../functions/placeOrder');
+const { catalogStore } = require('../services/catalog-store');
+const { createToolContext } = require('../services/tool-registry');
 
-test('Expect placeOrder to return an object with a price and order number', () => {
-  const order = JSON.parse(placeOrder({model: 'airpods pro', quantity: 10}));
+const context = createToolContext('placeOrder', { callSid: 'CA1' });
 
-  expect(order).toHaveProperty('orderNumber');
-  expect(order).toHaveProperty('price');
-});
\ No newline at end of file
+test('Expect placeOrder to return an object with a price and order number', async () => {
+  const order = JSON.parse(await placeOrder({model: 'airpods pro', quantity: 2}, context));
+
+  expect(order).toEqual({ orderNumber: expect.any(Number), model: 'AirPods Pro', quantity: 2, price: 537.34, currency: 'USD' });
+  expect(catalogStore.getOrder(order.orderNumber)).toMatchObject({ callSid: 'CA1', sku: 'AIRPODS-PRO', subtotal: 498, tax: 39.34 });
+  expect(catalogStore.getProduct('AIRPODS-PRO').stock).toBe(8);
+});
+
+test('Expect orders beyond the stock to be refused', async () => {
+  await expect(placeOrder({model: 'airpods max', quantity: 1}, context)).rejects.toThrow('Only 0 AirPods Max in stock.');
+});
+
+test('Expect simulated conversations to price the order without saving it', async () => {
+  const simulated = createToolContext('placeOrder', { callSid: 'SIM-1', direction: 'simulated' });
+  const order = JSON.parse(await placeOrder({model: 'airpods pro', quantity: 1}, simulated));
+
+  expect(order).toMatchObject({ model: 'AirPods Pro', quantity: 1, price: 268.67 });
+  expect(catalogStore.listOrders({ callSid: 'SIM-1' })).toEqual([]);
+  expect(catalogStore.getProduct('AIRPODS-PRO').stock).toBe(8);
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProfileStore, diffLines } = require('../services/profile-store');
+
+function createStore() {
+  return new ProfileStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-')) });
+}
+
+const config = {
+  name: 'Vendas AirPods',
+  system_prompt: 'Você vende AirPods.',
+  assistant_prompt: 'Olá!',
+};
+
+test('Expect a new profile to get an id from its name and start at version 1', () => {
+  const profile = createStore().createProfile(config);
+
+  expect(profile).toMatchObject({ profileId: 'vendas-airpods', version: 1, model: 'gpt-4-1106-preview' });
+  expect(profile.tools).toContain('checkPrice');
+});
+
+test('Expect every save to create a new version and keep the old ones', () => {
+  const store = createStore();
+  store.createProfile(config);
+  store.saveVersion('vendas-airpods', { assistant_prompt: 'Oi, tudo bem?' });
+
+  expect(store.getVersion('vendas-airpods').assistant_prompt).toBe('Oi, tudo bem?');
+  expect(store.getVersion('vendas-airpods', 1).assistant_prompt).toBe('Olá!');
+});
+
+test('Expect saving identical settings not to create a version', () => {
+  const store = createStore();
+  store.createProfile(config);
+
+  expect(store.saveVersion('vendas-airpods', config).version).toBe(1);
+});
+
+test('Expect a save based on an outdated version to be refused', () => {
+  const store = createStore();
+  store.createProfile(config);
+  store.saveVersion('vendas-airpods', { assistant_prompt: 'Oi!', baseVersion: 1 });
+
+  expect(() => store.saveVersion('vendas-airpods', { assistant_prompt: 'Olá de novo!', baseVersion: 1 })).toThrow(
+    expect.objectContaining({ status: 409 })
+  );
+  expect(store.saveVersion('vendas-airpods', { assistant_prompt: 'Olá de novo!', baseVersion: 2 }).version).toBe(3);
+});
+
+test('Expect rollback to restore an old version as a new one', () => {
+  const store = createStore();
+  store.createProfile(config);
+  store.saveVersion('vendas-airpods', { system_prompt: 'Você vende fones.' });
+  const restored = store.rollback('vendas-airpods', 1);
+
+  expect(restored).toMatchObject({ version: 3, rolledBackFrom: 1, system_prompt: 'Você vende AirPods.' });
+});
+
+test('Expect diffs to report only the fields that changed', () => {
+  const store = createStore();
+  store.createProfile(config);
+  store.saveVersion('vendas-airpods', { system_prompt: 'Você vende AirPods.\nSeja breve.', tools: ['checkPrice'] });
+  const { changes } = store.diffVersions('vendas-airpods', 1, 2);
+
+  expect(Object.keys(changes)).toEqual(['system_prompt', 'tools']);
+  expect(changes.system_prompt).toEqual([{ op: ' ', line: 'Você vende AirPods.' }, { op: '+', line: 'Seja breve.' }]);
+});
+
+test('Expect invalid settings and unknown profiles to be rejected', () => {
+  const store = createStore();
+
+  expect(() => store.createProfile({ ...config, tools: ['launchRocket'] })).toThrow('Unknown tools: launchRocket.');
+  expect(() => store.getVersion('missing')).toThrow('Profile missing not found.');
+});
+
+test('Expect explicit ids that are not slugs to be rejected', () => {
+  const store = createStore();
+
+  ['sales/eu', '../x', 'Vendas', 'vendas sp'].forEach((id) => {
+    expect(() => store.createProfile({ ...config, id })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+  expect(store.createProfile({ ...config, id: 'vendas-sp' }).profileId).toBe('vendas-sp');
+  expect(store.getVersion('vendas-sp').name).toBe('Vendas AirPods');
+});
+
+test('Expect LLM settings to be validated', () => {
+  const store = createStore();
+
+  expect(store.createProfile({ ...config, llm: { provider: 'azure', temperature: 0.3, maxTokens: 200 } }).llm).toEqual({
+    provider: 'azure',
+    temperature: 0.3,
+    maxTokens: 200,
+  });
+  expect(() => store.createProfile({ ...config, name: 'B', llm: { provider: 'bard' } })).toThrow('Unknown LLM provider: bard.');
+  expect(() => store.createProfile({ ...config, name: 'C', llm: { temperature: 3 } })).toThrow('between 0 and 2');
+  expect(() => store.createProfile({ ...config, name: 'D', llm: { maxTokens: 1.5 } })).toThrow('positive integer');
+  expect(() => store.createProfile({ ...config, name: 'E', llm: { baseUrl: 'localhost:11434' } })).toThrow('http(s) URL');
+});
+
+test('Expect silence settings to be validated', () => {
+  const store = createStore();
+
+  expect(store.createProfile({ ...config, silence: { timeoutMs: 6000, repromptText: 'Alô?' } }).silence).toEqual({
+    timeoutMs: 6000,
+    repromptText: 'Alô?',
+  });
+  expect(() => store.createProfile({ ...config, name: 'B', silence: { timeoutMs: 200 } })).toThrow('at least 1000');
+  expect(() => store.createProfile({ ...config, name: 'C', silence: { maxReprompts: -1 } })).toThrow('non-negative integer');
+  expect(() => store.createProfile({ ...config, name: 'D', silence: { closingText: ' ' } })).toThrow('silence.closingText');
+});
+
+test('Expect voicemail settings to be validated', () => {
+  const store = createStore();
+
+  expect(store.createProfile({ ...config, voicemail: { action: 'hangup' } }).voicemail).toEqual({ action: 'hangup' });
+  expect(() => store.createProfile({ ...config, name: 'B', voicemail: { action: 'transfer' } })).toThrow('voicemail.action');
+  expect(() => store.createProfile({ ...config, name: 'C', voicemail: { message: '' } })).toThrow('voicemail.message');
+});
+
+test('Expect the recording disclaimer to be validated', () => {
+  const store = createStore();
+
+  expect(store.createProfile({ ...config, recording: { disclaimer: 'Esta ligação é gravada.' } }).recording).toEqual({
+    disclaimer: 'Esta ligação é gravada.',
+  });
+  expect(() => store.createProfile({ ...config, name: 'B', recording: { disclaimer: ' ' } })).toThrow('recording.disclaimer');
+});
+
+test('Expect keypad settings to be validated', () => {
+  const store = createStore();
+  const withTools = { ...config, tools: ['transferCall', 'endCall'] };
+
+  expect(store.createProfile({ ...withTools, dtmf: { terminator: '*', shortcuts: { 0: 'transferCall' } } }).dtmf).toEqual({
+    terminator: '*',
+    shortcuts: { 0: 'transferCall' },
+  });
+  expect(() => store.createProfile({ ...withTools, name: 'B', dtmf: { interDigitTimeoutMs: 100 } })).toThrow('at least 500');
+  expect(() => store.createProfile({ ...withTools, name: 'C', dtmf: { terminator: '0' } })).toThrow('dtmf.terminator');
+  expect(() => store.createProfile({ ...withTools, name: 'D', dtmf: { shortcuts: { '#': 'endCall' } } })).toThrow('not a usable key');
+  expect(() => store.createProfile({ ...withTools, name: 'E', dtmf: { shortcuts: { 1: 'placeOrder' } } })).toThrow('placeOrder');
+});
+
+test('Expect transfer targets to be validated', () => {
+  const store = createStore();
+  const hours = { timezone: 'America/Sao_Paulo', days: ['mon', 'fri'], open: '09:00', close: '18:00' };
+  const transfer = { mode: 'warm', targets: { sales: { number: '+5511999990000', label: 'Vendas', hours, fallback: 'voicemail' } } };
+
+  expect(store.createProfile({ ...config, transfer }).transfer).toEqual(transfer);
+  expect(() => store.createProfile({ ...config, name: 'B', transfer: { mode: 'cold' } })).toThrow('transfer.mode');
+  expect(() => store.createProfile({ ...config, name: 'C', transfer: { targets: { Vendas: { number: '+5511999990000' } } } })).toThrow('department names');
+  expect(() => store.createProfile({ ...config, name: 'D', transfer: { targets: { sales: { number: '11 99999-0000' } } } })).toThrow('E.164');
+  expect(() => store.createProfile({ ...config, name: 'E', transfer: { targets: { sales: { number: '+5511999990000', fallback: 'email' } } } })).toThrow('fallback');
+  expect(() =>
+    store.createProfile({ ...config, name: 'F', transfer: { targets: { sales: { number: '+5511999990000', hours: { ...hours, timezone: 'Mars/Olympus' } } } } })
+  ).toThrow('IANA time zone');
+  expect(() =>
+    store.createProfile({ ...config, name: 'G', transfer: { targets: { sales: { number: '+5511999990000', hours: { ...hours, open: '18:00', close: '09:00' } } } } })
+  ).toThrow('open before close');
+});
+
+test('Expect analysis fields to be a valid object schema', () => {
+  const store = createStore();
+  const fields = { type: 'object', properties: { budget: { type: 'number' } } };
+
+  expect(store.createProfile({ ...config, analysis: { fields } }).analysis).toEqual({ fields });
+  expect(() => store.createProfile({ ...config, name: 'B', analysis: { fields: { type: 'string' } } })).toThrow('type object');
+  expect(() => store.createProfile({ ...config, name: 'C', analysis: { fields: { ...fields, required: ['model'] } } })).toThrow(
+    'requires "model"'
+  );
+});
+
+test('Expect startup validation to catch a bad LLM environment variable', () => {
+  const store = createStore();
+  store.createProfile(config);
+
+  process.env.LLM_TEMPERATURE = 'warm';
+  try {
+    expect(() => store.validateAll()).toThrow('Profile vendas-airpods: llm.temperature must be between 0 and 2.');
+  } finally {
+    delete process.env.LLM_TEMPERATURE;
+  }
+  expect(() => store.validateAll()).not.toThrow();
+});
+
+test('Expect line diffs to mark removed and added lines', () => {
+  expect(diffLines('a\nb', 'a\nc')).toEqual([{ op: ' ', line: 'a' }, { op: '-', line: 'b' }, { op: '+', line: 'c' }]);
+});
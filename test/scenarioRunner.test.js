@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProfileStore } = require('../services/profile-store');
+const { registerProvider } = require('../services/llm-providers');
+const { ScenarioRunner, ScriptedLlm, loadScenario, findScenarioFiles, recordingPath } = require('../services/scenario-runner');
+
+const profile = { system_prompt: 'Você vende AirPods.', assistant_prompt: 'Olá!', model: 'gpt-4o-mini', tools: ['checkPrice', 'placeOrder', 'endCall'] };
+
+const statuses = (checks) => checks.map((check) => `${check.status} ${check.check}`);
+
+test('Expect the bundled scenarios to pass offline', async () => {
+  const profileStore = new ProfileStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-')) });
+  profileStore.ensureDefaultProfile(path.join(__dirname, '..', 'prompt.json'));
+  const runner = new ScenarioRunner({ profileStore });
+
+  const files = findScenarioFiles([path.join(__dirname, '..', 'scenarios')]);
+  expect(files.length).toBeGreaterThan(0);
+  for (const file of files) {
+    const result = await runner.run(loadScenario(file));
+    expect({ file, error: result.error, passed: result.passed }).toEqual({ file, error: undefined, passed: true });
+  }
+});
+
+test('Expect tool, reply and end-of-call checks to report what the agent actually did', async () => {
+  const result = await new ScenarioRunner().run({
+    name: 'wrong model',
+    file: 'inline.yaml',
+    profile,
+    turns: [
+      {
+        caller: 'Quanto custa o Max?',
+        expect: {
+          tools: { called: [{ name: 'checkPrice', arguments: { model: 'AirPods Max' } }], notCalled: ['placeOrder'] },
+          reply: { matches: '549', notMatches: ['dólares'] },
+        },
+      },
+      { caller: 'Tchau', expect: { endsCall: true } },
+      { caller: 'Ainda está aí?' },
+    ],
+    mock: {
+      responses: [
+        { toolCalls: [{ name: 'checkPrice', arguments: { model: 'airpods pro' } }] },
+        { content: 'Custa 249 dólares. • Quer um?' },
+        { toolCalls: [{ name: 'endCall', arguments: {} }] },
+      ],
+    },
+  });
+
+  expect(result.passed).toBe(false);
+  expect(result.turns[0].reply).toBe('Let me check the price, one moment. Custa 249 dólares. Quer um?');
+  expect(statuses(result.turns[0].checks)).toEqual([
+    'failed calls checkPrice({"model":"AirPods Max"})',
+    'passed does not call placeOrder',
+    'failed reply matches /549/',
+    'failed reply does not match /dólares/',
+  ]);
+  expect(result.turns[0].checks[0].message).toBe('Tool calls made: checkPrice({"model":"airpods pro"}).');
+  expect(statuses(result.turns[1].checks)).toEqual(['passed ends the call']);
+  // Nobody hears the last line once the agent hung up
+  expect(result.turns[2]).toEqual({ caller: 'Ainda está aí?', skipped: true });
+  expect(result.checks).toMatchObject([{ check: 'plays every turn', status: 'failed' }]);
+});
+
+test('Expect turn limits and judged checks, skipped when no judgement was recorded', async () => {
+  const scenario = {
+    name: 'slow close',
+    file: 'inline.yaml',
+    profile,
+    turns: [
+      { caller: 'Oi', expect: { reply: { judge: 'The agent greets the caller.' } } },
+      { caller: 'Quero um AirPods', expect: { reply: { judge: 'The agent asks which model.' } } },
+      { caller: 'Tchau' },
+    ],
+    expect: { maxTurns: 2, judge: 'The agent is polite.' },
+    mock: {
+      responses: [{ content: 'Oi! • Tudo bem?' }, { content: 'Ótimo! • Qual modelo?' }],
+      judgements: [{ pass: false, reason: 'No greeting.' }],
+    },
+  };
+
+  const result = await new ScenarioRunner().run(scenario);
+
+  expect(result.turns[2]).toEqual({ caller: 'Tchau', skipped: true });
+  expect(result.turns[0].checks).toEqual([{ check: 'judge: The agent greets the caller.', status: 'failed', message: 'No greeting.' }]);
+  expect(result.turns[1].checks).toMatchObject([{ status: 'skipped', message: 'No recorded judgement.' }]);
+  expect(statuses(result.checks)).toEqual(['failed ends the call within 2 turns', 'skipped judge: The agent is polite.']);
+  expect(result.passed).toBe(false);
+});
+
+test('Expect stubbed tool results, and an error once the replayed responses run out', async () => {
+  const result = await new ScenarioRunner().run({
+    name: 'order',
+    file: 'inline.yaml',
+    profile,
+    toolResults: { placeOrder: { orderNumber: 1234567, price: 268 } },
+    turns: [{ caller: 'Quero um Pro', expect: { tools: { called: ['placeOrder'] } } }, { caller: 'Obrigado' }],
+    mock: { responses: [{ toolCalls: [{ name: 'placeOrder', arguments: { model: 'airpods pro', quantity: 1 } }] }, { content: 'Pedido 1234567.' }] },
+  });
+
+  expect(result.turns[0].reply).toContain('Pedido 1234567.');
+  expect(result.turns[0].tools).toEqual([
+    { name: 'placeOrder', arguments: { model: 'airpods pro', quantity: 1 }, result: '{"orderNumber":1234567,"price":268}', failed: false },
+  ]);
+  expect(result.error).toContain('No recorded LLM response left');
+  expect(result.passed).toBe(false);
+});
+
+test('Expect a live run to record responses and judgements that replay offline', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+  const file = path.join(dir, 'greeting.yaml');
+  fs.writeFileSync(
+    file,
+    [
+      'profile:',
+      '  system_prompt: Você vende AirPods.',
+      '  model: gpt-4o-mini',
+      '  llm: { provider: scenario-test }',
+      'turns:',
+      '  - caller: Oi',
+      '    expect:',
+      '      reply: { matches: Olá, judge: The agent greets the caller. }',
+    ].join('\n')
+  );
+  const live = new ScriptedLlm([
+    { content: 'Olá! • Como posso ajudar?' },
+    { toolCalls: [{ name: 'verdict', arguments: { pass: true, reason: 'It says hello.' } }] },
+  ]);
+  registerProvider('scenario-test', function ScenarioTestProvider() {
+    return live;
+  });
+
+  const recorded = await new ScenarioRunner({ live: true, record: true }).run(loadScenario(file));
+  const replayed = await new ScenarioRunner().run(loadScenario(file));
+
+  expect(recorded).toMatchObject({ name: 'greeting', mode: 'live', passed: true });
+  expect(JSON.parse(fs.readFileSync(recordingPath({ file }), 'utf8'))).toMatchObject({
+    responses: [{ content: 'Olá! • Como posso ajudar?' }],
+    judgements: [{ pass: true, reason: 'It says hello.' }],
+  });
+  expect(findScenarioFiles([dir])).toEqual([file]);
+  expect(replayed).toMatchObject({ mode: 'offline', passed: true, turns: [{ reply: 'Olá! Como posso ajudar?' }] });
+});
+
+test('Expect invalid scenario files to be rejected with the reason', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+  fs.writeFileSync(path.join(dir, 'empty.json'), '{"turns": []}');
+  fs.writeFileSync(path.join(dir, 'silent.yaml'), 'turns:\n  - expect: {}\n');
+
+  expect(() => loadScenario(path.join(dir, 'empty.json'))).toThrow('turns must list the caller turns');
+  expect(() => loadScenario(path.join(dir, 'silent.yaml'))).toThrow('turns[0].caller must be');
+});
@@ -0,0 +1,7 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Services that default to the singleton stores (catalog, calls, ...) write to a
+// scratch data directory instead of ./data
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'kaller-test-'));
@@ -0,0 +1,110 @@
+const { SilenceMonitor, silenceSettings } = require('../services/silence-monitor');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+function makeMonitor(settings) {
+  const monitor = new SilenceMonitor({ timeoutMs: 5000, maxReprompts: 2, repromptText: 'Alô?', closingText: 'Tchau!', ...settings });
+  const events = [];
+  monitor.on('reprompt', (text, attempt) => events.push(['reprompt', text, attempt]));
+  monitor.on('closing', (text) => events.push(['closing', text]));
+  monitor.on('hangup', () => events.push(['hangup']));
+  return { monitor, events };
+}
+
+test('Expect the timer to run only after the agent audio played', () => {
+  const { monitor, events } = makeMonitor();
+
+  monitor.agentSpeaking();
+  jest.advanceTimersByTime(10000);
+  expect(events).toEqual([]);
+
+  monitor.agentIdle();
+  jest.advanceTimersByTime(4999);
+  expect(events).toEqual([]);
+  jest.advanceTimersByTime(1);
+  expect(events).toEqual([['reprompt', 'Alô?', 1]]);
+});
+
+test('Expect caller speech to stop the timer and reset the reprompt count', () => {
+  const { monitor, events } = makeMonitor();
+
+  monitor.agentIdle();
+  jest.advanceTimersByTime(5000);
+  monitor.agentIdle();
+  jest.advanceTimersByTime(3000);
+  monitor.callerActivity();
+  jest.advanceTimersByTime(10000);
+  expect(events).toEqual([['reprompt', 'Alô?', 1]]);
+
+  monitor.agentIdle();
+  jest.advanceTimersByTime(5000);
+  expect(events[1]).toEqual(['reprompt', 'Alô?', 1]);
+});
+
+test('Expect the call to close after the reprompts go unanswered', () => {
+  const { monitor, events } = makeMonitor();
+
+  for (let i = 0; i < 3; i++) {
+    monitor.agentIdle();
+    jest.advanceTimersByTime(5000);
+  }
+  expect(events).toEqual([['reprompt', 'Alô?', 1], ['reprompt', 'Alô?', 2], ['closing', 'Tchau!']]);
+
+  // Talking over the closing line does not save the call
+  monitor.callerActivity();
+  monitor.agentIdle();
+  expect(events[3]).toEqual(['hangup']);
+  jest.advanceTimersByTime(20000);
+  expect(events).toHaveLength(4);
+});
+
+test('Expect a hangup even when the closing line never finishes playing', () => {
+  const { monitor, events } = makeMonitor({ maxReprompts: 0 });
+
+  monitor.agentIdle();
+  jest.advanceTimersByTime(5000);
+  expect(events).toEqual([['closing', 'Tchau!']]);
+  jest.advanceTimersByTime(5000);
+  expect(events).toEqual([['closing', 'Tchau!'], ['hangup']]);
+});
+
+test('Expect a stopped monitor to stay quiet', () => {
+  const { monitor, events } = makeMonitor();
+
+  monitor.agentIdle();
+  monitor.stop();
+  monitor.agentIdle();
+  jest.advanceTimersByTime(60000);
+  expect(events).toEqual([]);
+});
+
+test('Expect profile settings to override the environment defaults', () => {
+  process.env.SILENCE_TIMEOUT_MS = '12000';
+  try {
+    expect(silenceSettings({ silence: { maxReprompts: 1 } })).toMatchObject({
+      timeoutMs: 12000,
+      maxReprompts: 1,
+      repromptText: 'Você ainda está aí?',
+    });
+    expect(silenceSettings({ silence: { timeoutMs: 3000 } }).timeoutMs).toBe(3000);
+  } finally {
+    delete process.env.SILENCE_TIMEOUT_MS;
+  }
+});
+
+test('Expect no reprompts while the monitor is held', () => {
+  const { monitor, events } = makeMonitor();
+
+  monitor.agentIdle();
+  monitor.hold();
+  monitor.agentIdle();
+  jest.advanceTimersByTime(30000);
+  expect(events).toEqual([]);
+
+  monitor.release();
+  monitor.agentIdle();
+  jest.advanceTimersByTime(5000);
+  expect(events).toEqual([['reprompt', 'Alô?', 1]]);
+});
@@ -0,0 +1,93 @@
+const { StreamService } = require('../services/stream-service');
+
+function makeStream() {
+  const sent = [];
+  const streamService = new StreamService({ send: (data) => sent.push(JSON.parse(data)) });
+  streamService.setStreamSid('MZ123');
+  const payloads = () => sent.filter((msg) => msg.event === 'media').map((msg) => msg.media.payload);
+  return { streamService, sent, payloads };
+}
+
+test('Expect pieces of the playing chunk to be sent as soon as they arrive', () => {
+  const { streamService, sent, payloads } = makeStream();
+
+  streamService.bufferChunk(0, 'a1');
+  streamService.bufferChunk(0, 'a2');
+
+  expect(payloads()).toEqual(['a1', 'a2']);
+  expect(sent.filter((msg) => msg.event === 'mark')).toHaveLength(2);
+});
+
+test('Expect later chunks to wait until every earlier chunk has ended', () => {
+  const { streamService, payloads } = makeStream();
+
+  streamService.bufferChunk(1, 'b1');
+  streamService.bufferChunk(0, 'a1');
+  streamService.bufferChunk(2, 'c1');
+  streamService.endChunk(2);
+  streamService.bufferChunk(1, 'b2');
+  expect(payloads()).toEqual(['a1']);
+
+  streamService.endChunk(0);
+  expect(payloads()).toEqual(['a1', 'b1', 'b2']);
+
+  // Chunk 1 is now playing, so its pieces go straight out
+  streamService.bufferChunk(1, 'b3');
+  streamService.endChunk(1);
+  expect(payloads()).toEqual(['a1', 'b1', 'b2', 'b3', 'c1']);
+  expect(streamService.expectedAudioIndex).toBe(3);
+});
+
+test('Expect a chunk without audio to be skipped', () => {
+  const { streamService, payloads } = makeStream();
+
+  streamService.buffer(1, 'b');
+  streamService.buffer(0, null);
+
+  expect(payloads()).toEqual(['b']);
+  expect(streamService.expectedAudioIndex).toBe(2);
+});
+
+test('Expect the time to first audio to be reported once per turn', () => {
+  const { streamService, sent } = makeStream();
+  const firstAudio = jest.fn();
+  streamService.on('firstaudio', firstAudio);
+  jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(1450);
+
+  streamService.startTurn(3);
+  streamService.bufferChunk(0, 'a1');
+  streamService.bufferChunk(0, 'a2');
+
+  expect(firstAudio).toHaveBeenCalledTimes(1);
+  // Twilio echoes this mark once the first audio of the turn played
+  const [firstMark] = sent.filter((msg) => msg.event === 'mark');
+  expect(firstAudio).toHaveBeenCalledWith({ interactionCount: 3, timeToFirstAudioMs: 450, markLabel: firstMark.mark.name });
+  jest.restoreAllMocks();
+});
+
+test('Expect only chunks whose marks all came back to count as heard', () => {
+  const { streamService, sent } = makeStream();
+  const marks = () => sent.filter((msg) => msg.event === 'mark').map((msg) => msg.mark.name);
+
+  streamService.buffer(0, 'a1');
+  streamService.bufferChunk(1, 'b1');
+  streamService.bufferChunk(1, 'b2');
+  streamService.endChunk(1);
+  streamService.bufferChunk(2, 'c1');
+  const [a1, b1] = marks();
+  streamService.markPlayed(a1);
+  streamService.markPlayed(b1);
+
+  expect(streamService.hasPendingAudio()).toBe(true);
+  expect([...streamService.heardIndexes()]).toEqual([0]);
+
+  streamService.reset(3);
+  // Twilio returns the marks of cleared audio too; they must not count
+  marks().slice(2).forEach((label) => streamService.markPlayed(label));
+  expect(streamService.hasPendingAudio()).toBe(false);
+  expect(streamService.heardIndexes().size).toBe(0);
+
+  streamService.bufferChunk(2, 'late');
+  streamService.bufferChunk(3, 'd1');
+  expect(sent.filter((msg) => msg.event === 'media').map((msg) => msg.media.payload)).toEqual(['a1', 'b1', 'b2', 'c1', 'd1']);
+});
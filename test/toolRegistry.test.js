@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateSchema, checkSchema } = require('../services/schema-validator');
+const { validateToolArguments, checkToolRegistry, describeTool, findTool } = require('../services/tool-registry');
+
+test('Expect placeOrder arguments to be checked for required fields, enums and integers', () => {
+  expect(validateToolArguments('placeOrder', { model: 'airpods pro', quantity: 2 })).toEqual([]);
+  expect(validateToolArguments('placeOrder', { quantity: 2 })).toEqual(['arguments.model is required.']);
+  expect(validateToolArguments('placeOrder', { model: 'airpods mini', quantity: 1.5 })).toEqual([
+    'arguments.model must be one of "AirPods", "airpods", "AirPods Pro", "airpods pro", "pro", "AirPods Max", "airpods max", "max", got "airpods mini".',
+    'arguments.quantity must be an integer, got 1.5.',
+  ]);
+  expect(validateToolArguments('launchRocket', {})).toEqual(['Unknown tool: launchRocket.']);
+});
+
+test('Expect the product enums to come from the catalog', () => {
+  const tool = findTool('checkPrice');
+  const described = describeTool(tool, { productNames: () => ['Kit Churrasco', 'kit'] });
+
+  expect(described.function.parameters.properties.model.enum).toEqual(['Kit Churrasco', 'kit']);
+  expect(tool.function.parameters.properties.model.enum).toBeUndefined();
+  // An empty catalog leaves the parameter open; the tool reports the unknown product
+  expect(describeTool(tool, { productNames: () => [] })).toBe(tool);
+});
+
+test('Expect nested schemas, arrays and bounds to be validated', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: { type: 'object', properties: { sku: { type: 'string' } }, required: ['sku'] } },
+      rating: { type: 'number', minimum: 1, maximum: 5 },
+    },
+  };
+
+  expect(validateSchema(schema, { items: [{ sku: 'A1' }], rating: 4.5 })).toEqual([]);
+  expect(validateSchema(schema, { items: [{}, { sku: 3 }], rating: 9 })).toEqual([
+    'arguments.items[0].sku is required.',
+    'arguments.items[1].sku must be a string, got 3.',
+    'arguments.rating must be at most 5, got 9.',
+  ]);
+  expect(validateSchema(schema, [])).toEqual(['arguments must be an object, got an array.']);
+});
+
+test('Expect schema mistakes to be found', () => {
+  expect(
+    checkSchema({ type: 'object', properties: { model: { type: 'string', pattern: '^a' } }, required: ['type'] })
+  ).toEqual([
+    'parameters requires "type", which is not in its properties.',
+    'parameters.model uses unsupported keyword "pattern".',
+  ]);
+});
+
+test('Expect the shipped manifest and functions to agree', () => {
+  expect(() => checkToolRegistry()).not.toThrow();
+});
+
+test('Expect undeclared modules and missing functions to fail the startup check', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'functions-'));
+  fs.writeFileSync(path.join(dir, 'function-manifest.js'), 'module.exports = [];');
+  fs.writeFileSync(path.join(dir, 'checkPrice.js'), 'module.exports = async () => "{}";');
+  fs.writeFileSync(path.join(dir, 'forgotten.js'), 'module.exports = async () => "{}";');
+  const tools = [
+    { type: 'function', function: { name: 'checkPrice', description: 'Price.', parameters: { type: 'object', properties: {} } } },
+    { type: 'function', function: { name: 'checkStock', description: 'Stock.', parameters: { type: 'object', properties: {} } } },
+  ];
+
+  expect(() => checkToolRegistry({ tools, dir })).toThrow(
+    'Tool manifest problems:\n- checkStock: functions/checkStock.js does not exist.\n- forgotten: functions/forgotten.js is not declared in the manifest.'
+  );
+});
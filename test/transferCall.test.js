@@ -1,31 +1,51 @@
-require('dotenv').config();
-const setTimeout = require('timers/promises').setTimeout;
+const mockUpdate = jest.fn();
+const mockCalls = jest.fn(() => ({ update: mockUpdate }));
+jest.mock('twilio', () => {
+  const twilio = () => ({ calls: mockCalls });
+  twilio.twiml = jest.requireActual('twilio').twiml;
+  return twilio;
+});
+
 const transferCall = require('../functions/transferCall');
+const { createToolContext } = require('../services/tool-registry');
+
+const context = createToolContext('transferCall', { callSid: 'CA1', streamSid: 'MZ1', direction: 'inbound', from: '+5511999990000', profile: {} });
+
+beforeEach(() => {
+  process.env.TRANSFER_NUMBER = '+5511333330000';
+  process.env.SERVER = 'agent.example.com';
+  mockCalls.mockClear();
+  mockUpdate.mockReset();
+});
+
+test('Expect transferCall to dial TRANSFER_NUMBER on the call from the context, whatever the model passed', async () => {
+  mockUpdate.mockResolvedValue({});
+
+  const result = JSON.parse(await transferCall({ callSid: 'CA-forged' }, context));
+
+  expect(result).toMatchObject({ status: 'transferred', department: 'default' });
+  expect(mockCalls).toHaveBeenCalledWith('CA1');
+  expect(mockUpdate.mock.calls[0][0].twiml).toMatch(
+    /<Dial timeout="20" action="https:\/\/agent.example.com\/transfer\/dialed\?id=[\w-]+"><Number>\+5511333330000<\/Number><\/Dial>/
+  );
+});
+
+test('Expect a transfer Twilio refuses to come back as a failure with a callback promise', async () => {
+  mockUpdate.mockRejectedValue(new Error('Call is not in-progress'));
+
+  const result = JSON.parse(await transferCall({}, context));
+
+  expect(result).toMatchObject({ status: 'failed', fallback: 'callback' });
+  expect(result.instruction).toContain('will call them back');
+});
+
+test('Expect no transfer without a target', async () => {
+  delete process.env.TRANSFER_NUMBER;
 
-test('Expect transferCall to successfully redirect call', async () => {
-
-  async function makeOutBoundCall() {
-    const accountSid = process.env.TWILIO_ACCOUNT_SID;
-    const authToken = process.env.TWILIO_AUTH_TOKEN;
-        
-    const client = require('twilio')(accountSid, authToken);
-      
-    const sid = await client.calls
-      .create({
-        url: `https://${process.env.SERVER}/incoming`,
-        to: process.env.YOUR_NUMBER,
-        from: process.env.FROM_NUMBER
-      })
-      .then(call => call.sid);
-    
-    return sid;
-  }
-
-  const callSid = await makeOutBoundCall();
-  console.log(callSid);
-  await setTimeout(10000);
-  
-  const transferResult = await transferCall(callSid);
-
-  expect(transferResult).toBe('The call was transferred successfully');
-}, 20000);
\ No newline at end of file
+  await expect(transferCall({}, context)).rejects.toThrow('No transfer targets are configured');
+  await expect(transferCall({ department: 'sales' }, createToolContext('transferCall', {
+    callSid: 'CA1',
+    profile: { transfer: { targets: { support: { number: '+5511333330000' } } } },
+  }))).rejects.toThrow('Unknown department "sales". Transfers go to: support.');
+  expect(mockCalls).not.toHaveBeenCalled();
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TransferManager, isOpen } = require('../services/transfer-service');
+const { CallStore } = require('../services/call-store');
+const { createToolContext } = require('../services/tool-registry');
+
+const hours = { timezone: 'America/Sao_Paulo', days: ['mon', 'tue', 'wed', 'thu', 'fri'], open: '09:00', close: '18:00' };
+const profile = {
+  model: 'gpt-4o-mini',
+  transfer: {
+    mode: 'warm',
+    targets: {
+      sales: { number: '+5511333330001', label: 'Vendas', hours, fallback: 'voicemail' },
+      billing: { number: '+5511333330002', label: 'Financeiro', fallback: 'callback' },
+    },
+  },
+};
+// A Monday, 10:00 in São Paulo
+const MONDAY_MORNING = Date.parse('2026-01-05T13:00:00Z');
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+function setup() {
+  const calls = new CallStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'transfers-')) });
+  calls.startCall({ callSid: 'CA1', streamSid: 'MZ1', direction: 'inbound', from: '+5511999990000', to: '+5511444440000' });
+  calls.addTranscript('CA1', { role: 'user', text: 'Quero falar sobre minha fatura.', interactionCount: 0 });
+  const updates = [];
+  const client = {
+    calls: Object.assign(
+      jest.fn((callSid) => ({ update: jest.fn(async (params) => updates.push({ callSid, ...params })) })),
+      { create: jest.fn(async () => ({ sid: 'CAhuman' })) }
+    ),
+  };
+  const llm = {
+    name: 'fake',
+    streamChat: jest.fn(async function* () {
+      yield { content: 'O cliente quer revisar a fatura de janeiro.' };
+    }),
+  };
+  const session = { transferStarted: jest.fn(), transferFinished: jest.fn() };
+  const sessions = { get: (callSid) => (callSid === 'CA1' ? session : undefined) };
+  const manager = new TransferManager({ client, calls, sessions, llm, server: 'agent.example.com', now: () => MONDAY_MORNING });
+  const context = createToolContext('transferCall', { callSid: 'CA1', direction: 'inbound', from: '+5511999990000', to: '+5511444440000', profile });
+  // The id of the warm transfer, from the whisper URL of the person's leg
+  const transferId = () => new URL(client.calls.create.mock.calls[0][0].url).searchParams.get('id');
+  return { calls, client, updates, llm, session, manager, context, transferId };
+}
+
+test('Expect business hours to follow the time zone and days of the target', () => {
+  expect(isOpen(hours, new Date(MONDAY_MORNING))).toBe(true);
+  // 19:00 in São Paulo, still 22:00 UTC on Monday
+  expect(isOpen(hours, new Date('2026-01-05T22:00:00Z'))).toBe(false);
+  expect(isOpen(hours, new Date('2026-01-10T13:00:00Z'))).toBe(false);
+  expect(isOpen(undefined, new Date('2026-01-10T03:00:00Z'))).toBe(true);
+});
+
+test('Expect a warm transfer to put the caller on hold, whisper a summary and join the person who presses 1', async () => {
+  const { calls, client, updates, llm, session, manager, context, transferId } = setup();
+
+  const outcome = await manager.transfer(context, { department: 'billing', reason: 'Dúvida na fatura' });
+
+  expect(session.transferStarted).toHaveBeenCalled();
+  expect(outcome).toMatchObject({ status: 'holding', department: 'billing' });
+  expect(updates).toEqual([{ callSid: 'CA1', twiml: expect.stringContaining('Aguarde um momento enquanto transferimos sua ligação.') }]);
+  expect(updates[0].twiml).toContain(
+    `<Conference beep="false" startConferenceOnEnter="false" endConferenceOnExit="true" statusCallback="https://agent.example.com/transfer/conference?id=${transferId()}" statusCallbackEvent="leave">transfer-${transferId()}</Conference>`
+  );
+  expect(JSON.stringify(llm.streamChat.mock.calls[0][0].messages)).toContain('Quero falar sobre minha fatura.');
+  expect(client.calls.create).toHaveBeenCalledWith(expect.objectContaining({
+    to: '+5511333330002',
+    from: '+5511444440000',
+    timeout: 20,
+    statusCallback: `https://agent.example.com/transfer/status?id=${transferId()}`,
+  }));
+  expect(manager.whisperTwiml(transferId())).toContain(
+    'Transferência para Financeiro. O cliente quer revisar a fatura de janeiro. Pressione 1 para falar com o cliente.'
+  );
+
+  const twiml = manager.acceptTwiml(transferId(), '1');
+
+  expect(twiml).toContain(`<Conference beep="false" startConferenceOnEnter="true" endConferenceOnExit="true">transfer-${transferId()}</Conference>`);
+  expect(updates).toHaveLength(1);
+  expect(session.transferFinished).not.toHaveBeenCalled();
+  expect(calls.getCall('CA1')).toMatchObject({
+    endReason: 'transferred',
+    transfer: { department: 'billing', mode: 'warm', status: 'connected', summary: 'O cliente quer revisar a fatura de janeiro.' },
+  });
+});
+
+test('Expect an unanswered warm transfer to take the caller off hold with a callback promise', async () => {
+  const { calls, updates, manager, context, transferId } = setup();
+
+  await manager.transfer(context, { department: 'billing' });
+  manager.handleStatus(transferId(), 'no-answer');
+  await tick();
+
+  expect(updates[1]).toEqual({ callSid: 'CA1', twiml: expect.stringContaining('Vamos retornar sua ligação') });
+  expect(calls.getCall('CA1').transfer).toMatchObject({ status: 'no-answer' });
+  expect(calls.getCall('CA1').callback).toEqual({ department: 'billing', number: '+5511999990000', requestedAt: new Date(MONDAY_MORNING).toISOString() });
+  expect(manager.whisperTwiml(transferId())).toContain('não está mais disponível');
+});
+
+test('Expect a caller who hangs up on hold to call the transfer off', async () => {
+  const { calls, updates, manager, context, transferId } = setup();
+
+  await manager.transfer(context, { department: 'billing' });
+  manager.handleConference(transferId(), { StatusCallbackEvent: 'participant-leave', CallSid: 'CA1' });
+  await tick();
+
+  expect(updates[1]).toEqual({ callSid: 'CAhuman', status: 'completed' });
+  expect(calls.getCall('CA1').transfer).toMatchObject({ status: 'canceled' });
+  expect(manager.acceptTwiml(transferId(), '1')).toContain('O cliente não está mais na linha.');
+});
+
+test('Expect a caller who could not be put on hold to stay with the agent', async () => {
+  const { client, session, manager, context } = setup();
+  client.calls.mockImplementationOnce(() => ({ update: jest.fn(async () => { throw new Error('Call is not in-progress'); }) }));
+
+  const outcome = await manager.transfer(context, { department: 'billing' });
+
+  expect(outcome).toMatchObject({ status: 'failed', fallback: 'callback' });
+  expect(outcome.instruction).toContain('someone from Financeiro will call them back');
+  expect(client.calls.create).not.toHaveBeenCalled();
+  expect(session.transferFinished).toHaveBeenCalled();
+});
+
+test('Expect a closed department not to be dialed and its voicemail to take a message', async () => {
+  const { calls, client, updates, manager, context } = setup();
+  manager.now = () => Date.parse('2026-01-05T23:00:00Z');
+
+  const outcome = await manager.transfer(context, { department: 'sales' });
+
+  expect(client.calls.create).not.toHaveBeenCalled();
+  expect(outcome).toMatchObject({ status: 'closed', fallback: 'voicemail' });
+  expect(outcome.instruction).toContain('Vendas is closed now (open mon, tue, wed, thu, fri 09:00-18:00 America/Sao_Paulo).');
+
+  expect(await manager.startVoicemail(outcome.transferId)).toBe(true);
+  expect(updates[0].twiml).toContain(`<Record maxLength="120" playBeep="true" action="https://agent.example.com/transfer/voicemail?id=${outcome.transferId}"/>`);
+  manager.saveVoicemail(outcome.transferId, { RecordingSid: 'RE1', RecordingUrl: 'https://api.twilio.com/RE1', RecordingDuration: '12' });
+  expect(calls.getCall('CA1').voicemailMessage).toMatchObject({ department: 'sales', recordingSid: 'RE1', durationSeconds: 12 });
+});
+
+test('Expect a simulated conversation not to dial or redirect anyone', async () => {
+  const { client, session, manager } = setup();
+  const context = createToolContext('transferCall', { callSid: 'SIM-1', direction: 'simulated', profile });
+
+  const outcome = await manager.transfer(context, { department: 'billing' });
+
+  expect(outcome).toMatchObject({ transferId: null, status: 'simulated', department: 'billing' });
+  expect(outcome.instruction).toContain('put through to Financeiro');
+  expect(client.calls).not.toHaveBeenCalled();
+  expect(client.calls.create).not.toHaveBeenCalled();
+  expect(session.transferStarted).not.toHaveBeenCalled();
+});
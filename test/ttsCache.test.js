@@ -0,0 +1,115 @@
+const { Buffer } = require('node:buffer');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TtsCache, cacheablePhrases } = require('../services/tts-cache');
+const { TextToSpeechService } = require('../services/tts-service');
+
+function makeCache() {
+  return new TtsCache({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-')) });
+}
+
+function fakeProvider(name) {
+  return {
+    name,
+    defaultVoiceId: `${name}-voice`,
+    synthesize: jest.fn(async (text) => Buffer.from(`${name}:${text}`)),
+  };
+}
+
+test('Expect cache keys to change with provider, voice settings and text', () => {
+  const cache = makeCache();
+  const voice = { provider: 'elevenlabs', voiceId: 'voz', speed: 1 };
+
+  expect(cache.key(voice, 'Olá')).toBe(cache.key({ ...voice }, 'Olá'));
+  expect(cache.key(voice, 'Olá')).not.toBe(cache.key({ ...voice, provider: 'deepgram' }, 'Olá'));
+  expect(cache.key(voice, 'Olá')).not.toBe(cache.key({ ...voice, voiceId: 'outra' }, 'Olá'));
+  expect(cache.key(voice, 'Olá')).not.toBe(cache.key({ ...voice, speed: 1.2 }, 'Olá'));
+  expect(cache.key(voice, 'Olá')).not.toBe(cache.key(voice, 'Oi'));
+});
+
+test('Expect cacheable phrases to be synthesized once and then served from disk', async () => {
+  const cache = makeCache();
+  const elevenlabs = fakeProvider('elevenlabs');
+  const tts = new TextToSpeechService({
+    voice: { provider: 'elevenlabs', voiceId: 'voz' },
+    providers: { elevenlabs },
+    cache,
+  });
+  const speech = jest.fn();
+  tts.on('speech', speech);
+
+  await tts.generate({ partialResponseIndex: null, partialResponse: 'Bem-vindo!', cache: true }, 0);
+  await tts.generate({ partialResponseIndex: null, partialResponse: 'Bem-vindo!', cache: true }, 0);
+
+  expect(elevenlabs.synthesize).toHaveBeenCalledTimes(1);
+  expect(speech).toHaveBeenCalledTimes(2);
+  expect(speech.mock.calls[1][1]).toBe(Buffer.from('elevenlabs:Bem-vindo!').toString('base64'));
+  expect(cache.list().entries).toEqual([
+    expect.objectContaining({ provider: 'elevenlabs', voiceId: 'voz', text: 'Bem-vindo!', bytes: 21 }),
+  ]);
+});
+
+test('Expect regular replies not to be written to the cache', async () => {
+  const cache = makeCache();
+  const elevenlabs = fakeProvider('elevenlabs');
+  const tts = new TextToSpeechService({ providers: { elevenlabs }, cache });
+
+  await tts.generate({ partialResponseIndex: 0, partialResponse: 'Seu pedido custa R$ 10.' }, 1);
+
+  expect(cache.list().entries).toEqual([]);
+});
+
+test('Expect prewarm to skip phrases already cached', async () => {
+  const cache = makeCache();
+  const elevenlabs = fakeProvider('elevenlabs');
+  const tts = new TextToSpeechService({ providers: { elevenlabs }, cache });
+
+  expect(await tts.prewarm(['Um', 'Dois'])).toEqual({ cached: 0, synthesized: 2, failed: 0 });
+  expect(await tts.prewarm(['Um', 'Dois', 'Três'])).toEqual({ cached: 2, synthesized: 1, failed: 0 });
+  expect(elevenlabs.synthesize).toHaveBeenCalledTimes(3);
+});
+
+test('Expect purge to remove only the entries of the given voice', () => {
+  const cache = makeCache();
+  const key = cache.set({ provider: 'elevenlabs', voiceId: 'a' }, 'Olá', Buffer.from('1'));
+  cache.set({ provider: 'elevenlabs', voiceId: 'b' }, 'Olá', Buffer.from('2'));
+  cache.set({ provider: 'deepgram', voiceId: 'c' }, 'Olá', Buffer.from('3'));
+
+  expect(cache.purge({ voiceId: 'b' })).toBe(1);
+  expect(cache.delete(key)).toBe(true);
+  expect(cache.delete(key)).toBe(false);
+  expect(cache.list().entries.map((entry) => entry.voiceId)).toEqual(['c']);
+  expect(cache.purge()).toBe(1);
+});
+
+test('Expect the greeting, silence lines, voicemail message and the say lines of enabled tools to be cacheable', () => {
+  const phrases = cacheablePhrases({
+    assistant_prompt: 'Olá! • Como posso ajudar?',
+    tools: ['checkPrice'],
+    silence: { repromptText: 'Alô?' },
+    voicemail: { message: 'Deixe seu recado.' },
+  });
+
+  expect(phrases).toEqual([
+    'Olá! • Como posso ajudar?',
+    'Alô?',
+    'Como não consegui te ouvir, vou encerrar a ligação. Até logo!',
+    'Deixe seu recado.',
+    'Let me check the price, one moment.',
+  ]);
+});
+
+test('Expect the recording disclaimer of the profile to be cacheable while recording is on', () => {
+  const profile = { assistant_prompt: 'Olá!', tools: [], recording: { disclaimer: 'Esta ligação é gravada.' } };
+  const enabled = process.env.RECORDING_ENABLED;
+  process.env.RECORDING_ENABLED = 'true';
+  try {
+    expect(cacheablePhrases(profile)).toContain('Esta ligação é gravada.');
+    expect(cacheablePhrases({ ...profile, recording: undefined })).toContain('Esta chamada será gravada.');
+  } finally {
+    process.env.RECORDING_ENABLED = enabled;
+    if (enabled === undefined) delete process.env.RECORDING_ENABLED;
+  }
+  expect(cacheablePhrases(profile)).not.toContain('Esta ligação é gravada.');
+});
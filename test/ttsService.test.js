@@ -0,0 +1,251 @@
+const { Buffer } = require('node:buffer');
+const http = require('http');
+const WebSocket = require('ws');
+const { TextToSpeechService } = require('../services/tts-service');
+const { ElevenLabsProvider } = require('../services/tts-providers/elevenlabs');
+const { DeepgramProvider } = require('../services/tts-providers/deepgram');
+const { OpenAIProvider } = require('../services/tts-providers/openai');
+
+// Starts a local stand-in for a TTS API and hands its base URL to the callback
+async function withServer(handler, callback) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      handler(req, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  try {
+    await callback(`http://localhost:${server.address().port}`, requests);
+  } finally {
+    server.close();
+  }
+}
+
+// Starts a local stand-in for a streaming TTS websocket; `onMessage(socket, data)` answers the client
+async function withSocketServer(onMessage, callback) {
+  const messages = [];
+  const connections = [];
+  const server = new WebSocket.Server({ port: 0 });
+  server.on('connection', (socket, req) => {
+    connections.push({ url: req.url, headers: req.headers });
+    socket.on('message', (data) => {
+      messages.push(JSON.parse(data));
+      onMessage(socket, JSON.parse(data));
+    });
+  });
+  await new Promise((resolve) => server.on('listening', resolve));
+  try {
+    await callback(`http://localhost:${server.address().port}`, { messages, connections });
+  } finally {
+    server.close();
+  }
+}
+
+function nextEvent(emitter, name) {
+  return new Promise((resolve) => emitter.once(name, (...args) => resolve(args)));
+}
+
+function fakeProvider(name, result) {
+  return {
+    name,
+    defaultVoiceId: `${name}-voice`,
+    synthesize: jest.fn(async () => {
+      if (result instanceof Error) throw result;
+      return result;
+    }),
+  };
+}
+
+test('Expect the primary provider to be used with the profile voice settings', async () => {
+  const elevenlabs = fakeProvider('elevenlabs', Buffer.from('audio'));
+  const tts = new TextToSpeechService({
+    voice: { provider: 'elevenlabs', voiceId: 'voz', speed: 1.1, stability: 0.4 },
+    providers: { elevenlabs },
+  });
+  const speech = jest.fn();
+  tts.on('speech', speech);
+
+  await tts.generate({ partialResponseIndex: 2, partialResponse: 'Olá!' }, 1);
+
+  expect(elevenlabs.synthesize).toHaveBeenCalledWith('Olá!', { provider: 'elevenlabs', voiceId: 'voz', speed: 1.1, stability: 0.4 }, expect.anything());
+  expect(speech).toHaveBeenCalledWith(2, Buffer.from('audio').toString('base64'), 'Olá!', 1);
+});
+
+test('Expect the next provider in the fallback order to take over when the primary fails', async () => {
+  const elevenlabs = fakeProvider('elevenlabs', new Error('429 Too Many Requests'));
+  const deepgram = fakeProvider('deepgram', Buffer.from('fallback'));
+  const tts = new TextToSpeechService({
+    voice: { provider: 'elevenlabs', voiceId: 'voz', fallback: ['deepgram'] },
+    providers: { elevenlabs, deepgram },
+  });
+
+  const result = await tts.synthesize('Olá!');
+
+  expect(result.provider).toBe('deepgram');
+  expect(deepgram.synthesize.mock.calls[0][1].voiceId).toBe('deepgram-voice');
+});
+
+test('Expect a speecherror event when every provider fails', async () => {
+  const tts = new TextToSpeechService({
+    voice: { provider: 'openai', voiceId: 'alloy', fallback: [] },
+    providers: { openai: fakeProvider('openai', new Error('down')) },
+  });
+  const speechError = jest.fn();
+  tts.on('speecherror', speechError);
+
+  await tts.generate({ partialResponseIndex: 0, partialResponse: 'Olá!' }, 0);
+
+  expect(speechError).toHaveBeenCalledWith(0, 'Olá!', 0);
+});
+
+test('Expect ElevenLabs to be asked for ulaw_8000 with the voice settings', async () => {
+  await withServer((req, res) => res.end('ulaw'), async (baseUrl, requests) => {
+    const provider = new ElevenLabsProvider({ apiKey: 'key', modelId: 'eleven_turbo_v2', baseUrl });
+    const audio = await provider.synthesize('Oi', { voiceId: 'abc', speed: 0.9, stability: 0.5 });
+
+    expect(audio.toString()).toBe('ulaw');
+    expect(requests[0].url).toBe('/v1/text-to-speech/abc/stream?output_format=ulaw_8000&optimize_streaming_latency=3');
+    expect(requests[0].body).toMatchObject({ model_id: 'eleven_turbo_v2', voice_settings: { speed: 0.9, stability: 0.5 } });
+  });
+});
+
+test('Expect Deepgram errors to be thrown with the HTTP status', async () => {
+  await withServer((req, res) => res.writeHead(401).end('bad key'), async (baseUrl, requests) => {
+    const provider = new DeepgramProvider({ apiKey: 'key', baseUrl });
+
+    await expect(provider.synthesize('Oi', { voiceId: 'aura-asteria-en' })).rejects.toMatchObject({ status: 401 });
+    expect(requests[0].url).toContain('model=aura-asteria-en&encoding=mulaw&sample_rate=8000');
+  });
+});
+
+test('Expect OpenAI 24kHz PCM to be converted to 8kHz mulaw', async () => {
+  // 30ms of silence at 24kHz, 16 bit
+  await withServer((req, res) => res.end(Buffer.alloc(720 * 2)), async (baseUrl) => {
+    const provider = new OpenAIProvider({ apiKey: 'key', baseUrl });
+    const audio = await provider.synthesize('Oi', { voiceId: 'alloy' });
+
+    expect(audio).toHaveLength(240);
+  });
+});
+
+test('Expect streamed ElevenLabs audio to be emitted before the chunk is complete', async () => {
+  const answer = (socket, { text }) => {
+    if (text === '') socket.send(JSON.stringify({ isFinal: true }));
+    else if (text.trim()) socket.send(JSON.stringify({ audio: Buffer.from(text).toString('base64') }));
+  };
+  await withSocketServer(answer, async (baseUrl, { messages, connections }) => {
+    const tts = new TextToSpeechService({
+      voice: { provider: 'elevenlabs', voiceId: 'abc', stability: 0.5 },
+      providers: { elevenlabs: new ElevenLabsProvider({ apiKey: 'key', baseUrl }) },
+    });
+    const chunks = [];
+    tts.on('speechchunk', (index, audio, icount) => chunks.push([index, Buffer.from(audio, 'base64').toString(), icount]));
+    const speechEnd = jest.fn();
+    tts.on('speechend', speechEnd);
+
+    tts.write(0, 'Olá', 1);
+    await nextEvent(tts, 'speechchunk');
+    expect(speechEnd).not.toHaveBeenCalled();
+
+    tts.write(0, ' mundo', 1);
+    await tts.end(0, 1);
+
+    expect(chunks).toEqual([[0, 'Olá', 1], [0, ' mundo', 1]]);
+    expect(speechEnd).toHaveBeenCalledWith(0, 'Olá mundo', 1);
+    expect(connections[0].url).toBe('/v1/text-to-speech/abc/stream-input?output_format=ulaw_8000&optimize_streaming_latency=3');
+    expect(connections[0].headers['xi-api-key']).toBe('key');
+    expect(messages[0]).toEqual({ text: ' ', voice_settings: { stability: 0.5, similarity_boost: 0.75 } });
+  });
+});
+
+test('Expect Deepgram streams to end once the flush is confirmed', async () => {
+  const answer = (socket, message) => {
+    if (message.type === 'Speak') socket.send(Buffer.from(message.text));
+    if (message.type === 'Flush') socket.send(JSON.stringify({ type: 'Flushed' }));
+  };
+  await withSocketServer(answer, async (baseUrl, { connections }) => {
+    const tts = new TextToSpeechService({
+      voice: { provider: 'deepgram', voiceId: 'aura-asteria-en' },
+      providers: { deepgram: new DeepgramProvider({ apiKey: 'key', baseUrl }) },
+    });
+    const chunks = [];
+    tts.on('speechchunk', (index, audio) => chunks.push(Buffer.from(audio, 'base64').toString()));
+
+    tts.write(4, 'Oi', 2);
+    await tts.end(4, 2);
+
+    expect(chunks).toEqual(['Oi']);
+    expect(connections[0].url).toBe('/v1/speak?model=aura-asteria-en&encoding=mulaw&sample_rate=8000');
+    expect(connections[0].headers.authorization).toBe('Token key');
+  });
+});
+
+test('Expect a chunk to go through the fallback chain when its stream fails before any audio', async () => {
+  const deepgram = fakeProvider('deepgram', Buffer.from('fallback'));
+  const tts = new TextToSpeechService({
+    voice: { provider: 'elevenlabs', voiceId: 'abc', fallback: ['deepgram'] },
+    // Nothing listens on port 9, so both the stream and the HTTP request fail
+    providers: { elevenlabs: new ElevenLabsProvider({ baseUrl: 'http://localhost:9' }), deepgram },
+  });
+  const chunks = [];
+  tts.on('speechchunk', (index, audio) => chunks.push(Buffer.from(audio, 'base64').toString()));
+  const speechEnd = jest.fn();
+  tts.on('speechend', speechEnd);
+
+  tts.write(0, 'Olá', 0);
+  await tts.end(0, 0);
+
+  expect(deepgram.synthesize).toHaveBeenCalledWith('Olá', expect.objectContaining({ provider: 'deepgram' }), expect.anything());
+  expect(chunks).toEqual(['fallback']);
+  expect(speechEnd).toHaveBeenCalledWith(0, 'Olá', 0);
+});
+
+test('Expect providers without streaming to synthesize the chunk once it ends', async () => {
+  const openai = fakeProvider('openai', Buffer.from('audio'));
+  const tts = new TextToSpeechService({ voice: { provider: 'openai', voiceId: 'alloy' }, providers: { openai } });
+  const speechEnd = jest.fn();
+  tts.on('speechend', speechEnd);
+
+  tts.write(0, 'Um, ', 0);
+  tts.write(0, 'dois.', 0);
+  expect(openai.synthesize).not.toHaveBeenCalled();
+  await tts.end(0, 0);
+
+  expect(openai.synthesize).toHaveBeenCalledWith('Um, dois.', expect.anything(), expect.anything());
+  expect(speechEnd).toHaveBeenCalledWith(0, 'Um, dois.', 0);
+});
+
+test('Expect an empty chunk to end right away', async () => {
+  const tts = new TextToSpeechService({ providers: { elevenlabs: fakeProvider('elevenlabs', Buffer.from('x')) } });
+  const speechEnd = jest.fn();
+  tts.on('speechend', speechEnd);
+
+  await tts.end(7, 3);
+
+  expect(speechEnd).toHaveBeenCalledWith(7, '', 3);
+});
+
+test('Expect an interruption to cancel pending requests without falling back or emitting', async () => {
+  await withServer(() => {}, async (baseUrl, requests) => {
+    const deepgram = fakeProvider('deepgram', Buffer.from('fallback'));
+    const tts = new TextToSpeechService({
+      voice: { provider: 'openai', voiceId: 'alloy', fallback: ['deepgram'] },
+      providers: { openai: new OpenAIProvider({ apiKey: 'key', baseUrl }), deepgram },
+    });
+    const events = jest.fn();
+    ['speechchunk', 'speechend', 'speecherror'].forEach((name) => tts.on(name, events));
+
+    tts.write(0, 'Uma resposta longa.', 1);
+    const ending = tts.end(0, 1);
+    while (requests.length === 0) await new Promise((resolve) => setTimeout(resolve, 5));
+    tts.interrupt();
+    await ending;
+
+    expect(deepgram.synthesize).not.toHaveBeenCalled();
+    expect(events).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+const twilio = require('twilio');
+const { twilioWebhook, publicUrl, createStreamToken, checkStreamToken } = require('../services/twilio-security');
+
+beforeEach(() => {
+  process.env.TWILIO_AUTH_TOKEN = 'secret-token';
+  delete process.env.SERVER;
+  delete process.env.TWILIO_AUTH_BYPASS;
+  delete process.env.STREAM_TOKEN_SECRET;
+});
+
+function makeRequest({ url = '/incoming?profileId=vendas', headers = {}, body = { CallSid: 'CA1', From: '+5511999999999' } } = {}) {
+  return { originalUrl: url, headers: { host: 'localhost:3000', ...headers }, body, protocol: 'http', ip: '127.0.0.1' };
+}
+
+function runWebhook(req) {
+  const res = { status: jest.fn(() => res), send: jest.fn() };
+  const next = jest.fn();
+  twilioWebhook(req, res, next);
+  return { res, next };
+}
+
+test('Expect signed webhooks to pass and forged ones to get a 403', () => {
+  process.env.SERVER = 'abc.ngrok.io';
+  const body = { CallSid: 'CA1', From: '+5511999999999' };
+  const signature = twilio.getExpectedTwilioSignature('secret-token', 'https://abc.ngrok.io/incoming?profileId=vendas', body);
+
+  expect(runWebhook(makeRequest({ headers: { 'x-twilio-signature': signature } })).next).toHaveBeenCalled();
+
+  const forged = runWebhook(makeRequest({ headers: { 'x-twilio-signature': signature }, body: { ...body, From: '+1' } }));
+  expect(forged.next).not.toHaveBeenCalled();
+  expect(forged.res.status).toHaveBeenCalledWith(403);
+  expect(runWebhook(makeRequest()).res.status).toHaveBeenCalledWith(403);
+});
+
+test('Expect the signed URL to follow the proxy headers when SERVER is not set', () => {
+  const req = makeRequest({ headers: { 'x-forwarded-proto': 'https', 'x-forwarded-host': 'kaller.example.com' } });
+  expect(publicUrl(req)).toBe('https://kaller.example.com/incoming?profileId=vendas');
+  expect(publicUrl(makeRequest())).toBe('http://localhost:3000/incoming?profileId=vendas');
+});
+
+test('Expect stream tokens to be bound to the call and to expire', () => {
+  const now = Date.parse('2024-05-01T12:00:00Z');
+  const token = createStreamToken('CA1', now);
+
+  expect(checkStreamToken('CA1', token, now + 5000)).toBeNull();
+  expect(checkStreamToken('CA2', token, now + 5000)).toBe('invalid token');
+  expect(checkStreamToken('CA1', token, now + 61000)).toBe('expired token');
+  expect(checkStreamToken('CA1', undefined, now)).toBe('missing token');
+  expect(checkStreamToken('CA1', `${now + 60000}.abc`, now)).toBe('invalid token');
+});
+
+test('Expect the bypass flag to turn every check off', () => {
+  process.env.TWILIO_AUTH_BYPASS = 'true';
+
+  expect(runWebhook(makeRequest()).next).toHaveBeenCalled();
+  expect(checkStreamToken('CA1', undefined)).toBeNull();
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CallEvents } = require('../services/call-events');
+const { WebhookManager, signPayload, verifySignature, webhookEventFor } = require('../services/webhook-service');
+const { TransferManager } = require('../services/transfer-service');
+const { CallStore } = require('../services/call-store');
+const { createToolContext } = require('../services/tool-registry');
+
+const secret = 'a-secret-of-24-characters';
+
+function createManager(options = {}) {
+  let clock = Date.parse('2024-01-01T12:00:00Z');
+  const requests = [];
+  const statuses = [];
+  const manager = new WebhookManager({
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-')),
+    now: () => clock,
+    retryDelayMs: 1000,
+    maxAttempts: 3,
+    send: async (url, init) => {
+      requests.push({ url, ...init });
+      const status = statuses.shift() || 200;
+      if (status === 'network') throw new Error('ECONNREFUSED');
+      return { status };
+    },
+    ...options,
+  });
+  return { manager, requests, statuses, advance: (ms) => (clock += ms) };
+}
+
+test('Expect signatures to be verified against the exact body and recent timestamps', () => {
+  const now = Date.parse('2024-01-01T12:00:00Z');
+  const header = signPayload(secret, '{"a":1}', now);
+
+  expect(verifySignature(secret, header, '{"a":1}', now + 1000)).toBe(true);
+  expect(verifySignature(secret, header, '{"a":2}', now + 1000)).toBe(false);
+  expect(verifySignature('another-secret-entirely', header, '{"a":1}', now)).toBe(false);
+  expect(verifySignature(secret, header, '{"a":1}', now + 10 * 60 * 1000)).toBe(false);
+  expect(verifySignature(secret, undefined, '{"a":1}', now)).toBe(false);
+});
+
+test('Expect events to go only to the enabled endpoints subscribed to them, signed', async () => {
+  const { manager, requests } = createManager();
+  const crm = manager.createEndpoint({ url: 'https://crm.example.com/hooks', events: ['order.placed'], secret });
+  manager.createEndpoint({ url: 'https://all.example.com/hooks', events: ['*'] });
+  manager.createEndpoint({ url: 'https://off.example.com/hooks', events: ['*'], enabled: false });
+
+  manager.publish('call.started', { callSid: 'CA1' });
+  manager.publish('order.placed', { callSid: 'CA1', order: { orderNumber: 1234567 } });
+  await manager.tick();
+
+  expect(requests.map((request) => `${request.headers['X-Kaller-Event']} ${request.url}`)).toEqual([
+    'call.started https://all.example.com/hooks',
+    'order.placed https://crm.example.com/hooks',
+    'order.placed https://all.example.com/hooks',
+  ]);
+  const order = requests[1];
+  expect(verifySignature(secret, order.headers['X-Kaller-Signature'], order.body, Date.parse('2024-01-01T12:00:00Z'))).toBe(true);
+  expect(JSON.parse(order.body)).toMatchObject({ type: 'order.placed', data: { order: { orderNumber: 1234567 } } });
+  expect(JSON.parse(order.body).id).toBe(JSON.parse(requests[2].body).id);
+  expect(manager.listDeliveries({ endpointId: crm.id })).toMatchObject([{ status: 'delivered', attempts: 1, responseStatus: 200 }]);
+});
+
+test('Expect failed deliveries to be retried with exponential backoff until the attempts run out', async () => {
+  const { manager, requests, statuses, advance } = createManager();
+  manager.createEndpoint({ url: 'https://crm.example.com/hooks', events: ['*'], secret });
+  statuses.push(500, 'network', 500);
+
+  manager.publish('call.ended', { callSid: 'CA1' });
+  await manager.tick();
+  expect(requests).toHaveLength(1);
+
+  advance(999);
+  await manager.tick();
+  expect(requests).toHaveLength(1);
+  advance(1);
+  await manager.tick();
+  expect(requests).toHaveLength(2);
+
+  // The second retry waits twice as long
+  advance(1000);
+  await manager.tick();
+  expect(requests).toHaveLength(2);
+  advance(1000);
+  await manager.tick();
+  expect(requests).toHaveLength(3);
+
+  const [delivery] = manager.listDeliveries();
+  expect(delivery).toMatchObject({ status: 'failed', attempts: 3, lastError: 'HTTP 500' });
+
+  manager.retryDelivery(delivery.id);
+  await manager.tick();
+  expect(manager.listDeliveries()[0]).toMatchObject({ status: 'delivered', attempts: 1 });
+});
+
+test('Expect the queue to survive a restart', async () => {
+  const { manager, statuses } = createManager();
+  manager.createEndpoint({ url: 'https://crm.example.com/hooks', events: ['*'], secret });
+  statuses.push(503);
+  manager.publish('call.started', { callSid: 'CA1' });
+  await manager.tick();
+
+  const requests = [];
+  const restarted = new WebhookManager({
+    dir: manager.dir,
+    now: () => Date.parse('2024-01-01T13:00:00Z'),
+    send: async (url, init) => {
+      requests.push(init);
+      return { status: 204 };
+    },
+  });
+  await restarted.tick();
+
+  expect(requests).toHaveLength(1);
+  expect(restarted.listDeliveries()[0]).toMatchObject({ status: 'delivered', attempts: 2 });
+});
+
+test('Expect call events to become webhook events', () => {
+  const { manager } = createManager({
+    calls: { getCall: () => ({ callSid: 'CA1', direction: 'inbound', from: '+1', transcript: [] }) },
+  });
+  const events = new CallEvents();
+  const published = [];
+  manager.publish = (type, data) => published.push([type, data]);
+  manager.connect(events);
+
+  events.publish('CA1', 'start', { from: '+1' });
+  events.publish('CA1', 'toolcall', { name: 'checkPrice', arguments: {}, result: '{}' });
+  events.publish('CA1', 'toolcall', { name: 'placeOrder', arguments: { quantity: 1 }, result: '{"orderNumber":1}' });
+  events.publish('CA1', 'toolcall', { name: 'transferCall', arguments: {}, result: '{"error":"x"}', failed: true });
+  events.publish('CA1', 'stop', { endReason: 'stop' });
+
+  expect(published).toEqual([
+    ['call.started', { callSid: 'CA1', from: '+1' }],
+    ['order.placed', { callSid: 'CA1', arguments: { quantity: 1 }, order: { orderNumber: 1 } }],
+    ['call.ended', expect.objectContaining({ callSid: 'CA1', endReason: 'stop', direction: 'inbound', from: '+1' })],
+  ]);
+  expect(published[2][1]).not.toHaveProperty('transcript');
+  expect(webhookEventFor({ callSid: 'CA1', type: 'analysis', data: { status: 'failed' } })).toBeNull();
+  expect(webhookEventFor({ callSid: 'CA1', type: 'toolcall', data: { name: 'transferCall', result: '{"status":"no-answer"}' } })).toBeNull();
+  expect(webhookEventFor({ callSid: 'CA1', type: 'toolcall', data: { name: 'transferCall', result: '{"status":"holding"}' } })).toBeNull();
+});
+
+test('Expect a warm transfer to send call.transferred once the person takes it, and nothing when nobody does', async () => {
+  const { manager, requests } = createManager();
+  manager.createEndpoint({ url: 'https://crm.example.com/hooks', events: ['call.transferred'] });
+  const events = new CallEvents();
+  manager.connect(events);
+
+  const calls = new CallStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'transfers-')) });
+  const client = {
+    calls: Object.assign(jest.fn(() => ({ update: jest.fn(async () => {}) })), { create: jest.fn(async () => ({ sid: 'CAhuman' })) }),
+  };
+  const transfers = new TransferManager({ client, calls, events, sessions: { get: () => undefined }, server: 'agent.example.com' });
+  const profile = { transfer: { mode: 'warm', targets: { billing: { number: '+5511333330002' } } } };
+  const transferOf = (callSid) => {
+    calls.startCall({ callSid, streamSid: `MZ-${callSid}`, direction: 'inbound', from: '+5511999990000', to: '+5511444440000' });
+    return transfers.transfer(createToolContext('transferCall', { callSid, direction: 'inbound', profile }));
+  };
+
+  const taken = await transferOf('CA1');
+  events.publish('CA1', 'toolcall', { name: 'transferCall', arguments: {}, result: JSON.stringify(taken) });
+  transfers.acceptTwiml(taken.transferId, '1');
+
+  const unanswered = await transferOf('CA2');
+  events.publish('CA2', 'toolcall', { name: 'transferCall', arguments: {}, result: JSON.stringify(unanswered) });
+  transfers.handleStatus(unanswered.transferId, 'no-answer');
+  await manager.tick();
+
+  expect(requests).toHaveLength(1);
+  expect(JSON.parse(requests[0].body)).toMatchObject({
+    type: 'call.transferred',
+    data: { callSid: 'CA1', result: { transferId: taken.transferId, department: 'billing', mode: 'warm', status: 'connected' } },
+  });
+});
+
+test('Expect invalid endpoints to be rejected', () => {
+  const { manager } = createManager();
+
+  expect(() => manager.createEndpoint({ url: 'ftp://crm', events: ['*'] })).toThrow('url must be');
+  expect(() => manager.createEndpoint({ url: 'https://crm.example.com', events: [] })).toThrow('events must list');
+  expect(() => manager.createEndpoint({ url: 'https://crm.example.com', events: ['call.rang'] })).toThrow('Unknown events: call.rang');
+  expect(() => manager.createEndpoint({ url: 'https://crm.example.com', events: ['*'], secret: 'short' })).toThrow('16 characters');
+  expect(() => manager.updateEndpoint('nope', {})).toThrow('not found');
+});